@@ -0,0 +1,13 @@
+-- Audit trail for security-relevant events (rejected webhooks, suspicious logins, ...)
+CREATE TABLE audit_events (
+  id TEXT PRIMARY KEY,
+  event_type TEXT NOT NULL,
+  user_id TEXT,
+  phone_number TEXT,
+  ip_address TEXT,
+  details TEXT,
+  created_at INTEGER NOT NULL
+);
+
+CREATE INDEX idx_audit_events_type ON audit_events(event_type, created_at);
+CREATE INDEX idx_audit_events_user ON audit_events(user_id);
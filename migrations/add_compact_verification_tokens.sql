@@ -0,0 +1,3 @@
+-- Button payloads now only carry a reference (token id + secret);
+-- the user status they used to embed is stored with the token instead
+ALTER TABLE verification_tokens ADD COLUMN is_new_user INTEGER NOT NULL DEFAULT 0;
@@ -0,0 +1,19 @@
+-- How tokens are handed to the client once the login is confirmed: 'json' over the
+-- WebSocket, or 'cookie' via a one-time exchange code redeemed at /api/auth/session
+ALTER TABLE verification_tokens ADD COLUMN token_delivery TEXT NOT NULL DEFAULT 'json';
+
+-- One-time codes a browser exchanges for session cookies
+CREATE TABLE login_exchange_codes (
+  id TEXT PRIMARY KEY,
+  code_hash TEXT UNIQUE NOT NULL,
+  user_id TEXT NOT NULL,
+  user_agent TEXT,
+  ip_country TEXT,
+  client_app TEXT,
+  expires_at INTEGER NOT NULL,
+  used_at INTEGER,
+  created_at INTEGER NOT NULL,
+  FOREIGN KEY (user_id) REFERENCES users(id)
+);
+
+CREATE INDEX idx_login_exchange_codes_expires ON login_exchange_codes(expires_at);
@@ -0,0 +1,6 @@
+-- Channel a login message went out on; changes from whatsapp when the message
+-- falls back to SMS or email
+ALTER TABLE verification_tokens ADD COLUMN delivery_channel TEXT NOT NULL DEFAULT 'whatsapp';
+
+-- Address for the email fallback, set by the user in their profile
+ALTER TABLE users ADD COLUMN email TEXT;
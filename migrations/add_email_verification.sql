@@ -0,0 +1,16 @@
+-- Login messages only fall back to an email address once its owner has opened
+-- the confirmation link sent to it; changing the address clears the confirmation
+ALTER TABLE users ADD COLUMN email_verified_at INTEGER;
+
+CREATE TABLE IF NOT EXISTS email_verifications (
+  id TEXT PRIMARY KEY,
+  token_hash TEXT UNIQUE NOT NULL,
+  user_id TEXT NOT NULL,
+  email TEXT NOT NULL,
+  expires_at INTEGER NOT NULL,
+  used_at INTEGER,
+  created_at INTEGER NOT NULL,
+  FOREIGN KEY (user_id) REFERENCES users(id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_email_verifications_expires_at ON email_verifications(expires_at);
@@ -0,0 +1,5 @@
+-- Hash of the short code the user sends to the business number in the
+-- user-initiated ("reverse OTP") login flow; NULL for button logins
+ALTER TABLE verification_tokens ADD COLUMN short_code_hash TEXT;
+
+CREATE INDEX idx_verification_tokens_short_code ON verification_tokens(short_code_hash);
@@ -0,0 +1,10 @@
+-- Numbers that can't start new logins for a while, e.g. after the user
+-- tapped "This wasn't me" on a login message
+CREATE TABLE login_locks (
+  phone_number TEXT PRIMARY KEY,
+  reason TEXT NOT NULL,
+  locked_until INTEGER NOT NULL,
+  created_at INTEGER NOT NULL
+);
+
+CREATE INDEX idx_login_locks_locked_until ON login_locks(locked_until);
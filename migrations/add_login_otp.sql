@@ -0,0 +1,4 @@
+-- Hash of the 6-digit code sent in the WhatsApp authentication template, for
+-- logins confirmed by typing the code; attempts are counted against guessing
+ALTER TABLE verification_tokens ADD COLUMN otp_hash TEXT;
+ALTER TABLE verification_tokens ADD COLUMN otp_attempts INTEGER NOT NULL DEFAULT 0;
@@ -0,0 +1,5 @@
+-- Id of the WhatsApp message carrying the login button; status webhooks
+-- (sent, delivered, read, failed) are matched to the login through it
+ALTER TABLE verification_tokens ADD COLUMN message_id TEXT;
+
+CREATE INDEX idx_verification_tokens_message_id ON verification_tokens(message_id);
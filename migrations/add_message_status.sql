@@ -0,0 +1,6 @@
+-- Latest WhatsApp status of the message carrying the login button
+-- ('sent', 'delivered', 'read' or 'failed'), and the WhatsApp error when it failed
+ALTER TABLE verification_tokens ADD COLUMN message_status TEXT;
+ALTER TABLE verification_tokens ADD COLUMN message_status_at INTEGER;
+ALTER TABLE verification_tokens ADD COLUMN message_error_code INTEGER;
+ALTER TABLE verification_tokens ADD COLUMN message_error_title TEXT;
@@ -0,0 +1,33 @@
+-- Relying parties allowed to use this service as an OpenID Connect provider
+CREATE TABLE oauth_clients (
+  id TEXT PRIMARY KEY,
+  name TEXT NOT NULL,
+  secret_hash TEXT,
+  redirect_uris TEXT NOT NULL,
+  created_at INTEGER NOT NULL
+);
+
+-- Pending /authorize requests; once the user confirms on WhatsApp the
+-- authorization code is attached to the same row
+CREATE TABLE oauth_authorization_requests (
+  id TEXT PRIMARY KEY,
+  client_id TEXT NOT NULL,
+  redirect_uri TEXT NOT NULL,
+  scope TEXT NOT NULL,
+  state TEXT,
+  nonce TEXT,
+  code_challenge TEXT NOT NULL,
+  code_challenge_method TEXT NOT NULL,
+  user_id TEXT,
+  code_hash TEXT UNIQUE,
+  auth_time INTEGER,
+  code_expires_at INTEGER,
+  code_used_at INTEGER,
+  expires_at INTEGER NOT NULL,
+  created_at INTEGER NOT NULL,
+  FOREIGN KEY (client_id) REFERENCES oauth_clients(id),
+  FOREIGN KEY (user_id) REFERENCES users(id)
+);
+
+-- Links a WhatsApp verification token to the authorization request it completes
+ALTER TABLE verification_tokens ADD COLUMN authorization_request_id TEXT;
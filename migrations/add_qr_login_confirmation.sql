@@ -0,0 +1,3 @@
+-- QR code logins are only bound to a number once its owner confirms the device
+-- the login was started from; the number that sent the code waits here until then
+ALTER TABLE verification_tokens ADD COLUMN pending_phone_number TEXT;
@@ -0,0 +1,42 @@
+-- QR code logins start without a phone number; the number is bound when the
+-- user sends the login code from WhatsApp. SQLite can't drop NOT NULL in place,
+-- so the table is rebuilt.
+CREATE TABLE verification_tokens_new (
+  id TEXT PRIMARY KEY,
+  token_hash TEXT UNIQUE NOT NULL,
+  phone_number TEXT,
+  expires_at INTEGER NOT NULL,
+  used_at INTEGER,
+  created_at INTEGER NOT NULL,
+  is_new_user INTEGER NOT NULL DEFAULT 0,
+  authorization_request_id TEXT,
+  user_agent TEXT,
+  ip_country TEXT,
+  client_app TEXT,
+  token_delivery TEXT NOT NULL DEFAULT 'json',
+  message_id TEXT,
+  message_status TEXT,
+  message_status_at INTEGER,
+  message_error_code INTEGER,
+  message_error_title TEXT,
+  short_code_hash TEXT
+);
+
+INSERT INTO verification_tokens_new (
+  id, token_hash, phone_number, expires_at, used_at, created_at, is_new_user, authorization_request_id,
+  user_agent, ip_country, client_app, token_delivery, message_id, message_status, message_status_at,
+  message_error_code, message_error_title, short_code_hash
+)
+SELECT
+  id, token_hash, phone_number, expires_at, used_at, created_at, is_new_user, authorization_request_id,
+  user_agent, ip_country, client_app, token_delivery, message_id, message_status, message_status_at,
+  message_error_code, message_error_title, short_code_hash
+FROM verification_tokens;
+
+DROP TABLE verification_tokens;
+ALTER TABLE verification_tokens_new RENAME TO verification_tokens;
+
+CREATE INDEX idx_verification_tokens_hash ON verification_tokens(token_hash);
+CREATE INDEX idx_verification_tokens_phone ON verification_tokens(phone_number);
+CREATE INDEX idx_verification_tokens_message_id ON verification_tokens(message_id);
+CREATE INDEX idx_verification_tokens_short_code ON verification_tokens(short_code_hash);
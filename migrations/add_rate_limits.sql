@@ -0,0 +1,9 @@
+-- Fixed-window counters limiting how often logins are started and codes are tried,
+-- keyed by what is counted (e.g. "login:phone:+15551234567", "code:ip:203.0.113.7")
+CREATE TABLE rate_limits (
+  key TEXT PRIMARY KEY,
+  count INTEGER NOT NULL,
+  window_ends_at INTEGER NOT NULL
+);
+
+CREATE INDEX idx_rate_limits_window_ends_at ON rate_limits(window_ends_at);
@@ -0,0 +1,9 @@
+-- Each login starts a refresh token family; every rotation stays in the same family
+-- so a replayed (already rotated) token can revoke all of its descendants
+ALTER TABLE refresh_tokens ADD COLUMN family_id TEXT;
+ALTER TABLE refresh_tokens ADD COLUMN revoked_reason TEXT;
+
+-- Existing tokens each become their own family
+UPDATE refresh_tokens SET family_id = id WHERE family_id IS NULL;
+
+CREATE INDEX idx_refresh_tokens_family ON refresh_tokens(family_id);
@@ -0,0 +1,8 @@
+-- Every login now creates a server-side session; its refresh tokens and
+-- access tokens (sid claim) stop working as soon as it is revoked
+ALTER TABLE sessions ADD COLUMN revoked_at INTEGER;
+ALTER TABLE sessions ADD COLUMN last_refreshed_at INTEGER;
+ALTER TABLE refresh_tokens ADD COLUMN session_id TEXT;
+
+CREATE INDEX idx_sessions_user ON sessions(user_id);
+CREATE INDEX idx_refresh_tokens_session ON refresh_tokens(session_id);
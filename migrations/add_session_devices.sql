@@ -0,0 +1,8 @@
+-- Device details captured when a login is initiated and copied to the session it creates
+ALTER TABLE verification_tokens ADD COLUMN user_agent TEXT;
+ALTER TABLE verification_tokens ADD COLUMN ip_country TEXT;
+ALTER TABLE verification_tokens ADD COLUMN client_app TEXT;
+
+ALTER TABLE sessions ADD COLUMN user_agent TEXT;
+ALTER TABLE sessions ADD COLUMN ip_country TEXT;
+ALTER TABLE sessions ADD COLUMN client_app TEXT;
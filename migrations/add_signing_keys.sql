@@ -0,0 +1,13 @@
+-- JWT signing keys; one 'current' key signs, 'previous' keys still verify until retire_after
+CREATE TABLE signing_keys (
+  kid TEXT PRIMARY KEY,
+  alg TEXT NOT NULL,
+  private_key TEXT NOT NULL,
+  public_jwk TEXT NOT NULL,
+  status TEXT NOT NULL CHECK (status IN ('current', 'previous', 'retired')),
+  created_at INTEGER NOT NULL,
+  rotated_at INTEGER,
+  retire_after INTEGER
+);
+
+CREATE UNIQUE INDEX idx_signing_keys_current ON signing_keys(status) WHERE status = 'current';
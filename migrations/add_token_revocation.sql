@@ -0,0 +1,8 @@
+-- Access tokens revoked before expiry (RFC 7009), keyed by their jti claim
+CREATE TABLE revoked_access_tokens (
+  jti TEXT PRIMARY KEY,
+  expires_at INTEGER NOT NULL,
+  revoked_at INTEGER NOT NULL
+);
+
+CREATE INDEX idx_revoked_access_tokens_expires ON revoked_access_tokens(expires_at);
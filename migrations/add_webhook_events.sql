@@ -0,0 +1,11 @@
+-- WhatsApp webhook events (message ids, and message id + status for status
+-- updates) claimed by a delivery. Keyed by event id so a retry is recognised
+-- whichever delivery batch, and whichever processor instance, it arrives in
+CREATE TABLE webhook_events (
+  id TEXT PRIMARY KEY,
+  status TEXT NOT NULL, -- 'processing' while a delivery handles it, 'processed' once it succeeded
+  claimed_at INTEGER NOT NULL,
+  expires_at INTEGER NOT NULL
+);
+
+CREATE INDEX idx_webhook_events_expires_at ON webhook_events(expires_at);
@@ -3,13 +3,54 @@ export const CONFIG = {
     API_TOKEN: '',  // Will be set from environment variables
     PHONE_NUMBER_ID: '',  // Will be set from environment variables
     WEBHOOK_VERIFY_TOKEN: '',  // Will be set from environment variables
+    APP_SECRETS: [] as string[],  // Comma-separated WHATSAPP_APP_SECRET; several allowed during key rotation
+    BUSINESS_PHONE_NUMBER: '',  // Number users message in the reverse login flow (wa.me links); the flow is off when unset
+    AUTH_TEMPLATE_NAME: 'login_code',  // Authentication template (code + copy code button) used by the code login method
+    AUTH_TEMPLATE_LANGUAGE: 'en_US',
   },
   JWT: {
     SECRET: '',  // Will be set from environment variables
-    EXPIRY: 60 * 60 * 24 * 7, // 7 days in seconds
+    EXPIRY: 60 * 60 * 24 * 7, // 7 days in seconds; also how long a rotated-out key is still accepted
+    PRIVATE_KEY: '',  // Optional PKCS#8 PEM used to seed the first signing key
+    ALGORITHM: 'ES256' as 'ES256' | 'RS256',
+    KEY_ID: '',  // kid for the seeded key; defaults to the key's JWK thumbprint
+    KEY_ENCRYPTION_SECRET: '',  // Encrypts private keys at rest; falls back to SECRET
+    ROTATION_INTERVAL: 60 * 60 * 24 * 30, // Scheduled rotation every 30 days
+  },
+  ADMIN: {
+    API_KEY: '',  // Will be set from environment variables
+  },
+  WEBHOOK: {
+    DEDUP_TTL_SECONDS: 60 * 60 * 24 * 7, // Meta retries failed deliveries for up to 7 days
+  },
+  VERIFICATION: {
+    TOKEN_SECRET: '',  // Will be set from environment variables
+    ENCRYPTION_KEY: '',  // Optional; when set, button payloads are encrypted as well as signed
+    LEGACY_TOKENS_ACCEPTED_UNTIL: 0,  // Unix timestamp until which unsigned base64 tokens are still accepted
+    DENIED_LOGIN_LOCK_SECONDS: 30 * 60,  // New logins for a number are blocked this long after "This wasn't me"
+    OTP_MAX_ATTEMPTS: 5,  // Wrong codes allowed per login before it is invalidated
+    RATE_LIMIT_WINDOW_SECONDS: 15 * 60,  // Window the login and code attempt limits below apply to
+    LOGINS_PER_NUMBER: 5,  // New logins one phone number can be sent per window
+    LOGINS_PER_IP: 20,  // New logins (including QR code logins) one IP address can start per window
+    CODE_ATTEMPTS_PER_IP: 30,  // 6-digit codes one IP address can try per window, across logins
+  },
+  OIDC: {
+    ISSUER: '',  // Issuer URL (e.g. https://auth.example.com); defaults to the request origin
   },
   APP: {
     FRONTEND_URL: 'https://example.com',  // Will be set from environment variables
+    LOGIN_LINK_BASE_URL: '',  // Origin serving /auth/verify for login links; defaults to FRONTEND_URL
+  },
+  DELIVERY: {
+    FALLBACK_CHANNEL: '' as '' | 'sms' | 'email' | 'fake',  // Where login messages go when WhatsApp fails; off when unset
+    TWILIO_ACCOUNT_SID: '',  // SMS fallback
+    TWILIO_AUTH_TOKEN: '',
+    TWILIO_FROM_NUMBER: '',
+    RESEND_API_KEY: '',  // Email fallback
+    EMAIL_FROM: '',  // Sender address, e.g. "Example <login@example.com>"
+  },
+  COOKIES: {
+    SAME_SITE: 'Strict' as 'Strict' | 'Lax' | 'None',  // Use None when the front-end is served from another site
   },
   MOCK: {
     WHATSAPP_API: false, // Default to false
@@ -21,10 +62,72 @@ export function initializeConfig(env: any) {
   CONFIG.WHATSAPP.API_TOKEN = env.WHATSAPP_API_TOKEN || CONFIG.WHATSAPP.API_TOKEN;
   CONFIG.WHATSAPP.PHONE_NUMBER_ID = env.WHATSAPP_PHONE_NUMBER_ID || CONFIG.WHATSAPP.PHONE_NUMBER_ID;
   CONFIG.WHATSAPP.WEBHOOK_VERIFY_TOKEN = env.WHATSAPP_WEBHOOK_VERIFY_TOKEN || CONFIG.WHATSAPP.WEBHOOK_VERIFY_TOKEN;
+  CONFIG.WHATSAPP.APP_SECRETS = parseList(env.WHATSAPP_APP_SECRET);
+  CONFIG.WHATSAPP.BUSINESS_PHONE_NUMBER = env.WHATSAPP_BUSINESS_PHONE_NUMBER || CONFIG.WHATSAPP.BUSINESS_PHONE_NUMBER;
+  CONFIG.WHATSAPP.AUTH_TEMPLATE_NAME = env.WHATSAPP_AUTH_TEMPLATE_NAME || CONFIG.WHATSAPP.AUTH_TEMPLATE_NAME;
+  CONFIG.WHATSAPP.AUTH_TEMPLATE_LANGUAGE = env.WHATSAPP_AUTH_TEMPLATE_LANGUAGE || CONFIG.WHATSAPP.AUTH_TEMPLATE_LANGUAGE;
   CONFIG.JWT.SECRET = env.JWT_SECRET || CONFIG.JWT.SECRET;
+  CONFIG.JWT.PRIVATE_KEY = env.JWT_PRIVATE_KEY || CONFIG.JWT.PRIVATE_KEY;
+  CONFIG.JWT.ALGORITHM = env.JWT_ALGORITHM === 'RS256' ? 'RS256' : 'ES256';
+  CONFIG.JWT.KEY_ID = env.JWT_KEY_ID || CONFIG.JWT.KEY_ID;
+  CONFIG.JWT.KEY_ENCRYPTION_SECRET = env.JWT_KEY_ENCRYPTION_SECRET || CONFIG.JWT.KEY_ENCRYPTION_SECRET;
+  CONFIG.ADMIN.API_KEY = env.ADMIN_API_KEY || CONFIG.ADMIN.API_KEY;
+  CONFIG.VERIFICATION.TOKEN_SECRET = env.VERIFICATION_TOKEN_SECRET || CONFIG.VERIFICATION.TOKEN_SECRET;
+  CONFIG.VERIFICATION.ENCRYPTION_KEY = env.VERIFICATION_TOKEN_ENCRYPTION_KEY || CONFIG.VERIFICATION.ENCRYPTION_KEY;
+  CONFIG.VERIFICATION.LEGACY_TOKENS_ACCEPTED_UNTIL = parseTimestamp(env.LEGACY_VERIFICATION_TOKENS_UNTIL);
+  CONFIG.OIDC.ISSUER = (env.OIDC_ISSUER || CONFIG.OIDC.ISSUER).replace(/\/+$/, '');
   CONFIG.APP.FRONTEND_URL = env.FRONTEND_URL || CONFIG.APP.FRONTEND_URL;
+  CONFIG.APP.LOGIN_LINK_BASE_URL = (env.LOGIN_LINK_BASE_URL || CONFIG.APP.LOGIN_LINK_BASE_URL).replace(/\/+$/, '');
+  CONFIG.DELIVERY.FALLBACK_CHANNEL = parseFallbackChannel(env.DELIVERY_FALLBACK_CHANNEL);
+  CONFIG.DELIVERY.TWILIO_ACCOUNT_SID = env.TWILIO_ACCOUNT_SID || CONFIG.DELIVERY.TWILIO_ACCOUNT_SID;
+  CONFIG.DELIVERY.TWILIO_AUTH_TOKEN = env.TWILIO_AUTH_TOKEN || CONFIG.DELIVERY.TWILIO_AUTH_TOKEN;
+  CONFIG.DELIVERY.TWILIO_FROM_NUMBER = env.TWILIO_FROM_NUMBER || CONFIG.DELIVERY.TWILIO_FROM_NUMBER;
+  CONFIG.DELIVERY.RESEND_API_KEY = env.RESEND_API_KEY || CONFIG.DELIVERY.RESEND_API_KEY;
+  CONFIG.DELIVERY.EMAIL_FROM = env.EMAIL_FROM || CONFIG.DELIVERY.EMAIL_FROM;
+  CONFIG.COOKIES.SAME_SITE = parseSameSite(env.COOKIE_SAME_SITE);
   
   CONFIG.MOCK.WHATSAPP_API = env.MOCK_WHATSAPP_API === 'true'; // Set from environment variable
   
   return CONFIG;
-}
\ No newline at end of file
+}
+
+// Reads COOKIE_SAME_SITE case-insensitively, defaulting to Strict
+function parseSameSite(value: string | undefined): 'Strict' | 'Lax' | 'None' {
+  const normalized = (value || '').toLowerCase();
+  if (normalized === 'lax') {
+    return 'Lax';
+  }
+  if (normalized === 'none') {
+    return 'None';
+  }
+  return 'Strict';
+}
+
+// Reads DELIVERY_FALLBACK_CHANNEL case-insensitively; anything else turns the fallback off
+function parseFallbackChannel(value: string | undefined): '' | 'sms' | 'email' | 'fake' {
+  const normalized = (value || '').toLowerCase();
+  if (normalized === 'sms' || normalized === 'email' || normalized === 'fake') {
+    return normalized;
+  }
+  return '';
+}
+
+// Accepts either a Unix timestamp in seconds or an ISO 8601 date, returning 0 when unset or invalid
+function parseTimestamp(value: string | undefined): number {
+  if (!value) {
+    return 0;
+  }
+  if (/^\d+$/.test(value)) {
+    return parseInt(value, 10);
+  }
+  const parsed = Date.parse(value);
+  return isNaN(parsed) ? 0 : Math.floor(parsed / 1000);
+}
+
+// Splits a comma-separated environment variable into its non-empty entries
+function parseList(value: string | undefined): string[] {
+  if (!value) {
+    return [];
+  }
+  return value.split(',').map(item => item.trim()).filter(item => item.length > 0);
+}
@@ -1,4 +1,6 @@
-import { Env } from '../types';
+import { DeliveryChannelName, Env, MessageDeliveryError } from '../types';
+import { LOGIN_PROGRESS_EVENTS, LoginProgressEvent, SESSION_SECRET_HEADER } from '../services/authSession';
+import { hashToken } from '../utils/crypto';
 
 interface SendTokensPayload {
   authToken: string;
@@ -6,15 +8,113 @@ interface SendTokensPayload {
   userId: string;
 }
 
+interface SendExchangeCodePayload {
+  exchangeCode: string;
+  userId: string;
+}
+
+interface SendAuthorizationPayload {
+  redirectUrl: string;
+}
+
+interface SendProgressPayload {
+  event: LoginProgressEvent;
+  error?: MessageDeliveryError;
+  channel?: DeliveryChannelName;
+}
+
+interface InitPayload {
+  expiresAt: number;
+  secretHash: string;
+}
+
+/**
+ * Lifecycle of a login attempt:
+ * - pending: waiting for the user to tap the WhatsApp button
+ * - confirmed: the result is stored until a client connection receives it
+ * - consumed: the result was delivered and removed from storage
+ * - cancelled: the client that started the login cancelled it
+ * - denied: the user tapped "This wasn't me" on WhatsApp
+ * - expired: the verification window ended and the state was cleared
+ */
+export type AuthSessionStatus = 'pending' | 'confirmed' | 'consumed' | 'cancelled' | 'denied' | 'expired';
+
+// Ends of a login other than success; connections get a session_<status> event
+type AuthSessionEndStatus = 'cancelled' | 'denied';
+
+interface AuthSessionState {
+  status: Exclude<AuthSessionStatus, 'expired'>;
+  expiresAt: number;  // Unix timestamp (seconds) at which the verification window ends
+  secretHash: string; // Hash of the session secret returned to the client that started the login
+  progress?: LoginProgressEvent; // Latest status of the WhatsApp message, while pending
+  progressError?: MessageDeliveryError; // Why the message failed, with message_failed and message_fallback
+  progressChannel?: DeliveryChannelName; // Where the login was re-sent, with message_fallback
+  result?: string;    // Serialized WebSocket message, only kept while confirmed
+}
+
+// Stored with each hibernatable socket so it survives eviction
+interface SocketAttachment {
+  connectedAt: number;
+}
+
+const STATE_KEY = 'state';
+
+// Tag for browser connections waiting for the login result
+const CLIENT_TAG = 'client';
+
+// Keep-alive pings are answered by the runtime without waking the object
+const PING_MESSAGE = 'ping';
+const PONG_MESSAGE = 'pong';
+
+// Comment lines keep proxies from closing an idle event stream
+const SSE_HEARTBEAT_MS = 15 * 1000;
+
+// Long-poll requests answer with session_pending after this long (and never wait longer than the max)
+const DEFAULT_POLL_TIMEOUT_MS = 25 * 1000;
+const MAX_POLL_TIMEOUT_MS = 30 * 1000;
+
+// message_failed carries the reason, e.g. { code: 'RECIPIENT_NOT_ON_WHATSAPP', message: '...' },
+// and message_fallback also the channel the login was re-sent on
+function toProgressMessage(event: LoginProgressEvent, error?: MessageDeliveryError, channel?: DeliveryChannelName): string {
+  return JSON.stringify({ event, error, channel });
+}
+
+/**
+ * A connection waiting for the login result: a WebSocket, an event stream or a long-poll
+ */
+interface ResultListener {
+  connectedAt: number;
+  // Sends a progress event and keeps the connection open; long-polls have none and end on any event
+  notify?(message: string): Promise<void>;
+  // Sends the last message this connection gets and ends it; resolves false if the client has gone
+  finish(message: string): Promise<boolean>;
+}
+
+/**
+ * Holds the state of one login attempt and the WebSockets waiting for its result
+ *
+ * Sockets use the WebSocket Hibernation API: the object can be evicted while
+ * browsers wait, and the runtime wakes it up for the webSocket* handlers,
+ * alarms and fetches. Nothing about the sockets is kept in memory; they are
+ * recovered with state.getWebSockets().
+ *
+ * Clients that can't use WebSockets wait on a Server-Sent Events stream or a
+ * long-poll instead. Those are open requests, so they are tracked in memory
+ * (the object is not evicted while they are open).
+ *
+ * Every client connection must present the session secret; the sessionId alone
+ * is not enough to receive the result.
+ */
 export class AuthSessionDO {
   state: DurableObjectState;
   env: Env;
-  sessions: WebSocket[];
+  listeners: Set<ResultListener>;
 
   constructor(state: DurableObjectState, env: Env) {
     this.state = state;
     this.env = env;
-    this.sessions = [];
+    this.listeners = new Set();
+    this.state.setWebSocketAutoResponse(new WebSocketRequestResponsePair(PING_MESSAGE, PONG_MESSAGE));
   }
 
   // Handle HTTP requests to the Durable Object
@@ -22,57 +122,409 @@ export class AuthSessionDO {
     const url = new URL(request.url);
 
     switch (url.pathname) {
+      case '/init':
+        if (request.method !== 'POST') {
+          return new Response('Method Not Allowed', { status: 405 });
+        }
+        const init = await request.json<InitPayload>();
+        await this.initialize(init.expiresAt, init.secretHash);
+        return new Response('Session initialized', { status: 200 });
+
       case '/websocket':
         if (request.headers.get('Upgrade') !== 'websocket') {
           return new Response('Expected WebSocket', { status: 400 });
         }
+        if (!(await this.isAuthorized(request))) {
+          return new Response('Invalid session secret', { status: 401 });
+        }
 
         const pair = new WebSocketPair();
         const client = pair[0];
         const server = pair[1];
 
-        this.state.acceptWebSocket(server);
-        this.sessions.push(server);
+        this.state.acceptWebSocket(server, [CLIENT_TAG]);
+        server.serializeAttachment({ connectedAt: Date.now() } satisfies SocketAttachment);
 
-        server.addEventListener('close', () => {
-          this.sessions = this.sessions.filter(s => s !== server);
-          console.log('WebSocket closed');
-        });
+        await this.handleConnection(this.toListener(server));
+        return new Response(null, { status: 101, webSocket: client });
 
-        server.addEventListener('error', (event: Event) => {
-          console.error('WebSocket error:', event);
-        });
+      case '/events':
+        if (!(await this.isAuthorized(request))) {
+          return new Response('Invalid session secret', { status: 401 });
+        }
+        return this.openEventStream();
 
-        return new Response(null, { status: 101, webSocket: client });
+      case '/status':
+        if (!(await this.isAuthorized(request))) {
+          return new Response('Invalid session secret', { status: 401 });
+        }
+        const requestedTimeout = parseInt(url.searchParams.get('timeout') || '', 10) * 1000;
+        const timeoutMs = requestedTimeout > 0 ? Math.min(requestedTimeout, MAX_POLL_TIMEOUT_MS) : DEFAULT_POLL_TIMEOUT_MS;
+        const message = await this.waitForResult(timeoutMs, request.signal);
+        return new Response(message, { status: 200, headers: { 'Content-Type': 'application/json' } });
 
       case '/send-tokens':
         if (request.method !== 'POST') {
           return new Response('Method Not Allowed', { status: 405 });
         }
         const { authToken, refreshToken, userId } = await request.json<SendTokensPayload>();
-        this.sendTokensToClient(authToken, refreshToken, userId);
+        await this.sendTokensToClient(authToken, refreshToken, userId);
         return new Response('Tokens sent', { status: 200 });
 
+      case '/send-exchange-code':
+        if (request.method !== 'POST') {
+          return new Response('Method Not Allowed', { status: 405 });
+        }
+        const exchange = await request.json<SendExchangeCodePayload>();
+        // Cookie-mode clients exchange the code at /api/auth/session for their session cookies
+        await this.storeResult(JSON.stringify({ event: 'auth_success', exchangeCode: exchange.exchangeCode, userId: exchange.userId }));
+        return new Response('Exchange code sent', { status: 200 });
+
+      case '/send-progress':
+        if (request.method !== 'POST') {
+          return new Response('Method Not Allowed', { status: 405 });
+        }
+        const progress = await request.json<SendProgressPayload>();
+        await this.recordProgress(progress.event, progress.error, progress.channel);
+        return new Response('Progress sent', { status: 200 });
+
+      case '/cancel':
+        if (request.method !== 'POST') {
+          return new Response('Method Not Allowed', { status: 405 });
+        }
+        if (!(await this.isAuthorized(request))) {
+          return new Response('Invalid session secret', { status: 401 });
+        }
+        return this.endSession('cancelled');
+
+      case '/deny':
+        if (request.method !== 'POST') {
+          return new Response('Method Not Allowed', { status: 405 });
+        }
+        return this.endSession('denied');
+
+      case '/send-authorization':
+        if (request.method !== 'POST') {
+          return new Response('Method Not Allowed', { status: 405 });
+        }
+        const { redirectUrl } = await request.json<SendAuthorizationPayload>();
+        await this.storeResult(JSON.stringify({ event: 'authorization_complete', redirectUrl }));
+        return new Response('Authorization sent', { status: 200 });
+
       default:
         return new Response('Not Found', { status: 404 });
     }
   }
 
+  // Clients only listen; anything other than keep-alive pings (answered automatically) is ignored
+  async webSocketMessage(_ws: WebSocket, _message: string | ArrayBuffer) {
+    console.log('[AuthSessionDO] Ignoring unexpected WebSocket message');
+  }
+
+  // Completes the close handshake started by the client
+  async webSocketClose(ws: WebSocket, code: number, reason: string, _wasClean: boolean) {
+    console.log(`[AuthSessionDO] WebSocket closed (code ${code})`);
+    try {
+      ws.close(code, reason);
+    } catch (e) {
+      // Already closed
+    }
+  }
+
+  async webSocketError(_ws: WebSocket, error: unknown) {
+    console.error('WebSocket error:', error);
+  }
+
+  // Clears the session when the verification window ends, telling connected clients it expired
+  async alarm() {
+    const current = await this.loadState();
+    if (current && (current.status === 'pending' || current.status === 'confirmed')) {
+      console.log('[AuthSessionDO] Verification window ended before the result was delivered');
+      await this.finishAll(JSON.stringify({ event: 'session_expired' }));
+    }
+    await this.state.storage.deleteAll();
+  }
+
   // Method to send tokens to connected WebSocket clients
-  sendTokensToClient(authToken: string, refreshToken: string, userId: string) {
-    const message = JSON.stringify({ event: 'auth_success', authToken, refreshToken, userId });
-    this.sessions.forEach(ws => {
-      try {
-        if (ws.readyState === ws.OPEN) {
-          ws.send(message);
-        } else {
-          console.log('WebSocket not open, removing from sessions');
-          this.sessions = this.sessions.filter(s => s !== ws);
+  async sendTokensToClient(authToken: string, refreshToken: string, userId: string) {
+    await this.storeResult(JSON.stringify({ event: 'auth_success', authToken, refreshToken, userId }));
+  }
+
+  /**
+   * Starts tracking a login attempt and schedules its cleanup
+   */
+  private async initialize(expiresAt: number, secretHash: string) {
+    await this.state.storage.put<AuthSessionState>(STATE_KEY, { status: 'pending', expiresAt, secretHash });
+    await this.state.storage.setAlarm(expiresAt * 1000);
+  }
+
+  /**
+   * Stores the login result, then delivers it if a client is already connected
+   *
+   * Note: Without state there is no session secret, so no client could ever
+   * receive the result (expired sessions, or sessions started before secrets existed)
+   */
+  private async storeResult(message: string) {
+    const current = await this.loadState();
+    if (!current) {
+      console.log('[AuthSessionDO] No pending session, discarding result');
+      return;
+    }
+    if (current.status !== 'pending' && current.status !== 'confirmed') {
+      console.log(`[AuthSessionDO] Session ${current.status}, ignoring new result`);
+      return;
+    }
+
+    await this.state.storage.put<AuthSessionState>(STATE_KEY, { ...current, status: 'confirmed', result: message });
+    await this.deliverResult();
+  }
+
+  /**
+   * Stores the latest status of the WhatsApp message and pushes it to waiting clients
+   *
+   * Note: Status webhooks can arrive out of order, so a status never replaces a later one
+   */
+  private async recordProgress(event: LoginProgressEvent, error?: MessageDeliveryError, channel?: DeliveryChannelName) {
+    const current = await this.loadState();
+    if (!current || current.status !== 'pending') {
+      return;
+    }
+    if (current.progress && LOGIN_PROGRESS_EVENTS.indexOf(current.progress) >= LOGIN_PROGRESS_EVENTS.indexOf(event)) {
+      console.log(`[AuthSessionDO] Ignoring ${event}, already at ${current.progress}`);
+      return;
+    }
+
+    await this.state.storage.put<AuthSessionState>(STATE_KEY, { ...current, progress: event, progressError: error, progressChannel: channel });
+
+    const message = toProgressMessage(event, error, channel);
+    await Promise.all(this.getListeners().map(listener => listener.notify ? listener.notify(message) : listener.finish(message)));
+  }
+
+  /**
+   * Ends a pending login (cancelled by the client or denied by the user) and every waiting connection
+   *
+   * @returns 404 if the session is gone, 409 if it is no longer pending
+   */
+  private async endSession(status: AuthSessionEndStatus): Promise<Response> {
+    const current = await this.loadState();
+    if (!current) {
+      return new Response('Session not found', { status: 404 });
+    }
+    if (current.status !== 'pending') {
+      return new Response(`Session ${current.status}`, { status: 409 });
+    }
+
+    await this.state.storage.put<AuthSessionState>(STATE_KEY, { status, expiresAt: current.expiresAt, secretHash: current.secretHash });
+    await this.finishAll(JSON.stringify({ event: `session_${status}` }));
+    return new Response(`Session ${status}`, { status: 200 });
+  }
+
+  /**
+   * Checks that a client connection presents the session secret
+   * (X-Session-Secret header, or `secret` query parameter for browser WebSockets)
+   *
+   * Connections to a session without state are let through: they only learn it expired
+   */
+  private async isAuthorized(request: Request): Promise<boolean> {
+    const current = await this.loadState();
+    if (!current) {
+      return true;
+    }
+
+    const secret = request.headers.get(SESSION_SECRET_HEADER) || new URL(request.url).searchParams.get('secret');
+    return !!secret && await hashToken(secret) === current.secretHash;
+  }
+
+  /**
+   * Tells a newly connected client where the login stands
+   *
+   * Flow:
+   * 1. No state: the window ended (or the session never existed), so end the connection
+   * 2. Consumed, cancelled or denied: nothing more will be delivered, so end the connection
+   * 3. Confirmed: deliver the stored result now
+   * 4. Pending: send the latest message progress, and keep the connection open until the result arrives
+   */
+  private async handleConnection(listener: ResultListener) {
+    const current = await this.loadState();
+
+    if (!current) {
+      await listener.finish(JSON.stringify({ event: 'session_expired' }));
+    } else if (current.status === 'consumed') {
+      await listener.finish(JSON.stringify({ event: 'session_consumed' }));
+    } else if (current.status === 'cancelled' || current.status === 'denied') {
+      await listener.finish(JSON.stringify({ event: `session_${current.status}` }));
+    } else if (current.status === 'confirmed') {
+      await this.deliverResult();
+    } else if (current.progress && listener.notify) {
+      // Long-polls get the progress when they time out instead, so they don't return immediately on every poll
+      await listener.notify(toProgressMessage(current.progress, current.progressError, current.progressChannel));
+    }
+  }
+
+  /**
+   * Sends the stored result to the most recent open connection, exactly once
+   *
+   * @returns false if there is no result to deliver or no open connection
+   */
+  private async deliverResult(): Promise<boolean> {
+    const current = await this.loadState();
+    if (!current || current.status !== 'confirmed' || !current.result) {
+      return false;
+    }
+
+    // Older connections are usually left over from a reconnect, so prefer the newest
+    for (const listener of this.getListeners()) {
+      if (!(await listener.finish(current.result))) {
+        continue;
+      }
+
+      // The tokens are not kept once delivered
+      await this.state.storage.put<AuthSessionState>(STATE_KEY, { status: 'consumed', expiresAt: current.expiresAt, secretHash: current.secretHash });
+      return true;
+    }
+
+    console.log('[AuthSessionDO] No open connection, keeping result until a client connects');
+    return false;
+  }
+
+  /**
+   * Streams the session as Server-Sent Events; the stream ends after the first event
+   */
+  private openEventStream(): Response {
+    const { readable, writable } = new TransformStream<Uint8Array, Uint8Array>();
+    const writer = writable.getWriter();
+    const encoder = new TextEncoder();
+
+    const heartbeat = setInterval(() => {
+      writer.write(encoder.encode(': keep-alive\n\n')).catch(() => stop());
+    }, SSE_HEARTBEAT_MS);
+    const stop = () => {
+      clearInterval(heartbeat);
+      this.listeners.delete(listener);
+    };
+
+    const listener: ResultListener = {
+      connectedAt: Date.now(),
+      notify: async (message) => {
+        await writer.write(encoder.encode(`data: ${message}\n\n`)).catch(() => stop());
+      },
+      finish: async (message) => {
+        stop();
+        try {
+          await writer.write(encoder.encode(`data: ${message}\n\n`));
+          await writer.close();
+          return true;
+        } catch (e) {
+          console.error('Error writing to event stream:', e);
+          return false;
         }
-      } catch (e) {
-        console.error('Error sending to WebSocket:', e);
-        this.sessions = this.sessions.filter(s => s !== ws);
+      }
+    };
+    this.listeners.add(listener);
+
+    // Writes only complete once the client reads them, so the state is checked after the response is returned
+    writer.write(encoder.encode(': connected\n\n')).catch(() => stop());
+    this.handleConnection(listener).catch(e => console.error('[AuthSessionDO] Event stream failed:', e));
+
+    return new Response(readable, {
+      status: 200,
+      headers: {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache'
       }
     });
   }
+
+  /**
+   * Waits for the next message for a long-poll request
+   *
+   * A poll whose client has gone away stops listening, so the result is kept
+   * for the next connection instead of being handed to an abandoned request
+   *
+   * @param signal - Aborted when the client disconnects
+   * @returns The next message the WebSocket would receive; on timeout, the latest
+   *   message progress (or session_pending if there is none yet)
+   */
+  private async waitForResult(timeoutMs: number, signal: AbortSignal): Promise<string> {
+    let timer: ReturnType<typeof setTimeout> | undefined;
+    const result = new Promise<string>(resolve => {
+      const stop = () => {
+        clearTimeout(timer);
+        signal.removeEventListener('abort', abandon);
+        this.listeners.delete(listener);
+      };
+      const abandon = () => {
+        stop();
+        resolve(JSON.stringify({ event: 'session_pending' }));
+      };
+      const listener: ResultListener = {
+        connectedAt: Date.now(),
+        finish: async (message) => {
+          stop();
+          if (signal.aborted) {
+            return false;
+          }
+          resolve(message);
+          return true;
+        }
+      };
+      if (signal.aborted) {
+        abandon();
+        return;
+      }
+      signal.addEventListener('abort', abandon);
+      timer = setTimeout(async () => {
+        const current = await this.loadState();
+        await listener.finish(current && current.progress
+          ? toProgressMessage(current.progress, current.progressError, current.progressChannel)
+          : JSON.stringify({ event: 'session_pending' }));
+      }, timeoutMs);
+      this.listeners.add(listener);
+      this.handleConnection(listener).catch(e => console.error('[AuthSessionDO] Long-poll failed:', e));
+    });
+    return result;
+  }
+
+  /**
+   * Returns every open connection, newest first
+   * WebSockets are recovered from the runtime, so this works after hibernation
+   */
+  private getListeners(): ResultListener[] {
+    const sockets = this.state.getWebSockets(CLIENT_TAG)
+      .filter(ws => ws.readyState === WebSocket.OPEN)
+      .map(ws => this.toListener(ws));
+    return [...sockets, ...this.listeners].sort((a, b) => b.connectedAt - a.connectedAt);
+  }
+
+  private toListener(ws: WebSocket): ResultListener {
+    const attachment = ws.deserializeAttachment() as SocketAttachment | null;
+    return {
+      connectedAt: attachment ? attachment.connectedAt : 0,
+      notify: async (message) => {
+        try {
+          ws.send(message);
+        } catch (e) {
+          console.error('Error sending to WebSocket:', e);
+        }
+      },
+      finish: async (message) => {
+        try {
+          ws.send(message);
+          ws.close(1000, 'Session ended');
+          return true;
+        } catch (e) {
+          console.error('Error sending to WebSocket:', e);
+          return false;
+        }
+      }
+    };
+  }
+
+  private async loadState(): Promise<AuthSessionState | null> {
+    return (await this.state.storage.get<AuthSessionState>(STATE_KEY)) || null;
+  }
+
+  private async finishAll(message: string) {
+    await Promise.all(this.getListeners().map(listener => listener.finish(message)));
+  }
 }
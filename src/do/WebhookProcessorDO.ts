@@ -1,9 +1,27 @@
-import { Env, WhatsAppWebhookPayload } from '../types';
+import { Env, WhatsAppIncomingMessage, WhatsAppStatusUpdate, WhatsAppWebhookPayload } from '../types';
 import { AuthService } from '../services/auth';
+import { DENY_BUTTON_PREFIX } from '../services/delivery';
 import { UserService } from '../services/user';
 import { WhatsAppService } from '../services/whatsapp';
 import { VerificationService } from '../services/verification';
 import { normalizePhoneNumber } from '../utils/phone';
+import { CONFIG, initializeConfig } from '../config';
+import { SigningKeyService } from '../services/signingKey';
+import { OidcService } from '../services/oidc';
+import { AuditService } from '../services/audit';
+import { WebhookEventService } from '../services/webhookEvent';
+import { AuthSessionService, LoginProgressEvent } from '../services/authSession';
+import { setSigningKeyStore } from '../utils/jwt';
+import { getMessageDeliveryError } from '../utils/webhook';
+import { QR_CONFIRM_BUTTON_PREFIX, QR_DENY_BUTTON_PREFIX, buildQrLoginConfirmationText, findLoginCodes } from '../utils/loginCode';
+
+// Login progress events for the WhatsApp message statuses a waiting client is told about
+const MESSAGE_STATUS_EVENTS: Record<string, LoginProgressEvent> = {
+  sent: 'message_sent',
+  delivered: 'message_delivered',
+  read: 'message_read',
+  failed: 'message_failed'
+};
 
 export class WebhookProcessorDO {
   state: DurableObjectState;
@@ -13,6 +31,9 @@ export class WebhookProcessorDO {
   constructor(state: DurableObjectState, env: Env) {
     this.state = state;
     this.env = env;
+    // Durable Objects don't run the worker middleware, so load config and signing keys here
+    initializeConfig(env);
+    setSigningKeyStore(new SigningKeyService(env.DB));
   }
 
   async fetch(request: Request) {
@@ -27,15 +48,35 @@ export class WebhookProcessorDO {
     return new Response('Not Found', { status: 404 });
   }
 
+  /**
+   * Claims an event, runs its handler, then finalizes the claim based on the outcome
+   * 
+   * Note: The id is claimed before the event is handled, so a retry that arrives
+   * while the first delivery runs is skipped. A failed handler releases the claim,
+   * so the retry Meta sends for the failed delivery handles the event again.
+   */
+  private async handleEvent(eventId: string, handler: () => Promise<void>): Promise<'handled' | 'duplicate' | 'failed'> {
+    const webhookEventService = new WebhookEventService(this.env.DB);
+    if (!(await webhookEventService.claimEvent(eventId))) {
+      return 'duplicate';
+    }
+
+    try {
+      await handler();
+    } catch (error) {
+      console.error(`[WebhookProcessor] Failed to handle event ${eventId}:`, error);
+      await webhookEventService.releaseEvent(eventId);
+      return 'failed';
+    }
+
+    await webhookEventService.markProcessed(eventId);
+    return 'handled';
+  }
+
   private async processWebhookPayload(payload: WhatsAppWebhookPayload): Promise<Response> {
-    // Ensure this message hasn't been processed yet
     console.log('[WebhookProcessor] Processing webhook payload');
     
-    const processed = await this.state.storage.get('processed');
-    if (processed) {
-      console.log('[WebhookProcessor] Webhook payload already processed for this DO instance.');
-      return new Response('Already processed', { status: 200 });
-    }
+    const counts = { handled: 0, duplicate: 0, failed: 0 };
 
     console.log('[WebhookProcessor] Webhook payload:', JSON.stringify(payload, null, 2));  
     
@@ -56,48 +97,27 @@ export class WebhookProcessorDO {
               console.log(`[WebhookProcessor] Found ${value.messages.length} messages to process`);
               
               for (const message of value.messages) {
-                const from = message.from;
-                const normalizedFrom = normalizePhoneNumber(from);
-                
-                console.log(`[WebhookProcessor] Processing message from ${from} (normalized: ${normalizedFrom}), type: ${message.type}`);
-
-                // Handle text messages
-                if (message.type === 'text' && message.text) {
-                  const text = message.text.body;
-                  console.log(`[WebhookProcessor] Received text message from ${from}: ${text}`);
-                    
-                  // Auto-reply to incoming messages
-                  const whatsappService = new WhatsAppService(this.env.WHATSAPP_API_TOKEN, this.env.WHATSAPP_PHONE_NUMBER_ID);
-                  await whatsappService.sendTextMessage(
-                    normalizedFrom,
-                    'Thank you for your message. This is an automated login service. Please use the app to initiate login.'
-                  );
-                  console.log(`[WebhookProcessor] Sent auto-reply to ${normalizedFrom}`);
-                }
-                  
-                // Handle interactive messages (button clicks)
-                if (message.type === 'interactive' && message.interactive?.type === 'button_reply') {
-                  const buttonPayload = message.interactive.button_reply.id;
-                  console.log(`[WebhookProcessor] Received button click from ${from} with payload length: ${buttonPayload.length}`);
-                  console.log(`[WebhookProcessor] Button payload preview: ${buttonPayload.substring(0, 100)}...`);
-
-                  const whatsappService = new WhatsAppService(this.env.WHATSAPP_API_TOKEN, this.env.WHATSAPP_PHONE_NUMBER_ID);
-                  const userService = new UserService(this.env.DB);
-                  const verificationService = new VerificationService(this.env.DB);
-                  const authService = new AuthService(userService, whatsappService, verificationService);
-                  console.log(`[WebhookProcessor] AuthService instance created`);
-                  await this.handleAuthButtonPayload(
-                    authService,
-                    whatsappService,
-                    normalizedFrom,
-                    buttonPayload
-                  );
-                  console.log(`[WebhookProcessor] Auth button payload processed`);
+                // Messages already handled by an earlier delivery of this webhook are skipped
+                const outcome = await this.handleEvent(message.id, () => this.handleIncomingMessage(message));
+                if (outcome === 'duplicate') {
+                  console.log(`[WebhookProcessor] Message ${message.id} already processed, skipping`);
                 }
+                counts[outcome]++;
               }
             } else {
               console.log(`[WebhookProcessor] No messages found in this change`);
             }
+
+            // Status updates of login messages are stored and reported to the waiting client
+            // One message gets several updates (sent, delivered, read), so dedupe on id + status
+            for (const status of value.statuses || []) {
+              console.log(`[WebhookProcessor] Received status ${status.status} for message ${status.id}`);
+              const outcome = await this.handleEvent(`${status.id}:${status.status}`, () => this.handleMessageStatus(status));
+              if (outcome === 'duplicate') {
+                console.log(`[WebhookProcessor] Status ${status.id} already processed, skipping`);
+              }
+              counts[outcome]++;
+            }
           } else {
             console.log(`[WebhookProcessor] Skipping change with field: ${change.field}`);
           }
@@ -106,11 +126,126 @@ export class WebhookProcessorDO {
     } else {
       console.log(`[WebhookProcessor] Unexpected payload object type: ${payload.object}`);
     }
-        
-    await this.state.storage.put('processed', true);
+
+    // Meta retries the whole delivery; events that were handled are skipped then
+    if (counts.failed > 0) {
+      console.log(`[WebhookProcessor] ${counts.failed} events failed, asking Meta to retry`);
+      return new Response('Processing failed', { status: 500 });
+    }
+
+    // Duplicates are still acknowledged with 200 so Meta stops retrying
+    if (counts.handled === 0 && counts.duplicate > 0) {
+      console.log(`[WebhookProcessor] All ${counts.duplicate} events already processed`);
+      return new Response('Already processed', { status: 200 });
+    }
     return new Response('Processed', { status: 200 });
   }
 
+  // Handles an incoming message: a login code, a tap on a login message button, or anything else
+  private async handleIncomingMessage(message: WhatsAppIncomingMessage) {
+    const from = message.from;
+    const normalizedFrom = normalizePhoneNumber(from);
+    
+    console.log(`[WebhookProcessor] Processing message from ${from} (normalized: ${normalizedFrom}), type: ${message.type}`);
+
+    // Handle text messages
+    if (message.type === 'text' && message.text) {
+      const text = message.text.body;
+      console.log(`[WebhookProcessor] Received text message from ${from}: ${text}`);
+        
+      const whatsappService = new WhatsAppService(this.env.WHATSAPP_API_TOKEN, this.env.WHATSAPP_PHONE_NUMBER_ID);
+
+      // Messages carrying a login code complete a reverse login
+      const loginCodes = findLoginCodes(text);
+      if (loginCodes.length > 0) {
+        await this.handleLoginCodeMessage(whatsappService, normalizedFrom, loginCodes);
+        return;
+      }
+
+      // Auto-reply to other incoming messages
+      await whatsappService.sendTextMessage(
+        normalizedFrom,
+        'Thank you for your message. This is an automated login service. Please use the app to initiate login.'
+      );
+      console.log(`[WebhookProcessor] Sent auto-reply to ${normalizedFrom}`);
+    }
+      
+    // Handle interactive messages (button clicks)
+    if (message.type === 'interactive' && message.interactive?.type === 'button_reply') {
+      const buttonPayload = message.interactive.button_reply.id;
+      console.log(`[WebhookProcessor] Received button click from ${from} with payload length: ${buttonPayload.length}`);
+      console.log(`[WebhookProcessor] Button payload preview: ${buttonPayload.substring(0, 100)}...`);
+
+      const whatsappService = new WhatsAppService(this.env.WHATSAPP_API_TOKEN, this.env.WHATSAPP_PHONE_NUMBER_ID);
+      const userService = new UserService(this.env.DB);
+      const verificationService = new VerificationService(this.env.DB);
+      const authService = new AuthService(userService, whatsappService, verificationService, new AuditService(this.env.DB));
+      console.log(`[WebhookProcessor] AuthService instance created`);
+      if (buttonPayload.startsWith(QR_CONFIRM_BUTTON_PREFIX)) {
+        await this.handleQrConfirmButtonPayload(authService, whatsappService, normalizedFrom, buttonPayload.substring(QR_CONFIRM_BUTTON_PREFIX.length));
+      } else if (buttonPayload.startsWith(QR_DENY_BUTTON_PREFIX)) {
+        await this.handleQrDenyButtonPayload(authService, whatsappService, normalizedFrom, buttonPayload.substring(QR_DENY_BUTTON_PREFIX.length));
+      } else if (buttonPayload.startsWith(DENY_BUTTON_PREFIX)) {
+        await this.handleDenyButtonPayload(authService, whatsappService, normalizedFrom, buttonPayload);
+      } else {
+        await this.handleAuthButtonPayload(
+          authService,
+          whatsappService,
+          normalizedFrom,
+          buttonPayload
+        );
+      }
+      console.log(`[WebhookProcessor] Auth button payload processed`);
+    }
+  }
+
+  /**
+   * Handles a status update for a message we sent
+   * 
+   * Flow:
+   * 1. Store the status against the login message; statuses of other messages are ignored
+   * 2. If the login is still pending, tell the waiting client, translating failures
+   *    into error codes it can act on
+   * 3. When the message failed and a fallback channel is configured, re-send the login
+   *    by SMS or email and report message_fallback instead
+   */
+  private async handleMessageStatus(status: WhatsAppStatusUpdate) {
+    const verificationService = new VerificationService(this.env.DB);
+
+    // Step 1: Store the status (older statuses arriving late are dropped)
+    if (!(await verificationService.recordMessageStatus(status))) {
+      return;
+    }
+
+    // Step 2: Report progress to the client waiting on the login
+    const event = MESSAGE_STATUS_EVENTS[status.status];
+    const sessionId = await verificationService.findPendingSessionIdByMessageId(status.id);
+    if (!event || !sessionId) {
+      return;
+    }
+
+    const error = status.status === 'failed' ? getMessageDeliveryError(status.errors) : undefined;
+    if (error) {
+      const whatsappCodes = (status.errors || []).map(e => e.code).join(', ');
+      console.log(`[WebhookProcessor] Login message ${status.id} failed (WhatsApp error ${whatsappCodes || 'unknown'}): ${error.code}`);
+    }
+
+    // Step 3: Re-send a failed login on the fallback channel, if there is one
+    if (error) {
+      const whatsappService = new WhatsAppService(this.env.WHATSAPP_API_TOKEN, this.env.WHATSAPP_PHONE_NUMBER_ID);
+      const authService = new AuthService(new UserService(this.env.DB), whatsappService, verificationService, new AuditService(this.env.DB));
+      const channel = await authService.fallBackLoginMessage(sessionId);
+      if (channel) {
+        await new AuthSessionService(this.env.AUTH_SESSION_DO).sendProgress(sessionId, 'message_fallback', error, channel);
+        console.log(`[WebhookProcessor] Sent message_fallback (${channel}) to AuthSessionDO for session ${sessionId}`);
+        return;
+      }
+    }
+
+    await new AuthSessionService(this.env.AUTH_SESSION_DO).sendProgress(sessionId, event, error);
+    console.log(`[WebhookProcessor] Sent ${event} to AuthSessionDO for session ${sessionId}`);
+  }
+
   private async handleAuthButtonPayload(
     authService: AuthService,
     whatsappService: WhatsAppService,
@@ -118,6 +253,20 @@ export class WebhookProcessorDO {
     token: string
   ) {
     console.log(`[WebhookProcessor] Handling auth button payload for phone: ${phoneNumber}, token length: ${token.length}`);
+
+    // Logins started from the OpenID Connect /authorize page finish with an
+    // authorization code redirect instead of tokens over the WebSocket
+    const tokenInfo = await authService.verifyLoginTokenOnly(token);
+    if (tokenInfo && tokenInfo.authorizationRequestId && tokenInfo.sessionId) {
+      await this.completeAuthorizationRequest(authService, whatsappService, phoneNumber, token, tokenInfo.sessionId, tokenInfo.authorizationRequestId);
+      return;
+    }
+
+    // Cookie-mode logins get a one-time exchange code instead of tokens over the WebSocket
+    if (tokenInfo && tokenInfo.tokenDelivery === 'cookie' && tokenInfo.sessionId) {
+      await this.completeCookieLogin(authService, whatsappService, phoneNumber, token, tokenInfo.sessionId);
+      return;
+    }
     
     const result = await authService.verifyLogin(token);
   
@@ -137,20 +286,10 @@ export class WebhookProcessorDO {
       if (loginTokenPayload && loginTokenPayload.sessionId) {
         console.log(`[WebhookProcessor] Found sessionId: ${loginTokenPayload.sessionId}`);
         const sessionId = loginTokenPayload.sessionId;
-        // Convert sessionId to a valid 64-character hex string for Durable Object ID
-        // We'll use the sessionId as a name to generate a consistent Durable Object ID
-        const id = this.env.AUTH_SESSION_DO.idFromName(sessionId);
-        const stub = this.env.AUTH_SESSION_DO.get(id);
-        
+
         console.log(`[WebhookProcessor] Sending tokens to AuthSessionDO`);
-        // Call the DO to send tokens over WebSocket
-        await stub.fetch(
-          new Request(new URL('/send-tokens', 'http://do-stub').toString(), {
-            method: 'POST',
-            body: JSON.stringify({ authToken, refreshToken, userId }),
-            headers: { 'Content-Type': 'application/json' }
-          })
-        );
+        // The DO stores the tokens and sends them over the WebSocket, now or when the client connects
+        await new AuthSessionService(this.env.AUTH_SESSION_DO).sendTokens(sessionId, { authToken, refreshToken, userId });
         console.log(`[WebhookProcessor] Tokens sent to AuthSessionDO successfully`);
       } else {
         console.log(`[WebhookProcessor] No sessionId found in token payload, skipping WebSocket notification`);
@@ -164,4 +303,266 @@ export class WebhookProcessorDO {
       );
     }
   }
+
+  /**
+   * Handles a message carrying the code shown by the app for a reverse or QR code login
+   * 
+   * Flow:
+   * 1. Consume the reverse login the code belongs to; it must have been started for the sending number
+   * 2. Otherwise hold the QR code login the code belongs to for the sender, and ask them to confirm
+   *    the device it was started from; the login completes when they tap Confirm
+   * 3. Deliver the result of a reverse login
+   * 
+   * @param loginCodes - Candidate codes found in the message; the first valid one is used
+   */
+  private async handleLoginCodeMessage(whatsappService: WhatsAppService, phoneNumber: string, loginCodes: string[]) {
+    const verificationService = new VerificationService(this.env.DB);
+    const authService = new AuthService(new UserService(this.env.DB), whatsappService, verificationService, new AuditService(this.env.DB));
+
+    // Step 1: Find the login
+    // QR code logins only learn the number now, so a paused number is refused here rather than at initiate
+    const lock = await verificationService.findActiveLoginLock(phoneNumber);
+    if (lock) {
+      console.log(`[WebhookProcessor] Ignoring login code from ${phoneNumber}, logins are locked until ${lock.locked_until}`);
+      await whatsappService.sendTextMessage(
+        phoneNumber,
+        'New logins for your number are paused because you recently blocked a login attempt. Please try again later.'
+      );
+      return;
+    }
+
+    for (const code of loginCodes) {
+      const login = await authService.authenticateLoginCode(code, phoneNumber);
+      if (login) {
+        // Step 3: Deliver the result to the waiting client
+        await this.completeLoginCodeLogin(authService, whatsappService, phoneNumber, login);
+        console.log(`[WebhookProcessor] Reverse login ${login.sessionId} completed for user ${login.user.id}`);
+        return;
+      }
+
+      // Step 2: Someone could have shown the user a QR code from their own screen,
+      // so the number isn't bound until the user recognises the device
+      const pending = await authService.requestQrLoginConfirmation(code, phoneNumber);
+      if (pending) {
+        await whatsappService.sendInteractiveButtonMessage(phoneNumber, buildQrLoginConfirmationText(pending.device), [
+          { id: `${QR_CONFIRM_BUTTON_PREFIX}${pending.sessionId}`, title: 'Confirm' },
+          { id: `${QR_DENY_BUTTON_PREFIX}${pending.sessionId}`, title: 'This wasn\'t me' }
+        ]);
+        console.log(`[WebhookProcessor] Asked ${phoneNumber} to confirm QR code login ${pending.sessionId}`);
+        return;
+      }
+    }
+
+    console.log(`[WebhookProcessor] No pending login matches the code sent by ${phoneNumber}`);
+    await whatsappService.sendTextMessage(
+      phoneNumber,
+      'This login code is invalid or has expired. Please start again from the app.'
+    );
+  }
+
+  /**
+   * Handles Confirm on a QR code login confirmation, completing the login for the number that tapped it
+   */
+  private async handleQrConfirmButtonPayload(
+    authService: AuthService,
+    whatsappService: WhatsAppService,
+    phoneNumber: string,
+    sessionId: string
+  ) {
+    const login = await authService.confirmQrLogin(sessionId, phoneNumber);
+    if (!login) {
+      await whatsappService.sendTextMessage(
+        phoneNumber,
+        'This login request has already been used or has expired. Please start again from the app.'
+      );
+      return;
+    }
+
+    await this.completeLoginCodeLogin(authService, whatsappService, phoneNumber, login);
+    console.log(`[WebhookProcessor] QR code login ${sessionId} confirmed for user ${login.user.id}`);
+  }
+
+  /**
+   * Handles "This wasn't me" on a QR code login confirmation
+   * 
+   * Flow:
+   * 1. Invalidate the login and record a security event
+   * 2. Tell the waiting client the login was denied
+   * 3. Let the user know nobody was logged in
+   */
+  private async handleQrDenyButtonPayload(
+    authService: AuthService,
+    whatsappService: WhatsAppService,
+    phoneNumber: string,
+    sessionId: string
+  ) {
+    // Step 1: Block the login attempt
+    const denial = await authService.denyQrLogin(sessionId, phoneNumber);
+    if (!denial) {
+      await whatsappService.sendTextMessage(
+        phoneNumber,
+        'This login request has already been used or has expired. If you didn\'t log in yourself, log out of all devices from the app.'
+      );
+      return;
+    }
+
+    // Step 2: End the waiting session
+    await new AuthSessionService(this.env.AUTH_SESSION_DO).deny(denial.sessionId);
+
+    // Step 3: Confirm to the user
+    await whatsappService.sendTextMessage(
+      phoneNumber,
+      'Thanks, we blocked this login attempt. Nobody was logged in to your account.'
+    );
+  }
+
+  /**
+   * Delivers the result of a reverse or confirmed QR code login the way the login asked for
+   * (authorization code, exchange code or tokens), then lets the user know they can go back to the app
+   */
+  private async completeLoginCodeLogin(
+    authService: AuthService,
+    whatsappService: WhatsAppService,
+    phoneNumber: string,
+    login: NonNullable<Awaited<ReturnType<AuthService['authenticateLoginCode']>>>
+  ) {
+    const verificationService = new VerificationService(this.env.DB);
+    const authSessionService = new AuthSessionService(this.env.AUTH_SESSION_DO);
+
+    const { user, device, sessionId } = login;
+    if (login.authorizationRequestId) {
+      const redirectUrl = await new OidcService(this.env.DB).issueAuthorizationCode(login.authorizationRequestId, user.id);
+      if (!redirectUrl) {
+        await whatsappService.sendTextMessage(
+          phoneNumber,
+          'This sign-in request has expired. Please start again from the app.'
+        );
+        return;
+      }
+      await authSessionService.sendAuthorization(sessionId, { redirectUrl });
+    } else if (login.tokenDelivery === 'cookie') {
+      const exchangeCode = await verificationService.createLoginExchangeCode(user.id, device);
+      await authSessionService.sendExchangeCode(sessionId, { exchangeCode, userId: user.id });
+    } else {
+      const { accessToken, refreshToken } = await authService.issueTokens(user.id, device);
+      await authSessionService.sendTokens(sessionId, { authToken: accessToken, refreshToken, userId: user.id });
+    }
+
+    await whatsappService.sendTextMessage(
+      phoneNumber,
+      'You\'re logged in. You can go back to the app now.\n\nIf you didn\'t start this login on your own device, log out of all devices from the app.'
+    );
+  }
+
+  /**
+   * Handles "This wasn't me" on a login message
+   * 
+   * Flow:
+   * 1. Invalidate the login, pause new logins for the number and record a security event
+   * 2. Tell the waiting client the login was denied
+   * 3. Let the user know it worked
+   */
+  private async handleDenyButtonPayload(
+    authService: AuthService,
+    whatsappService: WhatsAppService,
+    phoneNumber: string,
+    denyPayload: string
+  ) {
+    // Step 1: Block the login attempt
+    const denial = await authService.denyLogin(denyPayload);
+    if (!denial) {
+      await whatsappService.sendTextMessage(
+        phoneNumber,
+        'This login request has already been used or has expired. If you didn\'t log in yourself, log out of all devices from the app.'
+      );
+      return;
+    }
+
+    // Step 2: End the waiting session
+    await new AuthSessionService(this.env.AUTH_SESSION_DO).deny(denial.sessionId);
+    console.log(`[WebhookProcessor] Login ${denial.sessionId} denied by the user`);
+
+    // Step 3: Confirm to the user
+    const minutes = Math.round(CONFIG.VERIFICATION.DENIED_LOGIN_LOCK_SECONDS / 60);
+    await whatsappService.sendTextMessage(
+      phoneNumber,
+      `Thanks, we blocked this login attempt. New login requests for your number are paused for ${minutes} minutes.`
+    );
+  }
+
+  /**
+   * Completes a cookie-mode login confirmed on WhatsApp
+   * 
+   * Flow:
+   * 1. Consume the verification token and create a one-time exchange code
+   * 2. Send the code to the waiting client via AuthSessionDO; the client
+   *    redeems it at /api/auth/session, which sets the session cookies
+   */
+  private async completeCookieLogin(
+    authService: AuthService,
+    whatsappService: WhatsAppService,
+    phoneNumber: string,
+    token: string,
+    sessionId: string
+  ) {
+    // Step 1: Authenticate the user and create the exchange code
+    const exchange = await authService.createLoginExchange(token);
+    if (!exchange) {
+      console.log(`[WebhookProcessor] Authentication failed for phone: ${phoneNumber}`);
+      await whatsappService.sendTextMessage(
+        phoneNumber,
+        'Authentication failed. Please try again or contact support if the issue persists.'
+      );
+      return;
+    }
+
+    // Step 2: Deliver the code over the WebSocket
+    await new AuthSessionService(this.env.AUTH_SESSION_DO).sendExchangeCode(sessionId, exchange);
+    console.log(`[WebhookProcessor] Login exchange code sent to AuthSessionDO for user ${exchange.userId}`);
+  }
+
+  /**
+   * Completes an OpenID Connect authorization request confirmed on WhatsApp
+   * 
+   * Flow:
+   * 1. Consume the verification token and resolve (or create) the user
+   * 2. Issue an authorization code for the request
+   * 3. Send the client redirect URL to the waiting /authorize page via AuthSessionDO
+   */
+  private async completeAuthorizationRequest(
+    authService: AuthService,
+    whatsappService: WhatsAppService,
+    phoneNumber: string,
+    token: string,
+    sessionId: string,
+    authorizationRequestId: string
+  ) {
+    console.log(`[WebhookProcessor] Completing authorization request ${authorizationRequestId}`);
+
+    // Step 1: Authenticate the user without issuing tokens
+    const user = await authService.authenticateLogin(token);
+    if (!user) {
+      console.log(`[WebhookProcessor] Authentication failed for phone: ${phoneNumber}`);
+      await whatsappService.sendTextMessage(
+        phoneNumber,
+        'Authentication failed. Please try again or contact support if the issue persists.'
+      );
+      return;
+    }
+
+    // Step 2: Issue the authorization code
+    const oidcService = new OidcService(this.env.DB);
+    const redirectUrl = await oidcService.issueAuthorizationCode(authorizationRequestId, user.id);
+    if (!redirectUrl) {
+      await whatsappService.sendTextMessage(
+        phoneNumber,
+        'This sign-in request has expired. Please start again from the app.'
+      );
+      return;
+    }
+
+    // Step 3: Redirect the browser waiting on the authorize page
+    await new AuthSessionService(this.env.AUTH_SESSION_DO).sendAuthorization(sessionId, { redirectUrl });
+    console.log(`[WebhookProcessor] Authorization code sent to AuthSessionDO for user ${user.id}`);
+  }
 }
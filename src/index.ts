@@ -5,27 +5,40 @@ import { WhatsAppService } from './services/whatsapp';
 import { UserService } from './services/user';
 import { AuthService } from './services/auth';
 import { VerificationService } from './services/verification';
-import { handleInitiate, handleRefreshToken, handleLogout, handleValidate } from './routes/auth';
-import { handleWebhookVerification } from './routes/webhook';
-import { handleGetUserMe, handlePutUserMe } from './routes/user';
+import { AuditService } from './services/audit';
+import { SigningKeyService } from './services/signingKey';
+import { OidcService } from './services/oidc';
+import { AuthSessionService } from './services/authSession';
+import { WebhookEventService } from './services/webhookEvent';
+import { handleInitiate, handleVerifyCode, handleLoginLinkPage, handleVerifyLoginLink, handleCreateSession, handleSessionWebSocket, handleSessionEvents, handleSessionStatus, handleCancelSession, handleRefreshToken, handleLogout, handleValidate } from './routes/auth';
+import { handleWebhookVerification, handleWebhookEvent } from './routes/webhook';
+import { handleGetUserMe, handlePutUserMe, handleEmailVerificationPage, handleVerifyEmail, handleListSessions, handleRevokeSession, handleRevokeOtherSessions } from './routes/user';
+import { handleJwks } from './routes/wellKnown';
+import { handleListSigningKeys, handleRotateSigningKey, handleListSecurityEvents, handleCreateOAuthClient } from './routes/admin';
+import { handleOpenIdConfiguration, handleAuthorize, handleAuthorizeInitiate, handleToken, handleUserInfo, handleIntrospect, handleRevoke } from './routes/oidc';
 import { Env, Variables } from './types';
 import { CONFIG, initializeConfig } from './config';
 import { authMiddleware } from './middleware/auth';
+import { adminMiddleware } from './middleware/admin';
+import { csrfMiddleware } from './middleware/csrf';
 import { WebhookProcessorDO } from './do/WebhookProcessorDO';
 import { AuthSessionDO } from './do/AuthSessionDO';
-import { createJsonValidator, phoneSchema } from './middleware/validation';
+import { createJsonValidator, initiateSchema, authorizeInitiateSchema, sessionExchangeSchema, verifyCodeSchema, tokenSchema } from './middleware/validation';
+import { setSigningKeyStore } from './utils/jwt';
 
 const app = new Hono<{ Bindings: Env; Variables: Variables }>();
 
 // Middleware
 app.use('*', logger());
-app.use('*', cors());
 
 // Initialize services and config
 app.use('*', async (c, next) => {
   // Initialize config with environment variables
   initializeConfig(c.env);
   
+  const signingKeyService = new SigningKeyService(c.env.DB);
+  setSigningKeyStore(signingKeyService);
+  
   const whatsappService = new WhatsAppService(
     CONFIG.WHATSAPP.API_TOKEN,
     CONFIG.WHATSAPP.PHONE_NUMBER_ID
@@ -33,23 +46,62 @@ app.use('*', async (c, next) => {
   
   const userService = new UserService(c.env.DB);
   const verificationService = new VerificationService(c.env.DB);
-  const authService = new AuthService(userService, whatsappService, verificationService);
+  const auditService = new AuditService(c.env.DB);
+  const authService = new AuthService(userService, whatsappService, verificationService, auditService);
+  const oidcService = new OidcService(c.env.DB);
+  const authSessionService = new AuthSessionService(c.env.AUTH_SESSION_DO);
   
   c.set('services', {
     whatsapp: whatsappService,
     user: userService,
     auth: authService,
-    verification: verificationService
+    verification: verificationService,
+    audit: auditService,
+    signingKeys: signingKeyService,
+    oidc: oidcService,
+    authSession: authSessionService
   });
   
   await next();
 });
 
+// The front-end may send cookies (cookie session mode); any other origin gets plain CORS
+app.use('*', cors({
+  origin: (origin) => origin === CONFIG.APP.FRONTEND_URL ? origin : '*',
+  credentials: true
+}));
+
+// State-changing requests authenticated by session cookies must carry a CSRF token
+app.use('/api/*', csrfMiddleware);
+
 // Auth routes
-app.post('/api/auth/initiate', createJsonValidator(phoneSchema), async (c) => {
+app.post('/api/auth/initiate', createJsonValidator(initiateSchema), async (c) => {
+  const services = c.get('services');
+  const { phone_number, client_app, token_delivery, method } = c.req.valid('json');
+  return handleInitiate(c, services.auth, services.authSession, phone_number, client_app, token_delivery, method);
+});
+
+app.post('/api/auth/verify-code', createJsonValidator(verifyCodeSchema), async (c) => {
   const services = c.get('services');
-  const { phone_number } = c.req.valid('json');
-  return handleInitiate(c, services.auth, phone_number);
+  const { session_id, code } = c.req.valid('json');
+  return handleVerifyCode(c, services.auth, session_id, code);
+});
+
+app.post('/api/auth/verify', createJsonValidator(tokenSchema), async (c) => {
+  const services = c.get('services');
+  const { token } = c.req.valid('json');
+  return handleVerifyLoginLink(c, services.auth, services.authSession, token);
+});
+
+// Page opened by login links; posts to /api/auth/verify once the user confirms
+app.get('/auth/verify', async (c) => {
+  return handleLoginLinkPage(c);
+});
+
+app.post('/api/auth/session', createJsonValidator(sessionExchangeSchema), async (c) => {
+  const services = c.get('services');
+  const { exchange_code } = c.req.valid('json');
+  return handleCreateSession(c, services.auth, exchange_code);
 });
 
 app.post('/api/auth/refresh', async (c) => {
@@ -82,14 +134,25 @@ app.get('/api/auth/ws', async (c) => {
     }, 400);
   }
 
-  const id = c.env.AUTH_SESSION_DO.idFromName(sessionId);
-  const stub = c.env.AUTH_SESSION_DO.get(id);
+  // Forward the WebSocket request to the session's Durable Object
+  const services = c.get('services');
+  return handleSessionWebSocket(c, services.authSession, sessionId);
+});
+
+// Fallbacks for clients behind proxies that block WebSockets
+app.get('/api/auth/session/:sessionId/events', async (c) => {
+  const services = c.get('services');
+  return handleSessionEvents(c, services.authSession, c.req.param('sessionId'));
+});
 
-  // Forward the WebSocket request to the Durable Object
-  // The DO expects the path '/websocket'
-  const doUrl = new URL(c.req.url);
-  doUrl.pathname = '/websocket';
-  return stub.fetch(doUrl.toString(), c.req.raw);
+app.get('/api/auth/session/:sessionId/status', async (c) => {
+  const services = c.get('services');
+  return handleSessionStatus(c, services.authSession, c.req.param('sessionId'));
+});
+
+app.post('/api/auth/session/:sessionId/cancel', async (c) => {
+  const services = c.get('services');
+  return handleCancelSession(c, services.auth, services.authSession, c.req.param('sessionId'));
 });
 
 // Webhook routes
@@ -98,29 +161,8 @@ app.get('/api/webhook', async (c) => {
 });
 
 app.post('/api/webhook', async (c) => {
-  const messageId = c.req.header('X-WhatsApp-Message-Id') || `webhook-${Date.now()}`;
-  const id = c.env.WEBHOOK_PROCESSOR_DO.idFromName(messageId);
-  const stub = c.env.WEBHOOK_PROCESSOR_DO.get(id);
-  
-  // Create a new Request object to forward to the Durable Object
-  const newRequest = new Request(c.req.url, {
-    method: c.req.method,
-    headers: c.req.raw.headers,
-    body: c.req.raw.body ? await c.req.raw.arrayBuffer() : null, // Read body as arrayBuffer
-    redirect: c.req.raw.redirect,
-    cf: c.req.raw.cf, // Preserve cf properties
-  });
-  return stub.fetch(newRequest)
- 
-  // return 200
- /*  return c.json({
-    status: 'success',
-    statusCode: 200,
-    message: 'Webhook received successfully',
-    data: {
-      received: true
-    }
-  }, 200); */
+  const services = c.get('services');
+  return handleWebhookEvent(c, services.audit);
 });
 
 // User routes
@@ -131,12 +173,128 @@ app.get('/api/user/me', authMiddleware, async (c) => {
 
 app.put('/api/user/me', authMiddleware, async (c) => {
   const services = c.get('services');
-  return handlePutUserMe(c, services.user);
+  return handlePutUserMe(c, services.user, services.auth);
+});
+
+// Confirms the email address a link was sent to; the link itself is the credential
+app.post('/api/user/email/verify', createJsonValidator(tokenSchema), async (c) => {
+  const services = c.get('services');
+  const { token } = c.req.valid('json');
+  return handleVerifyEmail(c, services.auth, token);
+});
+
+// Page opened by email confirmation links; posts to /api/user/email/verify once the user confirms
+app.get('/auth/verify-email', async (c) => {
+  return handleEmailVerificationPage(c);
+});
+
+app.get('/api/user/sessions', authMiddleware, async (c) => {
+  const services = c.get('services');
+  return handleListSessions(c, services.user);
+});
+
+app.delete('/api/user/sessions/:id', authMiddleware, async (c) => {
+  const services = c.get('services');
+  return handleRevokeSession(c, services.auth, services.user);
+});
+
+app.delete('/api/user/sessions', authMiddleware, async (c) => {
+  const services = c.get('services');
+  return handleRevokeOtherSessions(c, services.auth);
+});
+
+// Discovery routes
+app.get('/.well-known/jwks.json', async (c) => {
+  return handleJwks(c);
+});
+
+app.get('/.well-known/openid-configuration', async (c) => {
+  return handleOpenIdConfiguration(c);
+});
+
+// OpenID Connect provider routes
+app.get('/authorize', async (c) => {
+  const services = c.get('services');
+  return handleAuthorize(c, services.oidc);
+});
+
+app.post('/authorize/initiate', createJsonValidator(authorizeInitiateSchema), async (c) => {
+  const services = c.get('services');
+  const { request_id, phone_number } = c.req.valid('json');
+  return handleAuthorizeInitiate(c, services.oidc, services.auth, services.authSession, request_id, phone_number);
+});
+
+app.post('/token', async (c) => {
+  const services = c.get('services');
+  return handleToken(c, services.oidc, services.auth, services.user);
+});
+
+app.get('/userinfo', async (c) => {
+  const services = c.get('services');
+  return handleUserInfo(c, services.oidc, services.auth, services.user);
+});
+
+app.post('/userinfo', async (c) => {
+  const services = c.get('services');
+  return handleUserInfo(c, services.oidc, services.auth, services.user);
+});
+
+app.post('/oauth/introspect', async (c) => {
+  const services = c.get('services');
+  return handleIntrospect(c, services.oidc, services.auth, services.verification);
+});
+
+app.post('/oauth/revoke', async (c) => {
+  const services = c.get('services');
+  return handleRevoke(c, services.oidc, services.auth);
+});
+
+// Admin routes
+app.get('/api/admin/keys', adminMiddleware, async (c) => {
+  const services = c.get('services');
+  return handleListSigningKeys(c, services.signingKeys);
+});
+
+app.post('/api/admin/keys/rotate', adminMiddleware, async (c) => {
+  const services = c.get('services');
+  return handleRotateSigningKey(c, services.signingKeys, services.audit);
+});
+
+app.get('/api/admin/security-events', adminMiddleware, async (c) => {
+  const services = c.get('services');
+  return handleListSecurityEvents(c, services.audit);
+});
+
+app.post('/api/admin/oauth/clients', adminMiddleware, async (c) => {
+  const services = c.get('services');
+  return handleCreateOAuthClient(c, services.oidc);
 });
 
 // Root route
 app.get('/', (c) => c.json({ status: 'WhatsApp OTPless Auth Service is running' }));
 
+// Scheduled job: rotate the signing key when it is due and retire expired keys
+async function scheduled(_event: ScheduledEvent, env: Env, _ctx: ExecutionContext) {
+  initializeConfig(env);
+
+  const signingKeyService = new SigningKeyService(env.DB);
+  const { rotated, retired } = await signingKeyService.rotateIfDue();
+  console.log(`[Scheduled] Signing key rotated: ${rotated}, keys retired: ${retired}`);
+
+  if (rotated) {
+    await new AuditService(env.DB).recordEvent({
+      type: 'signing_key_rotated',
+      details: { trigger: 'scheduled' }
+    });
+  }
+
+  const expiredEvents = await new WebhookEventService(env.DB).deleteExpiredEvents();
+  console.log(`[Scheduled] Expired webhook events removed: ${expiredEvents}`);
+}
+
 export { WebhookProcessorDO, AuthSessionDO };
 
-export default app;
\ No newline at end of file
+export default {
+  fetch: app.fetch,
+  scheduled
+};
\ No newline at end of file
@@ -0,0 +1,47 @@
+import { Context, Next } from 'hono';
+import { CONFIG } from '../config';
+import { Env, Variables } from '../types';
+import { hashToken } from '../utils/crypto';
+
+export async function adminMiddleware(c: Context<{
+  Bindings: Env;
+  Variables: Variables;
+}>, next: Next) {
+  // Step 1: Refuse all admin calls if no admin key has been configured
+  if (!CONFIG.ADMIN.API_KEY) {
+    return c.json({
+      status: 'error',
+      statusCode: 403,
+      error: {
+        code: 'ADMIN_API_DISABLED',
+        message: 'Admin API is disabled',
+        details: 'ADMIN_API_KEY is not configured'
+      }
+    }, 403);
+  }
+
+  // Step 2: Extract the admin key from the Authorization header
+  // Expected format: "Bearer <admin_api_key>"
+  const authHeader = c.req.header('Authorization');
+  const providedKey = authHeader && authHeader.startsWith('Bearer ') ? authHeader.substring(7) : '';
+
+  // Step 3: Compare digests rather than the raw strings to avoid leaking the key through timing
+  const [providedHash, expectedHash] = await Promise.all([
+    hashToken(providedKey),
+    hashToken(CONFIG.ADMIN.API_KEY)
+  ]);
+
+  if (!providedKey || providedHash !== expectedHash) {
+    return c.json({
+      status: 'error',
+      statusCode: 401,
+      error: {
+        code: 'UNAUTHORIZED',
+        message: 'Admin authentication required',
+        details: 'A valid admin API key is required to access this resource'
+      }
+    }, 401);
+  }
+
+  await next();
+};
@@ -0,0 +1,42 @@
+import { Context, Next } from 'hono';
+import { Env, Variables } from '../types';
+import { hashToken } from '../utils/crypto';
+import { CSRF_TOKEN_HEADER, getAccessTokenCookie, getCsrfTokenCookie, getRefreshTokenCookie } from '../utils/cookies';
+
+const SAFE_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+/**
+ * Double-submit CSRF protection for cookie-authenticated requests
+ *
+ * Browsers attach session cookies to cross-site requests, so every state-changing
+ * request that carries them must also echo the csrf_token cookie in the
+ * X-CSRF-Token header, which another site can neither read nor set.
+ * Requests using the Authorization header are not affected.
+ */
+export async function csrfMiddleware(c: Context<{
+  Bindings: Env;
+  Variables: Variables;
+}>, next: Next) {
+  // Step 1: Only state-changing requests authenticated by cookie need a CSRF token
+  const usesSessionCookies = !!(getAccessTokenCookie(c) || getRefreshTokenCookie(c));
+  const needsCsrfToken = !SAFE_METHODS.includes(c.req.method) && !c.req.header('Authorization') && usesSessionCookies;
+
+  // Step 2: The header must match the cookie; compare digests to avoid leaking the token through timing
+  if (needsCsrfToken) {
+    const cookieToken = getCsrfTokenCookie(c);
+    const headerToken = c.req.header(CSRF_TOKEN_HEADER);
+    if (!cookieToken || !headerToken || await hashToken(cookieToken) !== await hashToken(headerToken)) {
+      return c.json({
+        status: 'error',
+        statusCode: 403,
+        error: {
+          code: 'CSRF_TOKEN_INVALID',
+          message: 'Missing or invalid CSRF token',
+          details: `The ${CSRF_TOKEN_HEADER} header must match the csrf_token cookie`
+        }
+      }, 403);
+    }
+  }
+
+  await next();
+}
@@ -5,6 +5,30 @@ export const phoneSchema = z.object({
   phone_number: z.string().min(10).max(15)
 });
 
+export const initiateSchema = phoneSchema.extend({
+  phone_number: phoneSchema.shape.phone_number.optional(), // Not known for QR code logins
+  client_app: z.string().min(1).max(100).optional(), // Shown in the user's list of signed-in devices
+  token_delivery: z.enum(['json', 'cookie']).optional(), // 'cookie' sets HttpOnly session cookies instead of returning tokens
+  method: z.enum(['button', 'reverse', 'qr', 'code', 'link']).optional() // 'reverse' returns a code for the user to message us instead of sending one; 'qr' also as a QR code; 'code' sends a code to type in; 'link' sends a login link
+}).refine(body => body.method === 'qr' || !!body.phone_number, {
+  message: 'phone_number is required unless method is qr',
+  path: ['phone_number']
+});
+
+export const verifyCodeSchema = z.object({
+  session_id: z.string().min(1),
+  code: z.string().regex(/^\d{6}$/)
+});
+
+export const sessionExchangeSchema = z.object({
+  exchange_code: z.string().min(1)
+});
+
+export const authorizeInitiateSchema = z.object({
+  request_id: z.string().min(1),
+  phone_number: z.string().min(10).max(15)
+});
+
 export const tokenSchema = z.object({
   token: z.string().min(10)
 });
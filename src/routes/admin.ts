@@ -0,0 +1,173 @@
+import { Context } from 'hono';
+import { SigningKeyService } from '../services/signingKey';
+import { AuditService } from '../services/audit';
+import { OidcService } from '../services/oidc';
+import { AuditEventType, Env, Variables } from '../types';
+
+// Page size for security events
+const DEFAULT_EVENT_LIMIT = 50;
+const MAX_EVENT_LIMIT = 200;
+
+/**
+ * Lists JWT signing keys and their status (current / previous / retired)
+ * 
+ * @param c - Hono context object
+ * @param signingKeyService - Service instance managing signing keys
+ * @returns JSON response with key metadata (no private material)
+ */
+export async function handleListSigningKeys(c: Context<{
+  Bindings: Env;
+  Variables: Variables;
+}>, signingKeyService: SigningKeyService) {
+  const keys = await signingKeyService.listKeys();
+
+  return c.json({
+    status: 'success',
+    statusCode: 200,
+    message: 'Signing keys retrieved successfully',
+    data: {
+      keys
+    }
+  });
+}
+
+/**
+ * Rotates the JWT signing key
+ * The previous key keeps verifying tokens until they expire, unless
+ * `retire_previous` is set (e.g. after a key leak)
+ * 
+ * @param c - Hono context object, optionally with `{ retire_previous: boolean }` body
+ * @param signingKeyService - Service instance managing signing keys
+ * @param auditService - Service instance used to record the rotation
+ * @returns JSON response with the new and previous key ids
+ */
+export async function handleRotateSigningKey(c: Context<{
+  Bindings: Env;
+  Variables: Variables;
+}>, signingKeyService: SigningKeyService, auditService: AuditService) {
+  // Step 1: Read the optional body (an empty body means a normal rotation)
+  const body = await c.req.json().catch(() => ({}));
+  const retirePrevious = body.retire_previous === true;
+
+  // Step 2: Rotate the key
+  const result = await signingKeyService.rotate(retirePrevious);
+
+  // Step 3: Record the rotation
+  await auditService.recordEvent({
+    type: 'signing_key_rotated',
+    ipAddress: c.req.header('CF-Connecting-IP'),
+    details: {
+      kid: result.kid,
+      previousKid: result.previousKid,
+      retirePrevious,
+      trigger: 'admin'
+    }
+  });
+
+  return c.json({
+    status: 'success',
+    statusCode: 200,
+    message: 'Signing key rotated successfully',
+    data: {
+      kid: result.kid,
+      previousKid: result.previousKid,
+      previousKeyRetired: retirePrevious
+    }
+  });
+}
+
+/**
+ * Lists security events (denied logins, refresh token reuse, rejected webhooks, ...), newest first
+ * 
+ * @param c - Hono context object; optional `type`, `phone_number`, `before` (Unix timestamp)
+ *   and `limit` query parameters
+ * @param auditService - Service instance holding the audit trail
+ * @returns JSON response with the events and the `before` value for the next page
+ */
+export async function handleListSecurityEvents(c: Context<{
+  Bindings: Env;
+  Variables: Variables;
+}>, auditService: AuditService) {
+  // Step 1: Read the filters
+  const requestedLimit = parseInt(c.req.query('limit') || '', 10);
+  const limit = requestedLimit > 0 ? Math.min(requestedLimit, MAX_EVENT_LIMIT) : DEFAULT_EVENT_LIMIT;
+  const before = parseInt(c.req.query('before') || '', 10);
+
+  // Step 2: Load the page
+  const events = await auditService.listEvents({
+    type: c.req.query('type') as AuditEventType | undefined,
+    phoneNumber: c.req.query('phone_number'),
+    before: before > 0 ? before : undefined,
+    limit
+  });
+
+  return c.json({
+    status: 'success',
+    statusCode: 200,
+    message: 'Security events retrieved successfully',
+    data: {
+      events,
+      nextBefore: events.length === limit ? events[events.length - 1].created_at : null
+    }
+  });
+}
+
+/**
+ * Registers an OpenID Connect client
+ * Omit `public` (or set it to false) for server-side apps; the generated secret
+ * is only returned once
+ * 
+ * @param c - Hono context object with `{ name, redirect_uris, public? }` body
+ * @param oidcService - Service instance for the OpenID Connect provider
+ * @returns JSON response with the client id and secret
+ */
+export async function handleCreateOAuthClient(c: Context<{
+  Bindings: Env;
+  Variables: Variables;
+}>, oidcService: OidcService) {
+  // Step 1: Validate the client metadata
+  const body = await c.req.json().catch(() => ({}));
+  const redirectUris: unknown = body.redirect_uris;
+  const validRedirectUris = Array.isArray(redirectUris)
+    && redirectUris.length > 0
+    && redirectUris.every(uri => typeof uri === 'string' && isValidRedirectUri(uri));
+
+  if (typeof body.name !== 'string' || body.name.trim().length === 0 || !validRedirectUris) {
+    return c.json({
+      status: 'error',
+      statusCode: 400,
+      error: {
+        code: 'INVALID_CLIENT_METADATA',
+        message: 'Invalid client metadata',
+        details: 'name and a non-empty redirect_uris array of absolute URLs without fragments are required'
+      }
+    }, 400);
+  }
+
+  // Step 2: Register the client
+  const { clientId, clientSecret } = await oidcService.createClient(
+    body.name.trim(),
+    redirectUris as string[],
+    body.public === true
+  );
+
+  return c.json({
+    status: 'success',
+    statusCode: 201,
+    message: 'OAuth client created successfully',
+    data: {
+      clientId,
+      clientSecret,
+      redirectUris
+    }
+  }, 201);
+}
+
+// Redirect URIs must be absolute and must not carry a fragment (RFC 6749 section 3.1.2)
+function isValidRedirectUri(uri: string): boolean {
+  try {
+    return new URL(uri).hash === '' && !uri.includes('#');
+  } catch {
+    return false;
+  }
+}
@@ -1,53 +1,292 @@
 // Import necessary types and services for handling authentication routes
 import { Context } from 'hono';
 import { AuthService } from '../services/auth';
-import { Env, Variables } from '../types';
+import { AuthSessionService, SESSION_SECRET_HEADER } from '../services/authSession';
+import { Env, LoginMethod, SessionDevice, TokenDelivery, Variables } from '../types';
+import { getRefreshTokenCookie, getRequestAccessToken, setSessionCookies, clearSessionCookies } from '../utils/cookies';
+import { renderQrCodeSvg } from '../utils/qr';
+import { renderLoginLinkPage } from '../views/loginLink';
+
+// Long user agents are truncated before being stored
+const MAX_USER_AGENT_LENGTH = 512;
+
+// Long-poll timeouts in seconds
+const DEFAULT_POLL_TIMEOUT = 25;
+const MAX_POLL_TIMEOUT = 30;
+
+// Describes the device a login is started from (Cloudflare adds CF-IPCountry)
+function getRequestDevice(c: Context<{
+  Bindings: Env;
+  Variables: Variables;
+}>, clientApp?: string): SessionDevice {
+  const userAgent = c.req.header('User-Agent');
+  return {
+    userAgent: userAgent ? userAgent.substring(0, MAX_USER_AGENT_LENGTH) : null,
+    ipCountry: c.req.header('CF-IPCountry') || null,
+    clientApp: clientApp || null
+  };
+}
+
+// Browsers can't set headers on WebSocket or EventSource requests, so the secret may also come as a query parameter
+function getSessionSecret(c: Context): string | undefined {
+  return c.req.header(SESSION_SECRET_HEADER) || c.req.query('secret') || undefined;
+}
+
+function invalidSessionSecret(c: Context) {
+  return c.json({
+    status: 'error',
+    statusCode: 401,
+    error: {
+      code: 'INVALID_SESSION_SECRET',
+      message: 'Missing or invalid session secret',
+      details: `Send the sessionSecret returned by /api/auth/initiate in the ${SESSION_SECRET_HEADER} header or the secret query parameter`
+    }
+  }, 401);
+}
 
 /**
  * Handles the authentication initiation process
- * This function starts the login flow by sending a WhatsApp message with a login button
+ * This function starts the login flow by sending a WhatsApp message with a login button,
+ * or, with the reverse and qr methods, by returning a code for the user to message us
  * 
  * @param c - Hono context object containing request/response and environment bindings
  * @param authService - Service instance for handling authentication operations
- * @param phone_number - The user's phone number to send the login message to
- * @returns JSON response with success/error status and sessionId if successful
+ * @param authSessionService - Tracks the login in its AuthSessionDO until the result is delivered
+ * @param phone_number - The user's phone number to send the login message to; absent for QR code logins
+ * @param client_app - Optional name of the calling app, shown in the user's session list
+ * @param token_delivery - 'cookie' to receive an exchange code for session cookies instead of tokens
+ * @param method - 'reverse' to receive a login code and wa.me link instead of sending a message;
+ *   works outside WhatsApp's 24-hour customer service window. 'qr' does the same without a phone
+ *   number and also returns the link as an SVG QR code, for desktop browsers. 'code' sends a
+ *   6-digit code to be redeemed at /api/auth/verify-code
+ * @returns JSON response with success/error status, and the sessionId and sessionSecret if successful
  */
 export async function handleInitiate(c: Context<{
   Bindings: Env;
   Variables: Variables;
-}>, authService: AuthService, phone_number: string) {
+}>, authService: AuthService, authSessionService: AuthSessionService, phone_number: string | undefined, client_app?: string, token_delivery?: TokenDelivery, method?: LoginMethod) {
 
   // Step 1: Call the auth service to initiate the login process
   // This will:
   // - Generate a unique sessionId for this login attempt
   // - Create a verification token with the sessionId embedded
+  // - Record the device the login comes from
   // - Send a WhatsApp message with an interactive button containing the token
-  const result = await authService.initiateLogin(phone_number);
+  // QR code logins have no number yet; the validator requires one for the other methods
+  const device = getRequestDevice(c, client_app);
+  const ipAddress = c.req.header('CF-Connecting-IP');
+  const result: Awaited<ReturnType<AuthService['initiateLogin']>> = method === 'qr'
+    ? await authService.initiateQrLogin({ device, ipAddress, tokenDelivery: token_delivery })
+    : await authService.initiateLogin(phone_number as string, { device, ipAddress, tokenDelivery: token_delivery, method });
   
   // Step 2: Check if the initiation was successful
-  if (result.success) {
-    // Step 3a: Return success response with the sessionId
-    // The client will use this sessionId to establish a WebSocket connection
+  if (result.success && result.sessionId && result.expiresAt) {
+    // Step 3a: Track the login so the result is kept until the client connects,
+    // even if it connects late or reconnects
+    const sessionSecret = await authSessionService.initialize(result.sessionId, result.expiresAt);
+
+    // Reverse and QR code logins wait for the user to message us the code
+    if (result.loginCode && result.loginUrl) {
+      return c.json({
+        status: 'success',
+        statusCode: 200,
+        message: method === 'qr' ? 'Scan the QR code with your phone to log in' : 'Send the login code from WhatsApp to log in',
+        data: {
+          sessionId: result.sessionId,
+          sessionSecret,
+          loginCode: result.loginCode, // Shown to the user in case the link doesn't open WhatsApp
+          loginUrl: result.loginUrl, // wa.me link with the message prefilled
+          qrCodeSvg: method === 'qr' ? renderQrCodeSvg(result.loginUrl) : undefined // The loginUrl, ready to show on the desktop
+        }
+      });
+    }
+
+    // Return success response with the sessionId and its secret
+    // The client will use both to establish a WebSocket connection
     // and wait for the authentication tokens to be delivered
     return c.json({
       status: 'success',
       statusCode: 200,
       message: 'Confirmation message sent successfully',
       data: {
-        sessionId: result.sessionId // This sessionId is used for WebSocket connection
+        sessionId: result.sessionId, // This sessionId is used for WebSocket connection
+        sessionSecret, // Proves this client started the login; never sent to WhatsApp
+        deliveryChannel: result.deliveryChannel // 'sms' or 'email' if WhatsApp failed and the message fell back
       }
     });
   } else {
     // Step 3b: Return error response if message sending failed
+    // A number locked after a denied login or a rate limit is the caller's problem, not a server
+    // error, and so is asking for a login method this server doesn't offer
+    const statusCode = result.errorCode === 'LOGIN_LOCKED' || result.errorCode === 'TOO_MANY_LOGIN_ATTEMPTS'
+      ? 429
+      : result.errorCode === 'LOGIN_METHOD_UNAVAILABLE' ? 400 : 500;
     return c.json({
       status: 'error',
-      statusCode: 500,
+      statusCode,
       error: {
-        code: 'MESSAGE_SEND_FAILED',
+        code: result.errorCode || 'MESSAGE_SEND_FAILED',
         message: 'Failed to send confirmation message',
         details: result.error || 'Unknown error occurred'
       }
-    }, 500);
+    }, statusCode);
+  }
+}
+
+/**
+ * Opens the WebSocket a client waits on for the login result
+ * 
+ * @param c - Hono context object; the session secret is in the X-Session-Secret header or secret query parameter
+ * @param authSessionService - Client for the login's AuthSessionDO
+ * @param sessionId - The sessionId returned by /api/auth/initiate
+ * @returns WebSocket upgrade response
+ */
+export async function handleSessionWebSocket(c: Context<{
+  Bindings: Env;
+  Variables: Variables;
+}>, authSessionService: AuthSessionService, sessionId: string) {
+  if (!getSessionSecret(c)) {
+    return invalidSessionSecret(c);
+  }
+
+  // The DO checks the secret, since it holds its hash
+  const response = await authSessionService.connect(sessionId, c.req.raw);
+  return response.status === 401 ? invalidSessionSecret(c) : response;
+}
+
+/**
+ * Streams login completion as Server-Sent Events, for clients that can't use WebSockets
+ * Each event carries the same JSON message as the WebSocket; the stream ends after the first one
+ * 
+ * @param c - Hono context object; the session secret is in the X-Session-Secret header or secret query parameter
+ * @param authSessionService - Client for the login's AuthSessionDO
+ * @param sessionId - The sessionId returned by /api/auth/initiate
+ * @returns text/event-stream response
+ */
+export async function handleSessionEvents(c: Context<{
+  Bindings: Env;
+  Variables: Variables;
+}>, authSessionService: AuthSessionService, sessionId: string) {
+  const sessionSecret = getSessionSecret(c);
+  if (!sessionSecret) {
+    return invalidSessionSecret(c);
+  }
+
+  const response = await authSessionService.openEventStream(sessionId, sessionSecret);
+  return response.status === 401 ? invalidSessionSecret(c) : response;
+}
+
+/**
+ * Long-polls for login completion
+ * Answers as soon as the login completes, or with session_pending once the timeout passes
+ * 
+ * @param c - Hono context object; the optional timeout query parameter is in seconds,
+ *   the session secret is in the X-Session-Secret header or secret query parameter
+ * @param authSessionService - Client for the login's AuthSessionDO
+ * @param sessionId - The sessionId returned by /api/auth/initiate
+ * @returns JSON response whose data is the message the WebSocket would receive
+ */
+export async function handleSessionStatus(c: Context<{
+  Bindings: Env;
+  Variables: Variables;
+}>, authSessionService: AuthSessionService, sessionId: string) {
+  const sessionSecret = getSessionSecret(c);
+  if (!sessionSecret) {
+    return invalidSessionSecret(c);
+  }
+
+  // Step 1: Read the timeout, keeping it below common proxy idle limits
+  const requestedTimeout = parseInt(c.req.query('timeout') || '', 10);
+  const timeout = requestedTimeout > 0 ? Math.min(requestedTimeout, MAX_POLL_TIMEOUT) : DEFAULT_POLL_TIMEOUT;
+
+  // Step 2: Wait for the result in the session's Durable Object
+  const data = await authSessionService.waitForStatus(sessionId, sessionSecret, timeout, c.req.raw.signal);
+  if (!data) {
+    return invalidSessionSecret(c);
+  }
+
+  return c.json({
+    status: 'success',
+    statusCode: 200,
+    message: 'Session status retrieved',
+    data
+  });
+}
+
+/**
+ * Cancels a login that is still waiting for the user to tap the WhatsApp button
+ * Waiting connections receive session_cancelled and the button stops working
+ * 
+ * Flow:
+ * 1. Check the session secret in the session's Durable Object and end the session there
+ * 2. Invalidate the verification token so the button no longer logs in
+ * 
+ * @param c - Hono context object; the session secret is in the X-Session-Secret header or secret query parameter
+ * @param authService - Service instance for handling authentication operations
+ * @param authSessionService - Client for the login's AuthSessionDO
+ * @param sessionId - The sessionId returned by /api/auth/initiate
+ * @returns JSON response with success/error status
+ */
+export async function handleCancelSession(c: Context<{
+  Bindings: Env;
+  Variables: Variables;
+}>, authService: AuthService, authSessionService: AuthSessionService, sessionId: string) {
+  const sessionSecret = getSessionSecret(c);
+  if (!sessionSecret) {
+    return invalidSessionSecret(c);
+  }
+
+  // Step 1: Only the client that started the login can cancel it
+  const result = await authSessionService.cancel(sessionId, sessionSecret);
+  if (result === 'invalid_secret') {
+    return invalidSessionSecret(c);
+  }
+  if (result === 'not_found') {
+    return c.json({
+      status: 'error',
+      statusCode: 404,
+      error: {
+        code: 'SESSION_NOT_FOUND',
+        message: 'Login not found',
+        details: 'The login does not exist or has expired'
+      }
+    }, 404);
+  }
+  if (result === 'completed') {
+    return c.json({
+      status: 'error',
+      statusCode: 409,
+      error: {
+        code: 'LOGIN_ALREADY_COMPLETED',
+        message: 'Login already completed',
+        details: 'The user already confirmed this login on WhatsApp'
+      }
+    }, 409);
+  }
+
+  // Step 2: Make the WhatsApp button useless
+  await authService.cancelLogin(sessionId);
+
+  return c.json({
+    status: 'success',
+    statusCode: 200,
+    message: 'Login cancelled',
+    data: {
+      sessionId
+    }
+  });
+}
+
+/**
+ * Reads the optional JSON body of refresh and logout requests
+ * Cookie-based clients may send no body at all
+ */
+async function readOptionalJson(c: Context): Promise<Record<string, unknown>> {
+  try {
+    const body = await c.req.json();
+    return body && typeof body === 'object' ? body : {};
+  } catch {
+    return {};
   }
 }
 
@@ -55,6 +294,10 @@ export async function handleInitiate(c: Context<{
  * Handles token refresh requests
  * This function allows clients to get new access tokens using their refresh token
  * 
+ * The refresh token is read from the JSON body or, for cookie-mode browser clients,
+ * from the HttpOnly refresh_token cookie. Cookie clients get their new tokens as
+ * cookies and never see them in the response body.
+ * 
  * @param c - Hono context object containing the request with refresh token data
  * @param authService - Service instance for handling authentication operations
  * @returns JSON response with new tokens or error if refresh fails
@@ -63,59 +306,260 @@ export async function handleRefreshToken(c: Context<{
   Bindings: Env;
   Variables: Variables;
 }>, authService: AuthService) {
-  // Step 1: Extract refresh token and user ID from the request body
-  const { refresh_token, user_id } = await c.req.json();
+  // Step 1: Extract the refresh token from the request body or the cookie
+  const body = await readOptionalJson(c);
+  const bodyToken = typeof body.refresh_token === 'string' ? body.refresh_token : undefined;
+  const refreshToken = bodyToken || getRefreshTokenCookie(c);
+  const usesCookies = !bodyToken;
   
-  // Step 2: Validate that both required parameters are present
-  if (!refresh_token || !user_id) {
+  // Step 2: Validate that the refresh token is present
+  if (!refreshToken) {
     return c.json({
       status: 'error',
       statusCode: 400,
       error: {
         code: 'MISSING_PARAMETERS',
         message: 'Missing required parameters',
-        details: 'Both refresh_token and user_id are required'
+        details: 'refresh_token is required in the request body or the refresh_token cookie'
       }
     }, 400);
   }
   
   // Step 3: Attempt to refresh the access token
   // This will:
-  // - Validate the refresh token against the database
-  // - Check if the token belongs to the specified user
+  // - Validate the refresh token against the database and resolve its user
   // - Generate new access and refresh tokens if valid
   // - Update the refresh token in the database
-  const result = await authService.refreshAccessToken(refresh_token, user_id);
+  // - Revoke the whole token family if an already rotated token is replayed
+  const result = await authService.refreshAccessToken(refreshToken, {
+    ipAddress: c.req.header('CF-Connecting-IP')
+  });
   
   // Step 4: Check if token refresh was successful
-  if (result) {
-    // Step 5a: Return new tokens to the client
+  if (!result) {
+    // Step 5a: Return error if refresh token is invalid or expired
+    if (usesCookies) {
+      clearSessionCookies(c);
+    }
+    return c.json({
+      status: 'error',
+      statusCode: 401,
+      error: {
+        code: 'INVALID_REFRESH_TOKEN',
+        message: 'Invalid or expired refresh token',
+        details: 'The provided refresh token is not valid or has expired'
+      }
+    }, 401);
+  }
+
+  // Step 5b: Cookie clients get the new tokens as cookies
+  if (usesCookies) {
+    const csrfToken = setSessionCookies(c, result);
     return c.json({
       status: 'success',
       statusCode: 200,
       message: 'Tokens refreshed successfully',
       data: {
-        accessToken: result.accessToken,   // New JWT access token for API calls
-        refreshToken: result.refreshToken  // New refresh token for future refreshes
+        userId: result.userId,
+        csrfToken
       }
     });
+  }
+
+  // Step 5c: Return new tokens to the client
+  return c.json({
+    status: 'success',
+    statusCode: 200,
+    message: 'Tokens refreshed successfully',
+    data: {
+      accessToken: result.accessToken,   // New JWT access token for API calls
+      refreshToken: result.refreshToken, // New refresh token for future refreshes
+      userId: result.userId
+    }
+  });
+}
+
+/**
+ * Completes a login started with the code method, using the 6-digit code from the
+ * WhatsApp authentication template
+ * 
+ * Each wrong code uses up an attempt; after the last one the login is invalidated.
+ * Codes tried from one IP address are also limited, across logins.
+ * 
+ * @param c - Hono context object
+ * @param authService - Service instance for handling authentication operations
+ * @param session_id - The sessionId returned by /api/auth/initiate
+ * @param code - The code the user typed in
+ * @returns JSON response with the tokens (or, for cookie-mode logins, the session cookies
+ *   and CSRF token), or error if the code is wrong
+ */
+export async function handleVerifyCode(c: Context<{
+  Bindings: Env;
+  Variables: Variables;
+}>, authService: AuthService, session_id: string, code: string) {
+  // Step 1: Check the code and start the session
+  const result = await authService.verifyLoginCode(session_id, code, c.req.header('CF-Connecting-IP'));
+  if (!result.success || !result.accessToken || !result.refreshToken || !result.userId) {
+    const statusCode = result.errorCode === 'LOGIN_CODE_ATTEMPTS_EXCEEDED' || result.errorCode === 'TOO_MANY_LOGIN_ATTEMPTS' ? 429 : 401;
+    return c.json({
+      status: 'error',
+      statusCode,
+      error: {
+        code: result.errorCode || 'INVALID_LOGIN_CODE',
+        message: 'Invalid login code',
+        details: result.error || 'The code is not valid'
+      }
+    }, statusCode);
+  }
+
+  // Step 2a: Cookie-mode logins get the tokens as cookies
+  if (result.tokenDelivery === 'cookie') {
+    const csrfToken = setSessionCookies(c, { accessToken: result.accessToken, refreshToken: result.refreshToken });
+    return c.json({
+      status: 'success',
+      statusCode: 200,
+      message: 'Login successful',
+      data: {
+        userId: result.userId,
+        csrfToken // Send back in the X-CSRF-Token header on state-changing requests
+      }
+    });
+  }
+
+  // Step 2b: Return the tokens to the client
+  return c.json({
+    status: 'success',
+    statusCode: 200,
+    message: 'Login successful',
+    data: {
+      accessToken: result.accessToken,
+      refreshToken: result.refreshToken,
+      userId: result.userId
+    }
+  });
+}
+
+/**
+ * Serves the page login links open
+ * The page only posts the token to /api/auth/verify once the user confirms
+ */
+export async function handleLoginLinkPage(c: Context<{
+  Bindings: Env;
+  Variables: Variables;
+}>) {
+  // The token is in the URL; don't cache the page or leak it to other sites
+  c.header('Cache-Control', 'no-store');
+  c.header('Referrer-Policy', 'no-referrer');
+  return c.html(renderLoginLinkPage());
+}
+
+/**
+ * Redeems the token of a login link, confirming a login started with the link method
+ * 
+ * Like a tapped WhatsApp button, this completes the login for the client that
+ * started it: the tokens (or the cookie-mode exchange code) are delivered over
+ * the login session channel, not to whoever posts the link here.
+ * 
+ * @param c - Hono context object
+ * @param authService - Service instance for handling authentication operations
+ * @param authSessionService - Delivers the result to the waiting client
+ * @param token - The token from the login link
+ * @returns JSON response confirming the login, or error if the link is invalid
+ */
+export async function handleVerifyLoginLink(c: Context<{
+  Bindings: Env;
+  Variables: Variables;
+}>, authService: AuthService, authSessionService: AuthSessionService, token: string) {
+  const invalidLink = () => c.json({
+    status: 'error',
+    statusCode: 401,
+    error: {
+      code: 'INVALID_TOKEN',
+      message: 'Invalid login link',
+      details: 'This login link is invalid, has expired or was already used.'
+    }
+  }, 401);
+
+  // Step 1: Look up the login without consuming it
+  // Authorization requests are completed on WhatsApp only, never by link
+  const tokenInfo = await authService.verifyLoginTokenOnly(token);
+  if (!tokenInfo || !tokenInfo.sessionId || tokenInfo.authorizationRequestId) {
+    return invalidLink();
+  }
+
+  // Step 2: Consume the token and deliver the result to the waiting client
+  if (tokenInfo.tokenDelivery === 'cookie') {
+    const exchange = await authService.createLoginExchange(token);
+    if (!exchange) {
+      return invalidLink();
+    }
+    await authSessionService.sendExchangeCode(tokenInfo.sessionId, exchange);
   } else {
-    // Step 5b: Return error if refresh token is invalid or expired
+    const result = await authService.verifyLogin(token);
+    if (!result) {
+      return invalidLink();
+    }
+    await authSessionService.sendTokens(tokenInfo.sessionId, result);
+  }
+
+  // Step 3: Confirm to the page the link was opened on
+  return c.json({
+    status: 'success',
+    statusCode: 200,
+    message: 'Login confirmed',
+    data: {
+      confirmed: true
+    }
+  });
+}
+
+/**
+ * Redeems the exchange code a cookie-mode login receives over the WebSocket
+ * and sets the session cookies
+ * 
+ * @param c - Hono context object
+ * @param authService - Service instance for handling authentication operations
+ * @param exchange_code - One-time code from the auth_success WebSocket event
+ * @returns JSON response with the user id and CSRF token, or error if the code is invalid
+ */
+export async function handleCreateSession(c: Context<{
+  Bindings: Env;
+  Variables: Variables;
+}>, authService: AuthService, exchange_code: string) {
+  // Step 1: Redeem the code and start the session
+  const result = await authService.redeemLoginExchange(exchange_code);
+  if (!result) {
     return c.json({
       status: 'error',
       statusCode: 401,
       error: {
-        code: 'INVALID_REFRESH_TOKEN',
-        message: 'Invalid or expired refresh token',
-        details: 'The provided refresh token is not valid or has expired'
+        code: 'INVALID_EXCHANGE_CODE',
+        message: 'Invalid or expired exchange code',
+        details: 'The exchange code is not valid, has expired or was already used'
       }
     }, 401);
   }
+
+  // Step 2: Hand the tokens to the browser as cookies
+  const csrfToken = setSessionCookies(c, result);
+  return c.json({
+    status: 'success',
+    statusCode: 200,
+    message: 'Session created successfully',
+    data: {
+      userId: result.userId,
+      csrfToken // Send back in the X-CSRF-Token header on state-changing requests
+    }
+  });
 }
 
 /**
  * Handles user logout requests
- * This function invalidates the user's refresh token and cleans up their session
+ * 
+ * The caller must prove who they are with either:
+ * - An access token (Bearer header or access_token cookie): logs out that session,
+ *   or every device with {"all_devices": true}
+ * - A refresh token (JSON body or refresh_token cookie): logs out the device it belongs to
  * 
  * @param c - Hono context object containing the request with logout data
  * @param authService - Service instance for handling authentication operations
@@ -125,43 +569,64 @@ export async function handleLogout(c: Context<{
   Bindings: Env;
   Variables: Variables;
 }>, authService: AuthService) {
-  // Step 1: Extract user ID and refresh token from the request body
-  const { user_id, refresh_token } = await c.req.json();
-  
-  // Step 2: Validate that the required user_id parameter is present
-  // Note: refresh_token is optional - if not provided, all user sessions will be invalidated
-  if (!user_id) {
+  // Step 1: Extract the credentials from the headers, body and cookie
+  const body = await readOptionalJson(c);
+  const accessToken = getRequestAccessToken(c);
+  const refreshToken = (typeof body.refresh_token === 'string' ? body.refresh_token : undefined) || getRefreshTokenCookie(c);
+
+  // Step 2: Reject requests that carry neither credential
+  if (!accessToken && !refreshToken) {
     return c.json({
       status: 'error',
-      statusCode: 400,
+      statusCode: 401,
       error: {
-        code: 'MISSING_USER_ID',
-        message: 'Missing required parameter',
-        details: 'user_id is required for logout'
+        code: 'MISSING_AUTHORIZATION',
+        message: 'Missing credentials',
+        details: 'A Bearer access token or a refresh token is required for logout'
       }
-    }, 400);
+    }, 401);
   }
-  
-  // Step 3: Perform the logout operation
-  // This will:
-  // - Invalidate the specific refresh token (if provided)
-  // - Or invalidate all refresh tokens for the user (if no token provided)
-  // - Clean up any active sessions in the database
-  const success = await authService.logout(user_id, refresh_token);
-  
-  // Step 4: Check if logout was successful
-  if (success) {
-    // Step 5a: Return success confirmation
-    return c.json({
-      status: 'success',
-      statusCode: 200,
-      message: 'Logged out successfully',
-      data: {
-        success: true
+
+  try {
+    // Step 3: Perform the logout operation
+    const tokenInfo = accessToken ? await authService.validateAccessToken(accessToken) : null;
+    if (tokenInfo && body.all_devices === true) {
+      // Step 3a: Revoke every session and refresh token of the authenticated user
+      await authService.logoutAllDevices(tokenInfo.userId);
+    } else if (tokenInfo && tokenInfo.sessionId) {
+      // Step 3b: Revoke the session the access token belongs to
+      await authService.revokeSession(tokenInfo.sessionId);
+    } else if (refreshToken) {
+      // Step 3c: Revoke the refresh token and its session
+      if (!(await authService.logoutWithRefreshToken(refreshToken))) {
+        clearSessionCookies(c);
+        return c.json({
+          status: 'error',
+          statusCode: 401,
+          error: {
+            code: 'INVALID_REFRESH_TOKEN',
+            message: 'Invalid or expired refresh token',
+            details: 'The provided refresh token is not valid or has expired'
+          }
+        }, 401);
       }
-    });
-  } else {
-    // Step 5b: Return error if logout operation failed
+    } else if (tokenInfo) {
+      // Step 3d: Tokens without a session can only be revoked individually
+      await authService.revokeAccessToken(accessToken!);
+    } else {
+      return c.json({
+        status: 'error',
+        statusCode: 401,
+        error: {
+          code: 'INVALID_TOKEN',
+          message: 'Invalid or expired token',
+          details: 'The provided access token is not valid or has expired'
+        }
+      }, 401);
+    }
+  } catch (error) {
+    // Step 4: Return error if logout operation failed
+    console.error('Logout failed:', error);
     return c.json({
       status: 'error',
       statusCode: 500,
@@ -172,6 +637,17 @@ export async function handleLogout(c: Context<{
       }
     }, 500);
   }
+
+  // Step 5: Return success confirmation
+  clearSessionCookies(c);
+  return c.json({
+    status: 'success',
+    statusCode: 200,
+    message: 'Logged out successfully',
+    data: {
+      success: true
+    }
+  });
 }
 
 /**
@@ -186,36 +662,33 @@ export async function handleValidate(c: Context<{
   Bindings: Env;
   Variables: Variables;
 }>, authService: AuthService) {
-  // Step 1: Extract the Authorization header from the request
-  const authHeader = c.req.header('Authorization');
+  // Step 1: Extract the access token from the Authorization header or the access cookie
+  // Expected header format: "Bearer <jwt_token>"
+  const token = getRequestAccessToken(c);
   
-  // Step 2: Validate that the Authorization header exists and has the correct format
-  // Expected format: "Bearer <jwt_token>"
-  if (!authHeader || !authHeader.startsWith('Bearer ')) {
+  // Step 2: Validate that a token was provided
+  if (!token) {
     return c.json({
       status: 'error',
       statusCode: 401,
       error: {
         code: 'MISSING_AUTHORIZATION',
         message: 'Missing or invalid authorization header',
-        details: 'Authorization header with Bearer token is required'
+        details: 'Authorization header with Bearer token or the access_token cookie is required'
       }
     }, 401);
   }
   
-  // Step 3: Extract the JWT token by removing the 'Bearer ' prefix (7 characters)
-  const token = authHeader.substring(7);
-  
-  // Step 4: Validate the access token
+  // Step 3: Validate the access token
   // This will:
   // - Verify the JWT signature using the secret key
   // - Check if the token has expired
   // - Extract user information from the token payload
   const authInfo = await authService.validateAccessToken(token);
   
-  // Step 5: Check if token validation was successful
+  // Step 4: Check if token validation was successful
   if (!authInfo) {
-    // Step 6a: Return error if token is invalid or expired
+    // Step 5a: Return error if token is invalid or expired
     return c.json({
       status: 'error',
       statusCode: 401,
@@ -227,7 +700,7 @@ export async function handleValidate(c: Context<{
     }, 401);
   }
   
-  // Step 6b: Return success with user information if token is valid
+  // Step 5b: Return success with user information if token is valid
   return c.json({
     status: 'success',
     statusCode: 200,
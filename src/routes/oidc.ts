@@ -0,0 +1,477 @@
+import { Context } from 'hono';
+import { CONFIG } from '../config';
+import { AuthService, AccessTokenInfo, ACCESS_TOKEN_EXPIRY } from '../services/auth';
+import { OidcService, SUPPORTED_SCOPES } from '../services/oidc';
+import { AuthSessionService } from '../services/authSession';
+import { UserService } from '../services/user';
+import { VerificationService } from '../services/verification';
+import { Env, OAuthClient, Variables } from '../types';
+import { renderAuthorizeErrorPage, renderAuthorizePage } from '../views/authorize';
+
+type OidcContext = Context<{
+  Bindings: Env;
+  Variables: Variables;
+}>;
+
+// PKCE code challenges are base64url(SHA-256(verifier)): 43 characters
+const CODE_CHALLENGE_PATTERN = /^[A-Za-z0-9_-]{43}$/;
+
+// RFC 7636: verifiers are 43-128 unreserved characters
+const CODE_VERIFIER_PATTERN = /^[A-Za-z0-9._~-]{43,128}$/;
+
+// The issuer is configured explicitly in production; locally it is the request origin
+function getIssuer(c: OidcContext): string {
+  return CONFIG.OIDC.ISSUER || new URL(c.req.url).origin;
+}
+
+/**
+ * Returns an OAuth 2.0 error response (RFC 6749 section 5.2)
+ * OAuth clients expect `{ error, error_description }`, not the API envelope
+ */
+function oauthError(c: OidcContext, error: string, description: string, statusCode: 400 | 401 = 400) {
+  c.header('Cache-Control', 'no-store');
+  return c.json({ error, error_description: description }, statusCode);
+}
+
+/**
+ * Authenticates the calling client from HTTP Basic (client_secret_basic)
+ * or the form body (client_secret_post, or just client_id for public clients)
+ * Sets WWW-Authenticate when Basic credentials were presented and rejected
+ */
+async function authenticateClientRequest(
+  c: OidcContext,
+  oidcService: OidcService,
+  body: Record<string, unknown>
+): Promise<OAuthClient | null> {
+  let clientId = typeof body.client_id === 'string' ? body.client_id : undefined;
+  let clientSecret = typeof body.client_secret === 'string' ? body.client_secret : undefined;
+
+  const authHeader = c.req.header('Authorization');
+  const usesBasic = !!authHeader && authHeader.startsWith('Basic ');
+  if (usesBasic) {
+    try {
+      const decoded = atob(authHeader!.substring(6));
+      const separator = decoded.indexOf(':');
+      clientId = decodeURIComponent(decoded.substring(0, separator));
+      clientSecret = decodeURIComponent(decoded.substring(separator + 1));
+    } catch {
+      clientId = undefined;
+    }
+  }
+
+  const client = clientId ? await oidcService.authenticateClient(clientId, clientSecret) : null;
+  if (!client && usesBasic) {
+    c.header('WWW-Authenticate', 'Basic realm="oauth"');
+  }
+  return client;
+}
+
+/**
+ * Serves the OpenID Provider metadata (OpenID Connect Discovery 1.0)
+ *
+ * @param c - Hono context object
+ * @returns Provider configuration document
+ */
+export async function handleOpenIdConfiguration(c: OidcContext) {
+  const issuer = getIssuer(c);
+
+  c.header('Cache-Control', 'public, max-age=300');
+  return c.json({
+    issuer,
+    authorization_endpoint: `${issuer}/authorize`,
+    token_endpoint: `${issuer}/token`,
+    userinfo_endpoint: `${issuer}/userinfo`,
+    introspection_endpoint: `${issuer}/oauth/introspect`,
+    revocation_endpoint: `${issuer}/oauth/revoke`,
+    jwks_uri: `${issuer}/.well-known/jwks.json`,
+    response_types_supported: ['code'],
+    grant_types_supported: ['authorization_code'],
+    subject_types_supported: ['public'],
+    id_token_signing_alg_values_supported: [CONFIG.JWT.ALGORITHM],
+    scopes_supported: SUPPORTED_SCOPES,
+    claims_supported: ['sub', 'iss', 'aud', 'exp', 'iat', 'auth_time', 'nonce', 'phone_number', 'phone_number_verified', 'name'],
+    code_challenge_methods_supported: ['S256'],
+    token_endpoint_auth_methods_supported: ['client_secret_basic', 'client_secret_post', 'none'],
+    introspection_endpoint_auth_methods_supported: ['client_secret_basic', 'client_secret_post'],
+    revocation_endpoint_auth_methods_supported: ['client_secret_basic', 'client_secret_post', 'none']
+  });
+}
+
+/**
+ * Handles the authorization endpoint
+ * Validates the request and renders the "Sign in with WhatsApp" page
+ *
+ * Flow:
+ * 1. Validate client_id and redirect_uri (errors are shown, never redirected)
+ * 2. Validate response_type, scope and PKCE parameters (errors are redirected to the client)
+ * 3. Store the authorization request
+ * 4. Render the login page for it
+ *
+ * @param c - Hono context object with the authorization request query parameters
+ * @param oidcService - Service instance for the OpenID Connect provider
+ * @returns HTML login page, HTML error page or redirect to the client with an error
+ */
+export async function handleAuthorize(c: OidcContext, oidcService: OidcService) {
+  const query = c.req.query();
+
+  // Step 1: An unknown client or unregistered redirect URI must not receive a redirect
+  const client = query.client_id ? await oidcService.findClient(query.client_id) : null;
+  if (!client) {
+    return c.html(renderAuthorizeErrorPage('Unknown client_id.'), 400);
+  }
+  if (!query.redirect_uri || !oidcService.isRedirectUriAllowed(client, query.redirect_uri)) {
+    return c.html(renderAuthorizeErrorPage('redirect_uri is not registered for this client.'), 400);
+  }
+
+  const redirectWithError = (error: string, description: string) => {
+    const redirectUrl = new URL(query.redirect_uri);
+    redirectUrl.searchParams.set('error', error);
+    redirectUrl.searchParams.set('error_description', description);
+    if (query.state) {
+      redirectUrl.searchParams.set('state', query.state);
+    }
+    return c.redirect(redirectUrl.toString(), 302);
+  };
+
+  // Step 2: Validate the rest of the request
+  if (query.response_type !== 'code') {
+    return redirectWithError('unsupported_response_type', 'Only response_type=code is supported');
+  }
+
+  const scopes = (query.scope || '').split(' ').filter(scope => scope.length > 0);
+  if (!scopes.includes('openid')) {
+    return redirectWithError('invalid_scope', 'The openid scope is required');
+  }
+  const grantedScope = scopes.filter(scope => SUPPORTED_SCOPES.includes(scope)).join(' ');
+
+  // PKCE is mandatory for every client, confidential ones included
+  if (!query.code_challenge || !CODE_CHALLENGE_PATTERN.test(query.code_challenge)) {
+    return redirectWithError('invalid_request', 'A valid code_challenge is required');
+  }
+  if (query.code_challenge_method !== 'S256') {
+    return redirectWithError('invalid_request', 'code_challenge_method must be S256');
+  }
+
+  // Step 3: Store the request until the user confirms on WhatsApp
+  const authorizationRequest = await oidcService.createAuthorizationRequest({
+    clientId: client.id,
+    redirectUri: query.redirect_uri,
+    scope: grantedScope,
+    state: query.state,
+    nonce: query.nonce,
+    codeChallenge: query.code_challenge,
+    codeChallengeMethod: 'S256'
+  });
+
+  // Step 4: Render the login page
+  c.header('Cache-Control', 'no-store');
+  return c.html(renderAuthorizePage({ requestId: authorizationRequest.id, clientName: client.name }));
+}
+
+/**
+ * Sends the WhatsApp confirmation for an authorization request
+ * Called by the login page rendered by /authorize
+ *
+ * @param c - Hono context object
+ * @param oidcService - Service instance for the OpenID Connect provider
+ * @param authService - Service instance for handling authentication operations
+ * @param authSessionService - Tracks the login in its AuthSessionDO
+ * @param requestId - The authorization request being completed
+ * @param phoneNumber - The user's phone number to send the login message to
+ * @returns JSON response with the sessionId and sessionSecret used for the WebSocket connection
+ */
+export async function handleAuthorizeInitiate(
+  c: OidcContext,
+  oidcService: OidcService,
+  authService: AuthService,
+  authSessionService: AuthSessionService,
+  requestId: string,
+  phoneNumber: string
+) {
+  // Step 1: The authorization request must still be pending
+  const authorizationRequest = await oidcService.findPendingAuthorizationRequest(requestId);
+  if (!authorizationRequest) {
+    return c.json({
+      status: 'error',
+      statusCode: 400,
+      error: {
+        code: 'INVALID_AUTHORIZATION_REQUEST',
+        message: 'Authorization request not found or expired',
+        details: 'Restart sign-in from the application'
+      }
+    }, 400);
+  }
+
+  // Step 2: Send the WhatsApp button, linked to the authorization request
+  const result = await authService.initiateLogin(phoneNumber, {
+    authorizationRequestId: requestId,
+    ipAddress: c.req.header('CF-Connecting-IP')
+  });
+  if (!result.success || !result.sessionId || !result.expiresAt) {
+    const statusCode = result.errorCode === 'LOGIN_LOCKED' || result.errorCode === 'TOO_MANY_LOGIN_ATTEMPTS' ? 429 : 500;
+    return c.json({
+      status: 'error',
+      statusCode,
+      error: {
+        code: result.errorCode || 'MESSAGE_SEND_FAILED',
+        message: 'Failed to send confirmation message',
+        details: result.error || 'Unknown error occurred'
+      }
+    }, statusCode);
+  }
+
+  // Step 3: Track the login so the redirect reaches the page even if it reconnects
+  const sessionSecret = await authSessionService.initialize(result.sessionId, result.expiresAt);
+
+  return c.json({
+    status: 'success',
+    statusCode: 200,
+    message: 'Confirmation message sent successfully',
+    data: {
+      sessionId: result.sessionId,
+      sessionSecret
+    }
+  });
+}
+
+/**
+ * Handles the token endpoint (authorization_code grant only)
+ *
+ * Flow:
+ * 1. Parse the form-encoded request and authenticate the client
+ * 2. Redeem the authorization code (checks client, redirect URI and PKCE verifier)
+ * 3. Issue the access token and ID token
+ *
+ * @param c - Hono context object with an application/x-www-form-urlencoded body
+ * @param oidcService - Service instance for the OpenID Connect provider
+ * @param authService - Service instance used to create access tokens
+ * @param userService - Service instance used to load the user's claims
+ * @returns OAuth token response or OAuth error
+ */
+export async function handleToken(c: OidcContext, oidcService: OidcService, authService: AuthService, userService: UserService) {
+  // Step 1: Parse the request
+  const body = await c.req.parseBody().catch(() => ({} as Record<string, unknown>));
+  const param = (name: string) => typeof body[name] === 'string' ? body[name] as string : undefined;
+
+  if (param('grant_type') !== 'authorization_code') {
+    return oauthError(c, 'unsupported_grant_type', 'Only the authorization_code grant is supported');
+  }
+
+  const code = param('code');
+  const redirectUri = param('redirect_uri');
+  const codeVerifier = param('code_verifier');
+  if (!code || !redirectUri || !codeVerifier) {
+    return oauthError(c, 'invalid_request', 'code, redirect_uri and code_verifier are required');
+  }
+  if (!CODE_VERIFIER_PATTERN.test(codeVerifier)) {
+    return oauthError(c, 'invalid_request', 'code_verifier is malformed');
+  }
+
+  const client = await authenticateClientRequest(c, oidcService, body);
+  if (!client) {
+    return oauthError(c, 'invalid_client', 'Client authentication failed', 401);
+  }
+
+  // Step 2: Redeem the code
+  const exchange = await oidcService.exchangeAuthorizationCode({
+    code,
+    clientId: client.id,
+    redirectUri,
+    codeVerifier
+  });
+  if (!exchange.request) {
+    console.log(`[OIDC] Code exchange failed for client ${client.id}: ${exchange.error}`);
+    return oauthError(c, 'invalid_grant', exchange.error || 'Invalid authorization code');
+  }
+
+  const user = await userService.findUserById(exchange.request.user_id);
+  if (!user) {
+    return oauthError(c, 'invalid_grant', 'The user no longer exists');
+  }
+
+  // Step 3: Issue the tokens
+  const accessToken = await authService.createAccessToken(user.id, {
+    sub: user.id,
+    client_id: client.id,
+    scope: exchange.request.scope
+  });
+  const idToken = await oidcService.createIdToken(getIssuer(c), exchange.request, user);
+
+  c.header('Cache-Control', 'no-store');
+  return c.json({
+    access_token: accessToken,
+    token_type: 'Bearer',
+    expires_in: ACCESS_TOKEN_EXPIRY,
+    id_token: idToken,
+    scope: exchange.request.scope
+  });
+}
+
+/**
+ * Handles the userinfo endpoint
+ * Returns the claims for the scopes granted to the access token
+ *
+ * @param c - Hono context object with a Bearer access token
+ * @param oidcService - Service instance for the OpenID Connect provider
+ * @param authService - Service instance used to validate the access token
+ * @param userService - Service instance used to load the user
+ * @returns Userinfo claims or a Bearer token error
+ */
+export async function handleUserInfo(c: OidcContext, oidcService: OidcService, authService: AuthService, userService: UserService) {
+  // Step 1: Validate the access token
+  const authHeader = c.req.header('Authorization');
+  const authInfo = authHeader && authHeader.startsWith('Bearer ')
+    ? await authService.validateAccessToken(authHeader.substring(7), { allowClientTokens: true })
+    : null;
+
+  // Only tokens issued by the token endpoint carry the openid scope
+  if (!authInfo || !authInfo.scope || !authInfo.scope.split(' ').includes('openid')) {
+    c.header('WWW-Authenticate', 'Bearer error="invalid_token"');
+    return oauthError(c, 'invalid_token', 'The access token is invalid or was not issued for OpenID Connect', 401);
+  }
+
+  // Step 2: Return the claims for the granted scopes
+  const user = await userService.findUserById(authInfo.userId);
+  if (!user) {
+    c.header('WWW-Authenticate', 'Bearer error="invalid_token"');
+    return oauthError(c, 'invalid_token', 'The user no longer exists', 401);
+  }
+
+  c.header('Cache-Control', 'no-store');
+  return c.json({
+    sub: user.id,
+    ...oidcService.getUserClaims(user, authInfo.scope)
+  });
+}
+
+/**
+ * Handles token introspection (RFC 7662)
+ * Lets resource servers and API gateways check access and refresh tokens
+ *
+ * Flow:
+ * 1. Authenticate the caller (confidential clients only)
+ * 2. Look the token up as an access token, then as a refresh token (or the other
+ *    way round, following token_type_hint)
+ * 3. Return its claims, or `{ active: false }` for any invalid, expired or revoked token
+ *
+ * @param c - Hono context object with an application/x-www-form-urlencoded body
+ * @param oidcService - Service instance used to authenticate the client
+ * @param authService - Service instance used to validate access tokens
+ * @param verificationService - Service instance used to look up refresh tokens
+ * @returns Introspection response
+ */
+export async function handleIntrospect(
+  c: OidcContext,
+  oidcService: OidcService,
+  authService: AuthService,
+  verificationService: VerificationService
+) {
+  const body = await c.req.parseBody().catch(() => ({} as Record<string, unknown>));
+
+  // Step 1: Only confidential clients may introspect; public clients can't keep a secret
+  const client = await authenticateClientRequest(c, oidcService, body);
+  if (!client || client.secret_hash === null) {
+    return oauthError(c, 'invalid_client', 'Client authentication failed', 401);
+  }
+
+  const token = typeof body.token === 'string' ? body.token : '';
+  if (!token) {
+    return oauthError(c, 'invalid_request', 'token is required');
+  }
+
+  c.header('Cache-Control', 'no-store');
+  const issuer = getIssuer(c);
+
+  // Step 2: Look the token up; the hint only decides which kind is tried first
+  const lookups = [
+    async () => {
+      const accessToken = await authService.validateAccessToken(token, { allowClientTokens: true });
+      return accessToken ? describeAccessToken(issuer, accessToken) : null;
+    },
+    async () => {
+      const refreshToken = await verificationService.findActiveRefreshToken(token);
+      return refreshToken ? {
+        active: true,
+        iss: issuer,
+        sub: refreshToken.user_id,
+        exp: refreshToken.expires_at,
+        iat: refreshToken.created_at,
+        token_type: 'refresh_token'
+      } : null;
+    }
+  ];
+  if (body.token_type_hint === 'refresh_token') {
+    lookups.reverse();
+  }
+
+  // Step 3: Return the first match
+  for (const lookup of lookups) {
+    const result = await lookup();
+    if (result) {
+      return c.json(result);
+    }
+  }
+  return c.json({ active: false });
+}
+
+/**
+ * Handles token revocation (RFC 7009)
+ *
+ * Flow:
+ * 1. Authenticate the caller
+ * 2. Revoke the token if it is an access token issued to the caller
+ * 3. Respond 200 whether or not the token was valid, as the RFC requires
+ *
+ * Note: A client can only revoke tokens issued to it (RFC 7009 section 2.1). Clients
+ * are only issued access tokens; refresh tokens and other first-party tokens (issued
+ * by /api/auth) carry no client and are revoked through /api/auth/logout. Tokens the
+ * caller can't revoke are treated like unknown ones, so the endpoint doesn't reveal
+ * whether someone else's token is valid.
+ *
+ * @param c - Hono context object with an application/x-www-form-urlencoded body
+ * @param oidcService - Service instance used to authenticate the client
+ * @param authService - Service instance used to revoke access tokens
+ * @returns Empty 200 response
+ */
+export async function handleRevoke(
+  c: OidcContext,
+  oidcService: OidcService,
+  authService: AuthService
+) {
+  const body = await c.req.parseBody().catch(() => ({} as Record<string, unknown>));
+
+  // Step 1: Authenticate the caller
+  const client = await authenticateClientRequest(c, oidcService, body);
+  if (!client) {
+    return oauthError(c, 'invalid_client', 'Client authentication failed', 401);
+  }
+
+  const token = typeof body.token === 'string' ? body.token : '';
+  if (!token) {
+    return oauthError(c, 'invalid_request', 'token is required');
+  }
+
+  // Step 2: Revoke the token, only if it was issued to this client
+  const accessToken = await authService.validateAccessToken(token, { allowClientTokens: true });
+  if (accessToken && accessToken.clientId === client.id && await authService.revokeAccessToken(token, { allowClientTokens: true })) {
+    console.log(`[OIDC] Token revoked by client ${client.id}`);
+  }
+
+  // Step 3: Invalid or unknown tokens are not an error (RFC 7009 section 2.2)
+  c.header('Cache-Control', 'no-store');
+  return c.body(null, 200);
+}
+
+function describeAccessToken(issuer: string, accessToken: AccessTokenInfo) {
+  return {
+    active: true,
+    iss: issuer,
+    sub: accessToken.userId,
+    exp: accessToken.expiresAt,
+    iat: accessToken.issuedAt,
+    token_type: 'Bearer',
+    ...(accessToken.clientId ? { client_id: accessToken.clientId } : {}),
+    ...(accessToken.scope ? { scope: accessToken.scope } : {}),
+    ...(accessToken.tokenId ? { jti: accessToken.tokenId } : {})
+  };
+}
@@ -3,6 +3,10 @@ import { UserService } from '../services/user';
 import { authMiddleware } from '../middleware/auth';
 import { AuthService } from '../services/auth';
 import { Env, Variables } from '../types';
+import { renderEmailVerificationPage } from '../views/emailVerification';
+
+// Deliberately loose: the address is only used to send login messages to, once confirmed
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
 
 export async function handleGetUserMe(c: Context<{
   Bindings: Env;
@@ -32,6 +36,8 @@ export async function handleGetUserMe(c: Context<{
         id: user.id,
         phoneNumber: user.phone_number,
         name: user.name,
+        email: user.email,
+        emailVerified: !!user.email_verified_at,
         createdAt: user.created_at
       }
     });
@@ -48,10 +54,21 @@ export async function handleGetUserMe(c: Context<{
   }
 }
 
+/**
+ * Updates the current user's name and email address
+ * 
+ * A new email address is only used for login messages once confirmed with the link
+ * emailed to it, and the user is told about the change on WhatsApp.
+ * 
+ * @param c - Hono context object with authInfo set by authMiddleware
+ * @param userService - Service instance for user data
+ * @param authService - Service instance that changes the email address
+ * @returns JSON response with the updated fields
+ */
 export async function handlePutUserMe(c: Context<{
   Bindings: Env;
   Variables: Variables;
-}>, userService: UserService) {
+}>, userService: UserService, authService: AuthService) {
   const authInfo = c.get('authInfo');
   if (!authInfo) {
     return c.json({
@@ -66,9 +83,10 @@ export async function handlePutUserMe(c: Context<{
   }
   
   try {
-    const { name } = await c.req.json();
+    const { name, email } = await c.req.json();
     
-    if (!name || typeof name !== 'string' || name.trim().length === 0) {
+    // The name may be left out when only the email changes
+    if ((name !== undefined || email === undefined) && (!name || typeof name !== 'string' || name.trim().length === 0)) {
       return c.json({
         status: 'error',
         statusCode: 400,
@@ -80,11 +98,38 @@ export async function handlePutUserMe(c: Context<{
       }, 400);
     }
     
-    // Update user name
-    await c.env.DB
-      .prepare('UPDATE users SET name = ? WHERE id = ?')
-      .bind(name.trim(), authInfo.userId)
-      .run();
+    // Login messages fall back to this address when WhatsApp fails; null removes it
+    if (email !== undefined && email !== null && (typeof email !== 'string' || !EMAIL_PATTERN.test(email.trim()))) {
+      return c.json({
+        status: 'error',
+        statusCode: 400,
+        error: {
+          code: 'INVALID_EMAIL',
+          message: 'Invalid email provided',
+          details: 'Email must be an email address, or null to remove it'
+        }
+      }, 400);
+    }
+
+    // Update the fields that were sent
+    const updates: { name?: string; email?: string | null } = {};
+    if (name !== undefined) {
+      updates.name = name.trim();
+      await c.env.DB
+        .prepare('UPDATE users SET name = ? WHERE id = ?')
+        .bind(updates.name, authInfo.userId)
+        .run();
+    }
+
+    // The email address needs confirming before login messages are sent to it
+    let emailChange: { verificationSent: boolean } | null = null;
+    if (email !== undefined) {
+      const newEmail = email === null ? null : email.trim();
+      updates.email = newEmail;
+      emailChange = await authService.changeEmail(authInfo.userId, newEmail);
+    }
+
+    const user = await userService.findUserById(authInfo.userId);
     
     return c.json({
       status: 'success',
@@ -92,7 +137,11 @@ export async function handlePutUserMe(c: Context<{
       message: 'User updated successfully',
       data: {
         success: true,
-        name: name.trim()
+        ...updates,
+        ...(emailChange && {
+          emailVerified: !!user?.email_verified_at,
+          emailVerificationSent: emailChange.verificationSent
+        })
       }
     });
   } catch (error) {
@@ -108,6 +157,205 @@ export async function handlePutUserMe(c: Context<{
   }
 }
 
+/**
+ * Serves the page email confirmation links open
+ * The page only posts the token to /api/user/email/verify once the user confirms
+ */
+export async function handleEmailVerificationPage(c: Context<{
+  Bindings: Env;
+  Variables: Variables;
+}>) {
+  // The token is in the URL; don't cache the page or leak it to other sites
+  c.header('Cache-Control', 'no-store');
+  c.header('Referrer-Policy', 'no-referrer');
+  return c.html(renderEmailVerificationPage());
+}
+
+/**
+ * Confirms an email address with the token of the link emailed to it
+ * Holding the link proves access to the mailbox, so no login is needed
+ * 
+ * @param c - Hono context object
+ * @param authService - Service instance that verifies the address
+ * @param token - The token from the confirmation link
+ * @returns JSON response confirming the address, or error if the link is invalid
+ */
+export async function handleVerifyEmail(c: Context<{
+  Bindings: Env;
+  Variables: Variables;
+}>, authService: AuthService, token: string) {
+  const verification = await authService.verifyEmail(token);
+  if (!verification) {
+    return c.json({
+      status: 'error',
+      statusCode: 401,
+      error: {
+        code: 'INVALID_TOKEN',
+        message: 'Invalid confirmation link',
+        details: 'This confirmation link is invalid, has expired, was already used or is for an address that was changed since.'
+      }
+    }, 401);
+  }
+
+  return c.json({
+    status: 'success',
+    statusCode: 200,
+    message: 'Email address confirmed',
+    data: {
+      email: verification.email,
+      emailVerified: true
+    }
+  });
+}
+
+/**
+ * Lists the signed-in devices (active sessions) of the current user
+ * 
+ * @param c - Hono context object with authInfo set by authMiddleware
+ * @param userService - Service instance for user and session data
+ * @returns JSON response with the sessions, the caller's own flagged as current
+ */
+export async function handleListSessions(c: Context<{
+  Bindings: Env;
+  Variables: Variables;
+}>, userService: UserService) {
+  const authInfo = c.get('authInfo');
+  if (!authInfo) {
+    return c.json({
+      status: 'error',
+      statusCode: 401,
+      error: {
+        code: 'UNAUTHORIZED',
+        message: 'Authentication required',
+        details: 'Valid authentication token is required to access this resource'
+      }
+    }, 401);
+  }
+
+  const sessions = await userService.listActiveSessions(authInfo.userId);
+
+  return c.json({
+    status: 'success',
+    statusCode: 200,
+    message: 'Sessions retrieved successfully',
+    data: {
+      sessions: sessions.map(session => ({
+        id: session.id,
+        createdAt: session.created_at,
+        lastRefreshedAt: session.last_refreshed_at || null,
+        userAgent: session.user_agent || null,
+        ipCountry: session.ip_country || null,
+        clientApp: session.client_app || null,
+        current: session.id === authInfo.sessionId
+      }))
+    }
+  });
+}
+
+/**
+ * Signs out one device by revoking its session
+ * 
+ * @param c - Hono context object with the session id as the `id` route parameter
+ * @param authService - Service instance used to revoke the session and its tokens
+ * @param userService - Service instance used to check the session belongs to the user
+ * @returns JSON response confirming the session was revoked
+ */
+export async function handleRevokeSession(c: Context<{
+  Bindings: Env;
+  Variables: Variables;
+}>, authService: AuthService, userService: UserService) {
+  const authInfo = c.get('authInfo');
+  if (!authInfo) {
+    return c.json({
+      status: 'error',
+      statusCode: 401,
+      error: {
+        code: 'UNAUTHORIZED',
+        message: 'Authentication required',
+        details: 'Valid authentication token is required to access this resource'
+      }
+    }, 401);
+  }
+
+  // Step 1: Only the user's own active sessions can be revoked
+  const sessionId = c.req.param('id');
+  const session = await userService.findActiveSession(sessionId);
+  if (!session || session.user_id !== authInfo.userId) {
+    return c.json({
+      status: 'error',
+      statusCode: 404,
+      error: {
+        code: 'SESSION_NOT_FOUND',
+        message: 'Session not found',
+        details: 'No active session with this ID exists for the current user'
+      }
+    }, 404);
+  }
+
+  // Step 2: Revoke the session, its refresh tokens and its access tokens
+  await authService.revokeSession(sessionId);
+
+  return c.json({
+    status: 'success',
+    statusCode: 200,
+    message: 'Session revoked successfully',
+    data: {
+      success: true,
+      current: sessionId === authInfo.sessionId
+    }
+  });
+}
+
+/**
+ * Signs out every device except the one making the request
+ * 
+ * @param c - Hono context object with authInfo set by authMiddleware
+ * @param authService - Service instance used to revoke the sessions
+ * @returns JSON response with the number of sessions revoked
+ */
+export async function handleRevokeOtherSessions(c: Context<{
+  Bindings: Env;
+  Variables: Variables;
+}>, authService: AuthService) {
+  const authInfo = c.get('authInfo');
+  if (!authInfo) {
+    return c.json({
+      status: 'error',
+      statusCode: 401,
+      error: {
+        code: 'UNAUTHORIZED',
+        message: 'Authentication required',
+        details: 'Valid authentication token is required to access this resource'
+      }
+    }, 401);
+  }
+
+  // Tokens issued before sessions were tracked don't say which session is the caller's,
+  // and revoking "the others" would sign out every device including this one
+  if (!authInfo.sessionId) {
+    return c.json({
+      status: 'error',
+      statusCode: 400,
+      error: {
+        code: 'SESSION_REQUIRED',
+        message: 'Current session unknown',
+        details: 'The access token is not bound to a session; refresh it and try again'
+      }
+    }, 400);
+  }
+
+  const revokedCount = await authService.revokeOtherSessions(authInfo.userId, authInfo.sessionId);
+
+  return c.json({
+    status: 'success',
+    statusCode: 200,
+    message: 'Other sessions revoked successfully',
+    data: {
+      revokedCount
+    }
+  });
+}
+
 // createUserRoutes is no longer needed as routes are handled directly in index.ts
 // export function createUserRoutes(userService: UserService, authService: AuthService) {
 //   const app = new Hono<{ Bindings: Env; Variables: Variables }>();
@@ -1,6 +1,15 @@
 import { Context } from 'hono';
 import { CONFIG } from '../config';
-import { Env, Variables } from '../types';
+import { Env, Variables, WhatsAppWebhookPayload } from '../types';
+import { AuditService } from '../services/audit';
+import { hashToken, hexToBytes, verifyHmac } from '../utils/crypto';
+import { getWebhookEventIds } from '../utils/webhook';
+
+// Anyone can post unsigned deliveries, so rejections are only sampled into the audit log:
+// at most one event per isolate per interval, counting the rejections since the last one
+const REJECTION_AUDIT_INTERVAL_MS = 60 * 1000;
+let lastRejectionAuditAt = 0;
+let unauditedRejections = 0;
 
 export function handleWebhookVerification(c: Context<{
   Bindings: Env;
@@ -20,3 +29,134 @@ export function handleWebhookVerification(c: Context<{
     return c.text('Verification failed', 403);
   }
 }
+
+/**
+ * Handles incoming WhatsApp webhook events
+ * Verifies Meta's X-Hub-Signature-256 header against the raw body before
+ * forwarding the event to the WebhookProcessorDO
+ * 
+ * @param c - Hono context object containing the webhook request
+ * @param auditService - Service instance used to record a sample of rejected deliveries
+ * @returns The Durable Object's response, or 401 if the signature is missing or invalid
+ */
+export async function handleWebhookEvent(c: Context<{
+  Bindings: Env;
+  Variables: Variables;
+}>, auditService: AuditService) {
+  // Step 1: Read the raw body - the signature is computed over the exact bytes Meta sent
+  const rawBody = new Uint8Array(await c.req.arrayBuffer());
+
+  // Step 2: Verify the signature against every configured app secret (supports rotation)
+  const signatureHeader = c.req.header('X-Hub-Signature-256');
+  const verification = await verifyWebhookSignature(rawBody, signatureHeader);
+
+  if (!verification.valid) {
+    // Step 3: Reject forged or unsigned deliveries, sampling them into the audit log
+    console.warn(`[Webhook] Rejected webhook delivery: ${verification.reason}`);
+    unauditedRejections++;
+    const now = Date.now();
+    if (now - lastRejectionAuditAt >= REJECTION_AUDIT_INTERVAL_MS) {
+      lastRejectionAuditAt = now;
+      const rejections = unauditedRejections;
+      unauditedRejections = 0;
+      await auditService.recordEvent({
+        type: 'webhook_signature_rejected',
+        ipAddress: c.req.header('CF-Connecting-IP'),
+        details: {
+          reason: verification.reason,
+          userAgent: c.req.header('User-Agent') || null,
+          rejections
+        }
+      });
+    }
+
+    return c.json({
+      status: 'error',
+      statusCode: 401,
+      error: {
+        code: 'INVALID_WEBHOOK_SIGNATURE',
+        message: 'Invalid webhook signature',
+        details: 'X-Hub-Signature-256 header is missing or does not match the request body'
+      }
+    }, 401);
+  }
+
+  console.log(`[Webhook] Signature verified with app secret #${verification.secretIndex}`);
+
+  // Step 4: Route the delivery to a Durable Object named after its first event id
+  // Deliveries are spread across instances; duplicates are caught per event id in D1,
+  // whichever instance a retry reaches
+  const doName = await getWebhookProcessorName(rawBody);
+  const id = c.env.WEBHOOK_PROCESSOR_DO.idFromName(doName);
+  const stub = c.env.WEBHOOK_PROCESSOR_DO.get(id);
+
+  const newRequest = new Request(c.req.url, {
+    method: c.req.method,
+    headers: c.req.raw.headers,
+    body: rawBody,
+    redirect: c.req.raw.redirect,
+    cf: c.req.raw.cf, // Preserve cf properties
+  });
+  return stub.fetch(newRequest);
+}
+
+/**
+ * Picks the Durable Object name for a webhook delivery
+ * Uses the first message/status id in the payload, falling back to a hash of
+ * the body for payloads without ids
+ */
+async function getWebhookProcessorName(rawBody: Uint8Array): Promise<string> {
+  const body = new TextDecoder().decode(rawBody);
+
+  try {
+    const payload: WhatsAppWebhookPayload = JSON.parse(body);
+    const eventIds = getWebhookEventIds(payload);
+    if (eventIds.length > 0) {
+      return `event-${eventIds[0]}`;
+    }
+  } catch (error) {
+    console.warn('[Webhook] Could not parse webhook body for event ids:', error);
+  }
+
+  return `body-${await hashToken(body)}`;
+}
+
+/**
+ * Checks an X-Hub-Signature-256 header ("sha256=<hex>") against the raw body
+ * 
+ * Flow:
+ * 1. Make sure app secrets are configured and the header is well-formed
+ * 2. Try each configured secret in turn (current first, then previous ones)
+ * 3. Return which secret matched, or why verification failed
+ */
+async function verifyWebhookSignature(
+  rawBody: Uint8Array,
+  signatureHeader: string | undefined
+): Promise<{ valid: true; secretIndex: number } | { valid: false; reason: string }> {
+  // Step 1: Validate configuration and header format
+  if (CONFIG.WHATSAPP.APP_SECRETS.length === 0) {
+    console.error('[Webhook] WHATSAPP_APP_SECRET is not configured, rejecting webhook');
+    return { valid: false, reason: 'app_secret_not_configured' };
+  }
+
+  if (!signatureHeader) {
+    return { valid: false, reason: 'missing_signature' };
+  }
+
+  const signature = signatureHeader.startsWith('sha256=')
+    ? hexToBytes(signatureHeader.substring(7))
+    : null;
+  if (!signature || signature.length !== 32) {
+    return { valid: false, reason: 'malformed_signature' };
+  }
+
+  // Step 2: Try every configured secret so keys can be rotated without downtime
+  for (let i = 0; i < CONFIG.WHATSAPP.APP_SECRETS.length; i++) {
+    if (await verifyHmac(CONFIG.WHATSAPP.APP_SECRETS[i], rawBody, signature)) {
+      return { valid: true, secretIndex: i };
+    }
+  }
+
+  // Step 3: No secret matched
+  return { valid: false, reason: 'signature_mismatch' };
+}
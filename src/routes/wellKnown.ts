@@ -0,0 +1,23 @@
+import { Context } from 'hono';
+import { Env, Variables } from '../types';
+import { getPublicJwks } from '../utils/jwt';
+
+/**
+ * Serves the public keys used to sign access tokens (RFC 7517 JWK Set)
+ * Resource servers use this to verify tokens locally instead of calling /api/auth/validate
+ * 
+ * Note: The response is the bare JWKS document, not the standard API envelope,
+ * so off-the-shelf JWT libraries can consume it directly
+ * 
+ * @param c - Hono context object
+ * @returns JSON Web Key Set
+ */
+export async function handleJwks(c: Context<{
+  Bindings: Env;
+  Variables: Variables;
+}>) {
+  const jwks = await getPublicJwks();
+
+  c.header('Cache-Control', 'public, max-age=300');
+  return c.json(jwks);
+}
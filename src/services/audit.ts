@@ -0,0 +1,86 @@
+import { AuditEvent, AuditEventType } from '../types';
+import { generateRandomId } from '../utils/crypto';
+
+/**
+ * AuditService records security-relevant events so they can be reviewed later
+ */
+export class AuditService {
+  private db: D1Database;
+
+  constructor(db: D1Database) {
+    this.db = db;
+  }
+
+  /**
+   * Records an audit event
+   *
+   * Note: Failures are logged and swallowed - auditing must never break
+   * the request that triggered it
+   */
+  async recordEvent(event: {
+    type: AuditEventType;
+    userId?: string | null;
+    phoneNumber?: string | null;
+    ipAddress?: string | null;
+    details?: Record<string, unknown>;
+  }): Promise<void> {
+    const now = Math.floor(Date.now() / 1000);
+    console.log(`[AuditService] Recording event: ${event.type}`);
+
+    try {
+      await this.db
+        .prepare('INSERT INTO audit_events (id, event_type, user_id, phone_number, ip_address, details, created_at) VALUES (?, ?, ?, ?, ?, ?, ?)')
+        .bind(
+          generateRandomId(),
+          event.type,
+          event.userId || null,
+          event.phoneNumber || null,
+          event.ipAddress || null,
+          event.details ? JSON.stringify(event.details) : null,
+          now
+        )
+        .run();
+    } catch (error) {
+      console.error('[AuditService] Failed to record audit event:', error);
+    }
+  }
+
+  /**
+   * Lists audit events, newest first
+   *
+   * @param filters.before - Only events created before this Unix timestamp (for paging)
+   * @returns Events with their details parsed
+   */
+  async listEvents(filters: {
+    type?: AuditEventType;
+    phoneNumber?: string;
+    before?: number;
+    limit: number;
+  }): Promise<Array<Omit<AuditEvent, 'details'> & { details: Record<string, unknown> | null }>> {
+    const conditions: string[] = [];
+    const params: unknown[] = [];
+    if (filters.type) {
+      conditions.push('event_type = ?');
+      params.push(filters.type);
+    }
+    if (filters.phoneNumber) {
+      conditions.push('phone_number = ?');
+      params.push(filters.phoneNumber);
+    }
+    if (filters.before) {
+      conditions.push('created_at < ?');
+      params.push(filters.before);
+    }
+
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+    const { results } = await this.db
+      .prepare(`SELECT * FROM audit_events ${where} ORDER BY created_at DESC LIMIT ?`)
+      .bind(...params, filters.limit)
+      .all<AuditEvent>();
+
+    return (results || []).map(event => ({
+      ...event,
+      details: event.details ? JSON.parse(event.details) : null
+    }));
+  }
+}
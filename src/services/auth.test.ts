@@ -0,0 +1,294 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { AuthService } from './auth';
+import { UserService } from './user';
+import { WhatsAppService } from './whatsapp';
+import { VerificationService } from './verification';
+import { AuditService } from './audit';
+import { SigningKeyService } from './signingKey';
+import { FakeDeliveryChannel, LoginDelivery } from './delivery';
+import { CONFIG, initializeConfig } from '../config';
+import { setSigningKeyStore } from '../utils/jwt';
+import { createTestDatabase } from '../testing/d1';
+import { ERROR_CODES, RefreshToken, RefreshTokenRevocationReason, User } from '../types';
+
+const PHONE = '+15551234567';
+
+initializeConfig({ JWT_SECRET: 'test-jwt-secret', VERIFICATION_TOKEN_SECRET: 'test-verification-secret' });
+
+async function countRows(db: D1Database, table: string): Promise<number> {
+  const row = await db.prepare(`SELECT COUNT(*) AS count FROM ${table}`).first<{ count: number }>();
+  return row ? row.count : 0;
+}
+
+/**
+ * Holds every request right after it runs a query starting with sqlPrefix, until
+ * `requests` of them have, so they all read the same state before any writes
+ */
+function holdAfterQuery(db: D1Database, sqlPrefix: string, requests: number): D1Database {
+  let held: Array<() => void> = [];
+  const waitForOthers = () => new Promise<void>(resolve => {
+    held.push(resolve);
+    if (held.length === requests) {
+      held.forEach(release => release());
+      held = [];
+    }
+  });
+
+  return {
+    prepare: (sql: string) => {
+      const statement = db.prepare(sql);
+      if (!sql.startsWith(sqlPrefix)) {
+        return statement;
+      }
+      return {
+        bind: (...values: unknown[]) => {
+          const bound = statement.bind(...values);
+          return {
+            first: async () => {
+              const row = await bound.first();
+              await waitForOthers();
+              return row;
+            }
+          };
+        }
+      };
+    },
+    batch: (statements: D1PreparedStatement[]) => db.batch(statements)
+  } as unknown as D1Database;
+}
+
+// Stands in for the refresh token storage of VerificationService, keyed by the plain token
+class FakeRefreshTokenStore {
+  tokens: Record<string, RefreshToken> = {};
+
+  async findRefreshToken(plainToken: string) {
+    return this.tokens[plainToken] || null;
+  }
+
+  async findActiveRefreshToken(plainToken: string) {
+    const token = this.tokens[plainToken];
+    return token && !token.revoked_at ? token : null;
+  }
+
+  async revokeRefreshToken(tokenId: string, reason: RefreshTokenRevocationReason) {
+    const token = Object.values(this.tokens).find(candidate => candidate.id === tokenId && !candidate.revoked_at);
+    if (!token) {
+      return false;
+    }
+    token.revoked_at = 1;
+    token.revoked_reason = reason;
+    return true;
+  }
+
+  async revokeRefreshTokenFamily(familyId: string, reason: RefreshTokenRevocationReason) {
+    const family = Object.values(this.tokens).filter(token => token.family_id === familyId && !token.revoked_at);
+    for (const token of family) {
+      token.revoked_at = 1;
+      token.revoked_reason = reason;
+    }
+    return family.length;
+  }
+}
+
+// Stands in for UserService with a single user and their sessions
+class FakeSessionStore {
+  user: User = { id: 'user1', phone_number: PHONE, name: null, email: null, email_verified_at: null, created_at: 0, last_login: 0 };
+  activeSessions = new Set<string>(['session1']);
+
+  async findUserById() {
+    return this.user;
+  }
+
+  async findActiveSession(sessionId: string) {
+    return this.activeSessions.has(sessionId) ? { id: sessionId } : null;
+  }
+
+  async touchSession() {}
+
+  async revokeSession(sessionId: string) {
+    return this.activeSessions.delete(sessionId);
+  }
+}
+
+describe('AuthService', () => {
+  let db: D1Database;
+  let whatsapp: FakeDeliveryChannel;
+  let verificationService: VerificationService;
+  let authService: AuthService;
+
+  beforeEach(async () => {
+    db = await createTestDatabase();
+    setSigningKeyStore(new SigningKeyService(db));
+    whatsapp = new FakeDeliveryChannel('whatsapp');
+    verificationService = new VerificationService(db);
+    authService = new AuthService(
+      new UserService(db),
+      new WhatsAppService('', ''),
+      verificationService,
+      new AuditService(db),
+      new LoginDelivery(whatsapp),
+      null
+    );
+  });
+
+  describe('initiateLogin', () => {
+    it('limits how many logins one number can be sent', async () => {
+      for (let login = 0; login < CONFIG.VERIFICATION.LOGINS_PER_NUMBER; login++) {
+        expect(await authService.initiateLogin(PHONE)).toMatchObject({ success: true });
+      }
+
+      expect(await authService.initiateLogin(PHONE)).toMatchObject({ success: false, errorCode: ERROR_CODES.TOO_MANY_LOGIN_ATTEMPTS });
+      expect(whatsapp.sent).toHaveLength(CONFIG.VERIFICATION.LOGINS_PER_NUMBER);
+      expect(await authService.initiateLogin('+15557654321')).toMatchObject({ success: true });
+    });
+
+    it('limits how many logins one IP address can start', async () => {
+      for (let login = 0; login < CONFIG.VERIFICATION.LOGINS_PER_IP; login++) {
+        expect(await authService.initiateLogin(`+1555000${String(login).padStart(4, '0')}`, { ipAddress: '203.0.113.1' })).toMatchObject({ success: true });
+      }
+
+      expect(await authService.initiateLogin('+15559999999', { ipAddress: '203.0.113.1' })).toMatchObject({ success: false, errorCode: ERROR_CODES.TOO_MANY_LOGIN_ATTEMPTS });
+      expect(await authService.initiateLogin('+15559999999', { ipAddress: '203.0.113.2' })).toMatchObject({ success: true });
+    });
+  });
+
+  describe('verifyLoginCode', () => {
+    it('invalidates only the login after too many wrong codes', async () => {
+      const exhausted = await authService.initiateLogin(PHONE, { method: 'code' });
+      const wrongCode = whatsapp.sent[0].otp === '000000' ? '111111' : '000000';
+      for (let attempt = 1; attempt < CONFIG.VERIFICATION.OTP_MAX_ATTEMPTS; attempt++) {
+        await authService.verifyLoginCode(exhausted.sessionId!, wrongCode);
+      }
+
+      expect(await authService.verifyLoginCode(exhausted.sessionId!, wrongCode)).toMatchObject({
+        success: false,
+        attemptsLeft: 0,
+        errorCode: ERROR_CODES.LOGIN_CODE_ATTEMPTS_EXCEEDED
+      });
+      expect(await authService.verifyLoginCode(exhausted.sessionId!, whatsapp.sent[0].otp!)).toMatchObject({ success: false, errorCode: ERROR_CODES.INVALID_LOGIN_CODE });
+
+      // The number isn't locked: a new login can be started and completed
+      const next = await authService.initiateLogin(PHONE, { method: 'code' });
+      expect(next).toMatchObject({ success: true });
+      expect(await authService.verifyLoginCode(next.sessionId!, whatsapp.sent[1].otp!)).toMatchObject({ success: true });
+
+      const events = await db.prepare('SELECT event_type FROM audit_events').all<{ event_type: string }>();
+      expect(events.results.map(event => event.event_type)).toContain('login_code_attempts_exceeded');
+    });
+
+    it('limits how many codes one IP address can try across logins', async () => {
+      const { sessionId } = await authService.initiateLogin(PHONE, { method: 'code' });
+      const wrongCode = whatsapp.sent[0].otp === '000000' ? '111111' : '000000';
+      for (let attempt = 0; attempt < CONFIG.VERIFICATION.CODE_ATTEMPTS_PER_IP; attempt++) {
+        await authService.verifyLoginCode(sessionId!, wrongCode, '203.0.113.1');
+      }
+
+      expect(await authService.verifyLoginCode(sessionId!, wrongCode, '203.0.113.1')).toMatchObject({ success: false, errorCode: ERROR_CODES.TOO_MANY_LOGIN_ATTEMPTS });
+    });
+  });
+
+  describe('verifyLogin', () => {
+    it('completes a login link confirmed twice at the same time only once', async () => {
+      const { token } = await verificationService.createVerificationToken(PHONE, true);
+
+      // Both confirmations find the token unused before either marks it used
+      const racingVerificationService = new VerificationService(
+        holdAfterQuery(db, 'SELECT * FROM verification_tokens WHERE token_hash = ?', 2)
+      );
+      authService = new AuthService(
+        new UserService(db),
+        new WhatsAppService('', ''),
+        racingVerificationService,
+        new AuditService(db),
+        new LoginDelivery(new FakeDeliveryChannel('whatsapp')),
+        null
+      );
+
+      const results = await Promise.all([authService.verifyLogin(token), authService.verifyLogin(token)]);
+
+      expect(results.filter(result => result !== null)).toHaveLength(1);
+      expect(await countRows(db, 'users')).toBe(1);
+      expect(await countRows(db, 'sessions')).toBe(1);
+      expect(await countRows(db, 'refresh_tokens')).toBe(1);
+    });
+
+    it('rejects a login link that was already used', async () => {
+      const { token } = await verificationService.createVerificationToken(PHONE, true);
+
+      expect(await authService.verifyLogin(token)).not.toBeNull();
+      expect(await authService.verifyLogin(token)).toBeNull();
+      expect(await countRows(db, 'sessions')).toBe(1);
+    });
+  });
+
+  describe('refreshAccessToken', () => {
+    let refreshTokens: FakeRefreshTokenStore;
+    let sessions: FakeSessionStore;
+    let auditEvents: Array<{ type: string; userId?: string | null }>;
+    let whatsappMessages: string[];
+
+    // A token rotated or logged out as `reason`, and the token that replaced it in the same family
+    function seedTokens(reason: RefreshTokenRevocationReason) {
+      refreshTokens.tokens['old-token'] = { id: 'token1', user_id: 'user1', token_hash: '', expires_at: 0, created_at: 0, family_id: 'family1', session_id: 'session1', revoked_at: 1, revoked_reason: reason };
+      refreshTokens.tokens['new-token'] = { id: 'token2', user_id: 'user1', token_hash: '', expires_at: 0, created_at: 0, family_id: 'family1', session_id: 'session1' };
+    }
+
+    beforeEach(() => {
+      refreshTokens = new FakeRefreshTokenStore();
+      sessions = new FakeSessionStore();
+      auditEvents = [];
+      whatsappMessages = [];
+      authService = new AuthService(
+        sessions as unknown as UserService,
+        { sendTextMessage: async (_to: string, text: string) => { whatsappMessages.push(text); } } as unknown as WhatsAppService,
+        refreshTokens as unknown as VerificationService,
+        { recordEvent: async (event: { type: string; userId?: string | null }) => { auditEvents.push(event); } } as unknown as AuditService,
+        new LoginDelivery(new FakeDeliveryChannel('whatsapp')),
+        null
+      );
+    });
+
+    it('revokes the family and the session when a rotated token is replayed', async () => {
+      seedTokens('rotated');
+
+      expect(await authService.refreshAccessToken('old-token')).toBeNull();
+
+      expect(refreshTokens.tokens['new-token']).toMatchObject({ revoked_reason: 'reuse_detected' });
+      expect(sessions.activeSessions.has('session1')).toBe(false);
+      expect(auditEvents).toEqual([expect.objectContaining({ type: 'refresh_token_reuse', userId: 'user1' })]);
+      expect(whatsappMessages).toHaveLength(1);
+    });
+
+    it('leaves the family and the session alone when a logged-out token is presented', async () => {
+      seedTokens('logout');
+
+      expect(await authService.refreshAccessToken('old-token')).toBeNull();
+
+      expect(refreshTokens.tokens['new-token'].revoked_at).toBeUndefined();
+      expect(sessions.activeSessions.has('session1')).toBe(true);
+      expect(auditEvents).toEqual([]);
+      expect(whatsappMessages).toEqual([]);
+    });
+
+    it('treats losing a concurrent rotation as reuse', async () => {
+      seedTokens('rotated');
+      // Another request rotates the token between this one finding it and revoking it
+      refreshTokens.revokeRefreshToken = async () => false;
+
+      expect(await authService.refreshAccessToken('new-token')).toBeNull();
+
+      expect(refreshTokens.tokens['new-token']).toMatchObject({ revoked_reason: 'reuse_detected' });
+      expect(sessions.activeSessions.has('session1')).toBe(false);
+      expect(auditEvents).toEqual([expect.objectContaining({ type: 'refresh_token_reuse' })]);
+    });
+
+    it('ignores unknown tokens', async () => {
+      seedTokens('rotated');
+
+      expect(await authService.refreshAccessToken('unknown-token')).toBeNull();
+
+      expect(sessions.activeSessions.has('session1')).toBe(true);
+      expect(auditEvents).toEqual([]);
+    });
+  });
+});
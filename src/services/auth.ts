@@ -1,8 +1,16 @@
 import { UserService } from './user';
 import { WhatsAppService } from './whatsapp';
-import { VerificationService } from './verification';
+import { DENY_BUTTON_PREFIX, EmailSender, LoginDelivery, LoginMessage, createEmailSender, createLoginDelivery } from './delivery';
+import { VerificationService, MAX_VERIFICATION_TOKEN_LENGTH, REFRESH_TOKEN_EXPIRY } from './verification';
+import { AuditService } from './audit';
 import { createJWT, verifyJWT } from '../utils/jwt';
+import { generateRandomId } from '../utils/crypto';
+import { buildEmailVerificationUrl, buildLoginCodeLink } from '../utils/loginCode';
 import { CONFIG } from '../config';
+import { DeliveryChannelName, ERROR_CODES, ErrorCode, LoginMethod, RefreshToken, SessionDevice, TokenDelivery, User } from '../types';
+
+// Lifetime of access tokens in seconds (short-lived for security)
+export const ACCESS_TOKEN_EXPIRY = 15 * 60;
 
 // Interface defining the structure of JWT payload for authentication tokens
 interface AuthTokenPayload {
@@ -10,9 +18,20 @@ interface AuthTokenPayload {
   sessionId: string;
 }
 
+// Claims of a validated access token
+export interface AccessTokenInfo {
+  userId: string;
+  sessionId?: string; // sid; tokens issued to OpenID Connect clients have no session
+  clientId?: string; // Set for tokens issued to OpenID Connect clients
+  scope?: string;
+  tokenId?: string; // jti; tokens issued before revocation support have none
+  issuedAt: number;
+  expiresAt: number;
+}
+
 /**
  * AuthService handles all authentication-related operations including:
- * - Login initiation via WhatsApp
+ * - Login initiation via WhatsApp, falling back to SMS or email when configured
  * - Token verification and validation
  * - JWT token generation and management
  * - User session management
@@ -21,11 +40,29 @@ export class AuthService {
   private userService: UserService;
   private whatsappService: WhatsAppService;
   private verificationService: VerificationService;
+  private auditService: AuditService;
+  private delivery: LoginDelivery;
+  private emailSender: EmailSender | null;
 
-  constructor(userService: UserService, whatsappService: WhatsAppService, verificationService: VerificationService) {
+  /**
+   * @param delivery - Channels login messages are sent on; defaults to WhatsApp with the
+   *   configured fallback (pass fake channels to exercise the fallback offline)
+   * @param emailSender - Sends the links confirming email addresses; null when email isn't configured
+   */
+  constructor(
+    userService: UserService,
+    whatsappService: WhatsAppService,
+    verificationService: VerificationService,
+    auditService: AuditService,
+    delivery: LoginDelivery = createLoginDelivery(whatsappService),
+    emailSender: EmailSender | null = createEmailSender()
+  ) {
     this.userService = userService;
     this.whatsappService = whatsappService;
     this.verificationService = verificationService;
+    this.auditService = auditService;
+    this.delivery = delivery;
+    this.emailSender = emailSender;
   }
 
   /**
@@ -33,83 +70,600 @@ export class AuthService {
    * 
    * Flow:
    * 1. Format phone number to E.164 standard
-   * 2. Check if user exists to determine if this is signup or login
-   * 3. Generate secure verification token with user status
-   * 4. Send WhatsApp interactive button message
-   * 5. Return session ID for tracking
+   * 2. Refuse numbers whose logins are locked after "This wasn't me", and numbers or
+   *    IP addresses that started too many logins recently
+   * 3. Check if user exists to determine if this is signup or login
+   * 4. Generate secure verification token with user status; for the reverse method,
+   *    return its login code and wa.me link instead of sending a message, and for the
+   *    code and link methods send the authentication template with its 6-digit code
+   *    or the login_link template instead
+   * 5. Check the token fits in both WhatsApp reply button ids
+   * 6. Send WhatsApp interactive button message with confirm and deny buttons,
+   *    remembering its message id for status updates; if WhatsApp fails and a fallback
+   *    channel is configured, send a link (or the code) by SMS or email instead
+   * 7. Return session ID, expiry and the channel used for tracking
+   * 
+   * @param options.authorizationRequestId - Set when the login completes an OpenID Connect
+   *   authorization request; the webhook then issues an authorization code instead of tokens
+   * @param options.device - Device the login was started from, shown in the user's session list
+   * @param options.ipAddress - Client IP, counted against the per-IP login limit
+   * @param options.tokenDelivery - 'cookie' to finish the login with an exchange code for session cookies
+   * @param options.method - 'reverse' to have the user message us a login code instead of tapping a button,
+   *   'code' to send a code the user types in (redeemed with verifyLoginCode), 'link' to send a
+   *   link to a confirmation page (redeemed at /api/auth/verify)
    */
-  async initiateLogin(phoneNumber: string): Promise<{ success: boolean; sessionId?: string; error?: string }> {
+  async initiateLogin(
+    phoneNumber: string,
+    options: { authorizationRequestId?: string; device?: SessionDevice; ipAddress?: string; tokenDelivery?: TokenDelivery; method?: LoginMethod } = {}
+  ): Promise<{ success: boolean; sessionId?: string; expiresAt?: number; deliveryChannel?: DeliveryChannelName; loginCode?: string; loginUrl?: string; error?: string; errorCode?: ErrorCode }> {
+    const { ipAddress, ...tokenOptions } = options;
     console.log(`[AuthService] Initiating login for phone: ${phoneNumber}`);
+
+    // The reverse flow needs a number for the user to message
+    const method = options.method || 'button';
+    if (method === 'reverse' && !CONFIG.WHATSAPP.BUSINESS_PHONE_NUMBER) {
+      return {
+        success: false,
+        error: 'Logging in by messaging a code is not configured on this server',
+        errorCode: ERROR_CODES.LOGIN_METHOD_UNAVAILABLE
+      };
+    }
     
     // Step 1: Format phone number to E.164 format (required by WhatsApp)
     const formattedPhone = this.formatPhoneNumber(phoneNumber);
     console.log(`[AuthService] Formatted phone number: ${formattedPhone}`);
     
-    // Step 2: Check if user exists (but don't create yet - we'll do that after verification)
+    // Step 2: A recently denied login pauses new ones, so the user isn't flooded with messages
+    const lock = await this.verificationService.findActiveLoginLock(formattedPhone);
+    if (lock) {
+      const minutes = Math.ceil((lock.locked_until - Math.floor(Date.now() / 1000)) / 60);
+      console.log(`[AuthService] Logins for ${formattedPhone} are locked until ${lock.locked_until} (${lock.reason})`);
+      return {
+        success: false,
+        error: `New logins for this number are paused for ${minutes} more minute${minutes === 1 ? '' : 's'}`,
+        errorCode: ERROR_CODES.LOGIN_LOCKED
+      };
+    }
+
+    // Bounds how many messages a number can be sent, and how many codes can be guessed
+    // by starting new logins once a login's attempts are used up
+    const rateLimited = await this.checkLoginRateLimits(formattedPhone, ipAddress);
+    if (rateLimited) {
+      return rateLimited;
+    }
+
+    // Step 3: Check if user exists (but don't create yet - we'll do that after verification)
     const existingUser = await this.userService.findUserByPhone(formattedPhone);
     const isNewUser = !existingUser;
     
     console.log(`[AuthService] User lookup result - isNewUser: ${isNewUser}, existingUser:`, existingUser);
     
-    // Step 3: Generate secure verification token that includes user status (new/existing)
+    // Step 4: Generate secure verification token that includes user status (new/existing)
     // This token will be embedded in the WhatsApp button and used for verification
-    const { token: encodedToken, tokenId } = await this.verificationService.createVerificationToken(formattedPhone, isNewUser);
+    const { token: encodedToken, tokenId, expiresAt, loginCode, otp } = await this.verificationService.createVerificationToken(
+      formattedPhone,
+      isNewUser,
+      { ...tokenOptions, withLoginCode: method === 'reverse', withOtp: method === 'code' }
+    );
     
     console.log(`[AuthService] Generated encoded token length: ${encodedToken.length}`);
-    
-    // Step 4: Customize message content based on whether this is signup or login
-    const buttonText = isNewUser ? 'Sign Up' : 'Confirm Login';
-    const bodyText = isNewUser
-      ? 'Hello!\n\nWe\'ve received a request to create a new account with this phone number.\n\nPlease press the button below in the next 10 minutes to confirm. If you haven\'t made this request, you can safely ignore this message.'
-      : 'Welcome back!\n\nTap the button below to log in to your account. This link will expire in 10 minutes.';
 
-    console.log(`[AuthService] Message content - buttonText: ${buttonText}, bodyText length: ${bodyText.length}`);
+    // In the reverse flow the user sends us the code, so there is no message to send
+    if (loginCode) {
+      return {
+        success: true,
+        sessionId: tokenId,
+        expiresAt,
+        loginCode,
+        loginUrl: buildLoginCodeLink(CONFIG.WHATSAPP.BUSINESS_PHONE_NUMBER, loginCode)
+      };
+    }
+
+    const message: LoginMessage = {
+      phoneNumber: formattedPhone,
+      email: this.getLoginEmail(existingUser),
+      isNewUser,
+      token: encodedToken,
+      otp,
+      method: otp ? 'code' : method === 'link' ? 'link' : 'button'
+    };
+
+    // Authorization requests are only completed on WhatsApp, so they never fall back
+    const allowFallback = !options.authorizationRequestId;
 
-    // Step 5: Send the interactive button message via WhatsApp
+    // The code method sends the authentication template, for users who can't tap buttons,
+    // and the link method carries the token in a URL, so the button id length limit doesn't apply
+    if (message.method !== 'button') {
+      return this.sendLoginMessage(tokenId, expiresAt, message, allowFallback);
+    }
+    
+    // Step 5: Fail early rather than letting the WhatsApp API reject an oversized button id
+    // The deny button's id is the token with a prefix, so that one is the longest
+    const maxTokenLength = MAX_VERIFICATION_TOKEN_LENGTH - DENY_BUTTON_PREFIX.length;
+    if (encodedToken.length > maxTokenLength) {
+      console.error(`[AuthService] Encoded token exceeds ${maxTokenLength} characters: ${encodedToken.length}`);
+      return {
+        success: false,
+        error: `Verification token is ${encodedToken.length} characters, the maximum is ${maxTokenLength}`,
+        errorCode: ERROR_CODES.VERIFICATION_TOKEN_TOO_LONG
+      };
+    }
+    
+    // Step 6: Send the interactive button message via WhatsApp
     // The encoded token is embedded as the button payload
+    return this.sendLoginMessage(tokenId, expiresAt, message, allowFallback);
+  }
+
+  /**
+   * Sends the message of a login, remembering its WhatsApp message id for status updates
+   * or, if it fell back, the channel it went out on
+   */
+  private async sendLoginMessage(
+    tokenId: string,
+    expiresAt: number,
+    message: LoginMessage,
+    allowFallback: boolean
+  ): Promise<{ success: boolean; sessionId?: string; expiresAt?: number; deliveryChannel?: DeliveryChannelName; error?: string; errorCode?: ErrorCode }> {
+    let delivery: { channel: DeliveryChannelName; messageId: string | null; fellBack: boolean };
     try {
-      console.log(`[AuthService] Sending WhatsApp message to: ${formattedPhone}`);
-      
-      await this.whatsappService.sendInteractiveButtonMessage(
-        formattedPhone,
-        buttonText,
-        encodedToken, // Use encoded token as button payload
-        bodyText
+      console.log(`[AuthService] Sending login message to: ${message.phoneNumber}`);
+      delivery = await this.delivery.send(message, { allowFallback });
+      console.log(`[AuthService] Login message sent successfully on ${delivery.channel}`);
+    } catch (error) {
+      console.error('[AuthService] Failed to send login message:', error);
+      return { success: false, error: 'Failed to send WhatsApp message', errorCode: ERROR_CODES.MESSAGE_SEND_FAILED };
+    }
+
+    // Delivery status webhooks reference the WhatsApp message id, which links them to this login
+    // Progress updates are optional, so a failure here doesn't fail the login
+    if (delivery.fellBack) {
+      await this.verificationService.setVerificationDeliveryChannel(tokenId, delivery.channel)
+        .catch(error => console.error('[AuthService] Failed to record delivery channel:', error));
+    } else if (delivery.messageId) {
+      await this.verificationService.setVerificationMessageId(tokenId, delivery.messageId)
+        .catch(error => console.error('[AuthService] Failed to record WhatsApp message id:', error));
+    }
+    return { success: true, sessionId: tokenId, expiresAt, deliveryChannel: delivery.channel };
+  }
+
+  /**
+   * Re-sends a login on the fallback channel after a status webhook reported its WhatsApp message failed
+   * 
+   * Flow:
+   * 1. Move the login to the fallback channel, replacing its token (and code) so the
+   *    failed message can't be used; logins that already fell back or ended are skipped
+   * 2. Send a link to the confirmation page, or the new code, on the fallback channel
+   * 
+   * @returns The channel the login was re-sent on, or null if it wasn't
+   */
+  async fallBackLoginMessage(sessionId: string): Promise<DeliveryChannelName | null> {
+    const fallback = this.delivery.fallback;
+    if (!fallback) {
+      return null;
+    }
+
+    // Step 1: Claim the login for the fallback channel
+    const claim = await this.verificationService.claimFallbackDelivery(sessionId, fallback.name);
+    if (!claim) {
+      console.log(`[AuthService] Login ${sessionId} can't fall back to ${fallback.name}`);
+      return null;
+    }
+
+    // Step 2: Send the new token or code
+    const user = await this.userService.findUserByPhone(claim.phoneNumber);
+    try {
+      await fallback.sendLoginMessage({
+        phoneNumber: claim.phoneNumber,
+        email: this.getLoginEmail(user),
+        isNewUser: claim.isNewUser,
+        token: claim.token,
+        otp: claim.otp,
+        method: claim.otp ? 'code' : 'link'
+      });
+    } catch (error) {
+      console.error(`[AuthService] Failed to send login ${sessionId} on ${fallback.name}:`, error);
+      return null;
+    }
+
+    console.log(`[AuthService] Login ${sessionId} re-sent on ${fallback.name}`);
+    return fallback.name;
+  }
+
+  /**
+   * Changes the email address login messages fall back to
+   * 
+   * Flow:
+   * 1. Save the address unverified, so login messages aren't sent to it yet
+   * 2. Email it a link to confirm it belongs to the user
+   * 3. Tell the user on WhatsApp, so someone holding a stolen token can't quietly
+   *    redirect their login messages
+   * 
+   * @param email - The new address, or null to remove it
+   * @returns Whether a confirmation link was sent, or null if the user doesn't exist
+   */
+  async changeEmail(userId: string, email: string | null): Promise<{ verificationSent: boolean } | null> {
+    const user = await this.userService.findUserById(userId);
+    if (!user) {
+      return null;
+    }
+    if (email === user.email) {
+      return { verificationSent: false };
+    }
+
+    // Step 1: Save the address; any earlier confirmation was for another address
+    await this.userService.updateEmail(userId, email);
+    console.log(`[AuthService] Email of user ${userId} ${email ? 'changed' : 'removed'}`);
+
+    // Step 2: Send the confirmation link; without one the address stays unverified
+    let verificationSent = false;
+    if (email && this.emailSender) {
+      try {
+        const token = await this.verificationService.createEmailVerification(userId, email);
+        const verificationUrl = buildEmailVerificationUrl(CONFIG.APP.LOGIN_LINK_BASE_URL || CONFIG.APP.FRONTEND_URL, token);
+        await this.emailSender.sendEmail(
+          email,
+          'Confirm your email address',
+          `Open this link to confirm this email address for your account: ${verificationUrl}\n\nIt expires in 24 hours. If you didn't add this address, ignore this email.`
+        );
+        verificationSent = true;
+      } catch (error) {
+        console.error('[AuthService] Failed to send email confirmation:', error);
+      }
+    }
+
+    // Step 3: Notify the user (failure to notify must not undo the change)
+    const change = email ? `changed to ${email}` : 'removed';
+    try {
+      await this.whatsappService.sendTextMessage(
+        user.phone_number,
+        `The email address on your account was ${change}. If you didn't do this, log out of all devices from the app and log in again.`
       );
-      
-      console.log(`[AuthService] WhatsApp message sent successfully`);
-      return { success: true, sessionId: tokenId };
     } catch (error) {
-      console.error('[AuthService] Failed to send WhatsApp interactive message:', error);
-      return { success: false, error: 'Failed to send WhatsApp message' };
+      console.error('[AuthService] Failed to send email change notification:', error);
     }
+
+    return { verificationSent };
+  }
+
+  /**
+   * Confirms an email address with the token of the link sent to it
+   * 
+   * @returns The confirmed address, or null if the link is invalid, expired, used or for a replaced address
+   */
+  async verifyEmail(token: string): Promise<{ userId: string; email: string } | null> {
+    const verification = await this.verificationService.consumeEmailVerification(token);
+    if (verification) {
+      console.log(`[AuthService] Email of user ${verification.userId} verified`);
+    }
+    return verification;
+  }
+
+  /**
+   * Completes a login started with the code method, using the code the user typed in
+   * 
+   * Flow:
+   * 1. Check the code, counting the attempt against the login and the caller's IP address
+   * 2. After too many wrong codes the login is invalidated; record a security event
+   * 3. Handle user creation or login, as for a tapped button
+   * 4. Generate access and refresh tokens
+   * 
+   * @param ipAddress - Counted against the per-IP code attempt limit and recorded with the security event
+   */
+  async verifyLoginCode(sessionId: string, code: string, ipAddress?: string): Promise<{
+    success: boolean;
+    accessToken?: string;
+    refreshToken?: string;
+    userId?: string;
+    tokenDelivery?: TokenDelivery;
+    attemptsLeft?: number;
+    error?: string;
+    errorCode?: ErrorCode;
+  }> {
+    // Step 1: Check the code
+    if (ipAddress) {
+      const { allowed, retryAt } = await this.verificationService.consumeRateLimit(
+        `code:ip:${ipAddress}`,
+        CONFIG.VERIFICATION.CODE_ATTEMPTS_PER_IP,
+        CONFIG.VERIFICATION.RATE_LIMIT_WINDOW_SECONDS
+      );
+      if (!allowed) {
+        console.warn(`[AuthService] Too many code attempts from ${ipAddress}`);
+        return this.rateLimitedResult('Too many codes tried', retryAt);
+      }
+    }
+    const result = await this.verificationService.verifyOtp(sessionId, code);
+    if (result.status === 'not_found') {
+      return { success: false, error: 'The login has expired, was completed or was not started with the code method', errorCode: ERROR_CODES.INVALID_LOGIN_CODE };
+    }
+    if (result.status === 'invalid') {
+      return {
+        success: false,
+        attemptsLeft: result.attemptsLeft,
+        error: `Wrong code, ${result.attemptsLeft} attempt${result.attemptsLeft === 1 ? '' : 's'} left`,
+        errorCode: ERROR_CODES.INVALID_LOGIN_CODE
+      };
+    }
+
+    // Step 2: Someone may be guessing; only this login is invalidated, so a guesser can't
+    // lock the owner of the number out (new logins are bounded by the rate limits instead)
+    if (result.status === 'exhausted') {
+      await this.auditService.recordEvent({
+        type: 'login_code_attempts_exceeded',
+        phoneNumber: result.phoneNumber,
+        ipAddress,
+        details: { sessionId }
+      });
+      console.warn(`[AuthService] Too many wrong codes for login ${sessionId}, login invalidated`);
+      return {
+        success: false,
+        attemptsLeft: 0,
+        error: 'Too many wrong codes. Please start a new login',
+        errorCode: ERROR_CODES.LOGIN_CODE_ATTEMPTS_EXCEEDED
+      };
+    }
+
+    // Step 3: Create or log in the user
+    const user = await this.resolveLoginUser(result.phoneNumber, result.isNewUser);
+
+    // Step 4: Generate access and refresh tokens
+    const { accessToken, refreshToken } = await this.issueTokens(user.id, result.device);
+    return { success: true, accessToken, refreshToken, userId: user.id, tokenDelivery: result.tokenDelivery };
+  }
+
+  /**
+   * Initiates a QR code login for a desktop browser, before the user's number is known
+   * 
+   * The client shows the wa.me link as a QR code. Scanning it opens WhatsApp on the
+   * user's phone with the login code prefilled; whoever sends it is logged in.
+   * 
+   * @param options.device - Device the login was started from, shown in the user's session list
+   * @param options.ipAddress - Client IP, counted against the per-IP login limit
+   * @param options.tokenDelivery - 'cookie' to finish the login with an exchange code for session cookies
+   */
+  async initiateQrLogin(
+    options: { device?: SessionDevice; ipAddress?: string; tokenDelivery?: TokenDelivery } = {}
+  ): Promise<{ success: boolean; sessionId?: string; expiresAt?: number; loginCode?: string; loginUrl?: string; error?: string; errorCode?: ErrorCode }> {
+    const { ipAddress, ...tokenOptions } = options;
+    if (!CONFIG.WHATSAPP.BUSINESS_PHONE_NUMBER) {
+      return {
+        success: false,
+        error: 'Logging in by messaging a code is not configured on this server',
+        errorCode: ERROR_CODES.LOGIN_METHOD_UNAVAILABLE
+      };
+    }
+
+    // There is no number yet, so only the per-IP limit applies
+    const rateLimited = await this.checkLoginRateLimits(null, ipAddress);
+    if (rateLimited) {
+      return rateLimited;
+    }
+
+    // The number, and whether this is a signup, are only known once the code is sent
+    const { tokenId, expiresAt, loginCode } = await this.verificationService.createVerificationToken(null, false, {
+      ...tokenOptions,
+      withLoginCode: true
+    });
+    console.log(`[AuthService] QR code login ${tokenId} initiated`);
+
+    return {
+      success: true,
+      sessionId: tokenId,
+      expiresAt,
+      loginCode,
+      loginUrl: buildLoginCodeLink(CONFIG.WHATSAPP.BUSINESS_PHONE_NUMBER, loginCode!)
+    };
+  }
+
+  /**
+   * Counts a new login against the per-number and per-IP limits
+   * 
+   * @returns An error result if either limit is exceeded, or null
+   */
+  private async checkLoginRateLimits(phoneNumber: string | null, ipAddress?: string): Promise<{ success: false; error: string; errorCode: ErrorCode } | null> {
+    const limits: Array<{ key: string; limit: number }> = [];
+    if (phoneNumber) {
+      limits.push({ key: `login:phone:${phoneNumber}`, limit: CONFIG.VERIFICATION.LOGINS_PER_NUMBER });
+    }
+    if (ipAddress) {
+      limits.push({ key: `login:ip:${ipAddress}`, limit: CONFIG.VERIFICATION.LOGINS_PER_IP });
+    }
+
+    for (const { key, limit } of limits) {
+      const { allowed, retryAt } = await this.verificationService.consumeRateLimit(key, limit, CONFIG.VERIFICATION.RATE_LIMIT_WINDOW_SECONDS);
+      if (!allowed) {
+        console.warn(`[AuthService] Login rate limit exceeded for ${key}`);
+        return this.rateLimitedResult('Too many logins started', retryAt);
+      }
+    }
+    return null;
+  }
+
+  private rateLimitedResult(reason: string, retryAt: number): { success: false; error: string; errorCode: ErrorCode } {
+    const minutes = Math.max(1, Math.ceil((retryAt - Math.floor(Date.now() / 1000)) / 60));
+    return {
+      success: false,
+      error: `${reason}. Please try again in ${minutes} minute${minutes === 1 ? '' : 's'}`,
+      errorCode: ERROR_CODES.TOO_MANY_LOGIN_ATTEMPTS
+    };
   }
 
   /**
    * Verifies the webhook token and completes the authentication process
    * 
    * Flow:
+   * 1. Validate and consume the verification token, creating or logging in the user
+   * 2. Generate JWT access and refresh tokens
+   * 3. Return authentication tokens
+   */
+  async verifyWebhookToken(phoneNumber: string, encodedToken: string): Promise<{ accessToken: string; refreshToken: string; userId: string } | null> {
+    // Step 1: Validate the token and resolve the user
+    const authentication = await this.authenticateWebhookToken(phoneNumber, encodedToken);
+    if (!authentication) {
+      return null;
+    }
+    const { user, device } = authentication;
+
+    // Step 2: Generate access and refresh tokens
+    const { accessToken, refreshToken } = await this.issueTokens(user.id, device);
+
+    // Step 3: Return authentication tokens
+    return { accessToken, refreshToken, userId: user.id };
+  }
+
+  /**
+   * Validates and consumes a webhook token and resolves the user it belongs to,
+   * without issuing any tokens
+   * 
+   * Flow:
    * 1. Validate and consume the verification token
    * 2. Handle user creation or login based on token status
-   * 3. Generate JWT access and refresh tokens
-   * 4. Return authentication tokens
+   * 3. Return the authenticated user and the device the login was started from
    */
-  async verifyWebhookToken(phoneNumber: string, encodedToken: string): Promise<{ accessToken: string; refreshToken: string; userId: string } | null> {
+  async authenticateWebhookToken(phoneNumber: string, encodedToken: string): Promise<{ user: User; device?: SessionDevice } | null> {
     console.log(`[AuthService] Verifying webhook token for phone: ${phoneNumber}, token length: ${encodedToken.length}`);
     
     // Step 1: Validate and consume the verification token
     // This ensures the token is valid, not expired, and hasn't been used before
     const tokenValidation = await this.verificationService.validateAndConsumeToken(encodedToken, phoneNumber);
     if (!tokenValidation.isValid) {
-      console.log(`[AuthService] Token validation failed`);
+      console.log(`[AuthService] Token validation failed, reason: ${tokenValidation.reason}`);
       return null;
     }
 
     console.log(`[AuthService] Token validation successful, isNewUser: ${tokenValidation.isNewUser}`);
 
     // Step 2: Handle user creation or existing user login based on token status
+    const user = await this.resolveLoginUser(phoneNumber, !!tokenValidation.isNewUser);
+
+    // Step 3: Return the authenticated user
+    return { user, device: tokenValidation.device };
+  }
+
+  /**
+   * Validates and consumes a login code the user messaged us, and resolves the user
+   * 
+   * Flow:
+   * 1. Consume the login started for this number with this code
+   * 2. Handle user creation or login based on the login's status
+   * 3. Return the user with what's needed to deliver the result to the waiting client
+   * 
+   * @param phoneNumber - The number the message came from
+   */
+  async authenticateLoginCode(code: string, phoneNumber: string): Promise<{
+    user: User;
+    device: SessionDevice;
+    sessionId: string;
+    authorizationRequestId?: string;
+    tokenDelivery: TokenDelivery;
+  } | null> {
+    // Step 1: Consume the login code
+    const login = await this.verificationService.consumeLoginCode(code, phoneNumber);
+    if (!login) {
+      return null;
+    }
+
+    // Step 2: Create or log in the user
+    const user = await this.resolveLoginUser(login.phoneNumber, login.isNewUser);
+
+    // Step 3: Return the user and the login
+    return {
+      user,
+      device: login.device,
+      sessionId: login.sessionId,
+      authorizationRequestId: login.authorizationRequestId,
+      tokenDelivery: login.tokenDelivery
+    };
+  }
+
+  /**
+   * Holds a QR code login for the number that messaged us its code, until that number confirms it
+   * 
+   * @param phoneNumber - The number the message came from
+   * @returns The login and the device it was started from, to show the user, or null
+   */
+  async requestQrLoginConfirmation(code: string, phoneNumber: string): Promise<{ sessionId: string; device: SessionDevice } | null> {
+    const pending = await this.verificationService.requestQrLoginConfirmation(code, phoneNumber);
+    if (pending) {
+      console.log(`[AuthService] QR code login ${pending.sessionId} waiting for ${phoneNumber} to confirm`);
+    }
+    return pending;
+  }
+
+  /**
+   * Completes a QR code login once the number that sent its code tapped Confirm
+   * 
+   * Flow:
+   * 1. Consume the login, binding the confirming number to it
+   * 2. Create or log in the user; QR code logins only learn who it is now
+   * 3. Return the user with what's needed to deliver the result to the waiting client
+   * 
+   * @param phoneNumber - The number the confirmation came from
+   */
+  async confirmQrLogin(sessionId: string, phoneNumber: string): Promise<{
+    user: User;
+    device: SessionDevice;
+    sessionId: string;
+    authorizationRequestId?: string;
+    tokenDelivery: TokenDelivery;
+  } | null> {
+    // Step 1: Consume the login
+    const login = await this.verificationService.confirmQrLogin(sessionId, phoneNumber);
+    if (!login) {
+      return null;
+    }
+
+    // Step 2: Create or log in the user
+    const isNewUser = !(await this.userService.findUserByPhone(login.phoneNumber));
+    const user = await this.resolveLoginUser(login.phoneNumber, isNewUser);
+
+    // Step 3: Return the user and the login
+    return {
+      user,
+      device: login.device,
+      sessionId: login.sessionId,
+      authorizationRequestId: login.authorizationRequestId,
+      tokenDelivery: login.tokenDelivery
+    };
+  }
+
+  /**
+   * Handles "This wasn't me" on a QR code login confirmation
+   * 
+   * The login was started on someone else's screen, so unlike denyLogin the number's
+   * own logins are not paused; the attempt is recorded for admins to review.
+   * 
+   * @returns The denied login, or null if it is unknown, already used or pending for another number
+   */
+  async denyQrLogin(sessionId: string, phoneNumber: string): Promise<{ sessionId: string } | null> {
+    const denied = await this.verificationService.cancelQrLogin(sessionId, phoneNumber);
+    if (!denied) {
+      return null;
+    }
+
+    const existingUser = await this.userService.findUserByPhone(phoneNumber);
+    await this.auditService.recordEvent({
+      type: 'login_denied',
+      userId: existingUser ? existingUser.id : null,
+      phoneNumber,
+      details: {
+        sessionId,
+        method: 'qr',
+        userAgent: denied.device.userAgent,
+        ipCountry: denied.device.ipCountry,
+        clientApp: denied.device.clientApp
+      }
+    });
+
+    console.log(`[AuthService] QR code login ${sessionId} denied by ${phoneNumber}`);
+    return { sessionId };
+  }
+
+  /**
+   * Creates the user of a confirmed signup, or records the login of an existing one
+   */
+  private async resolveLoginUser(phoneNumber: string, isNewUser: boolean): Promise<User> {
     let user;
-    if (tokenValidation.isNewUser) {
+    if (isNewUser) {
       // Create new user (we know from token this is a new user)
       console.log(`[AuthService] Creating new user for phone: ${phoneNumber}`);
       user = await this.userService.createUser(phoneNumber);
@@ -128,21 +682,46 @@ export class AuthService {
         console.log(`[AuthService] Existing user logged in: ${user.id} for phone: ${phoneNumber}`);
       }
     }
+    return user;
+  }
 
-    console.log(`[AuthService] Generating JWT tokens for user: ${user.id}`);
+  /**
+   * Starts a session for an authenticated user and issues its first access/refresh token pair
+   * 
+   * Flow:
+   * 1. Create the server-side session
+   * 2. Generate JWT access token bound to the session (short-lived for security)
+   * 3. Generate and store refresh token for the session (long-lived for convenience)
+   */
+  async issueTokens(userId: string, device?: SessionDevice): Promise<{ accessToken: string; refreshToken: string; sessionId: string }> {
+    console.log(`[AuthService] Generating JWT tokens for user: ${userId}`);
 
-    // Step 3: Generate JWT access token (short-lived for security)
-    const accessToken = await createJWT({
-      userId: user.id,
-      type: 'access'
-    }, 15 * 60); // 15 minutes expiration
+    // Step 1: Create the session the tokens belong to
+    const session = await this.userService.createSession(userId, REFRESH_TOKEN_EXPIRY, 'active', device);
 
-    // Step 4: Generate and store refresh token (long-lived for convenience)
-    const { token: refreshToken } = await this.verificationService.createRefreshToken(user.id);
+    // Step 2: Generate JWT access token (short-lived for security)
+    const accessToken = await this.createAccessToken(userId, { sid: session.id });
 
-    console.log(`[AuthService] Tokens generated successfully - accessToken length: ${accessToken.length}, refreshToken length: ${refreshToken.length}`);
+    // Step 3: Generate and store refresh token (long-lived for convenience)
+    const { token: refreshToken } = await this.verificationService.createRefreshToken(userId, { sessionId: session.id });
 
-    return { accessToken, refreshToken, userId: user.id };
+    console.log(`[AuthService] Tokens generated successfully for session ${session.id} - accessToken length: ${accessToken.length}, refreshToken length: ${refreshToken.length}`);
+
+    return { accessToken, refreshToken, sessionId: session.id };
+  }
+
+  /**
+   * Creates a signed access token
+   * 
+   * @param claims - Extra claims (e.g. sub, client_id and scope for OpenID Connect clients)
+   */
+  async createAccessToken(userId: string, claims: Record<string, unknown> = {}): Promise<string> {
+    return createJWT({
+      ...claims,
+      userId,
+      type: 'access',
+      jti: generateRandomId() // Lets a single access token be revoked
+    }, ACCESS_TOKEN_EXPIRY);
   }
 
   /**
@@ -151,80 +730,241 @@ export class AuthService {
    * Flow:
    * 1. Verify JWT signature and decode payload
    * 2. Check token type and extract user ID
-   * 3. Verify user still exists in database
-   * 4. Return user ID if valid
+   * 3. Check the token and its session have not been revoked
+   * 4. Verify user still exists in database
+   * 5. Return the token's claims if valid
+   * 
+   * Tokens issued to third-party OpenID Connect clients are rejected unless
+   * allowClientTokens is set; only the userinfo, introspection and revocation
+   * endpoints accept them, so they can't call the first-party API as the user
    */
-  async validateAccessToken(token: string): Promise<{ userId: string } | null> {
+  async validateAccessToken(
+    token: string,
+    options: { allowClientTokens?: boolean } = {}
+  ): Promise<AccessTokenInfo | null> {
     // Step 1: Verify JWT signature and decode payload
-    const payload = await verifyJWT<{ userId: string; type: string }>(token);
+    const payload = await verifyJWT<{
+      userId: string;
+      type: string;
+      sid?: string;
+      client_id?: string;
+      scope?: string;
+      jti?: string;
+      iat: number;
+      exp: number;
+    }>(token);
+
+    // Step 2: Check token type
     if (!payload || !payload.userId || payload.type !== 'access') {
       return null;
     }
+    if (payload.client_id && !options.allowClientTokens) {
+      return null;
+    }
+
+    // Step 3: Check the token was not revoked (RFC 7009 revocation endpoint)
+    if (payload.jti && await this.verificationService.isAccessTokenRevoked(payload.jti)) {
+      return null;
+    }
+
+    // Revoking (or logging out) a session invalidates its access tokens right away
+    if (payload.sid && !(await this.userService.findActiveSession(payload.sid))) {
+      return null;
+    }
     
-    // Step 2: Verify the user still exists (user might have been deleted)
+    // Step 4: Verify the user still exists (user might have been deleted)
     const user = await this.userService.findUserById(payload.userId);
     if (!user) {
       return null;
     }
     
-    return { userId: payload.userId };
+    // Step 5: Tokens issued to OpenID Connect clients also carry the client and granted scope
+    return {
+      userId: payload.userId,
+      sessionId: payload.sid,
+      clientId: payload.client_id,
+      scope: payload.scope,
+      tokenId: payload.jti,
+      issuedAt: payload.iat,
+      expiresAt: payload.exp
+    };
+  }
+
+  /**
+   * Revokes a single access token until it expires
+   * 
+   * @returns false if the token is not a valid, revocable access token
+   */
+  async revokeAccessToken(token: string, options: { allowClientTokens?: boolean } = {}): Promise<boolean> {
+    const tokenInfo = await this.validateAccessToken(token, options);
+    if (!tokenInfo || !tokenInfo.tokenId) {
+      return false;
+    }
+
+    await this.verificationService.revokeAccessToken(tokenInfo.tokenId, tokenInfo.expiresAt);
+    return true;
   }
 
   /**
    * Refreshes an access token using a valid refresh token
    * 
    * Flow:
-   * 1. Validate the refresh token
-   * 2. Generate new access token
-   * 3. Rotate refresh token (generate new one and revoke old)
-   * 4. Return new token pair
+   * 1. Validate the refresh token (a replayed rotated token triggers reuse handling)
+   * 2. Check its session is still active
+   * 3. Rotate refresh token (revoke old, generate new one in the same family and session)
+   * 4. Generate new access token bound to the session
+   * 5. Return new token pair
+   * 
+   * The user is taken from the token record, so the client only needs the refresh token
+   * 
+   * @param context.ipAddress - Client IP, recorded if token reuse is detected
    */
-  async refreshAccessToken(refreshToken: string, userId: string): Promise<{ accessToken: string; refreshToken: string } | null> {
+  async refreshAccessToken(
+    refreshToken: string,
+    context: { ipAddress?: string } = {}
+  ): Promise<{ accessToken: string; refreshToken: string; userId: string } | null> {
     // Step 1: Validate the refresh token against database
-    const tokenRecord = await this.verificationService.validateRefreshToken(refreshToken, userId);
+    const tokenRecord = await this.verificationService.findActiveRefreshToken(refreshToken);
     if (!tokenRecord) {
+      // A token that was already rotated should never be presented again:
+      // either the client or an attacker holds a stolen copy
+      const knownToken = await this.verificationService.findRefreshToken(refreshToken);
+      if (knownToken && knownToken.revoked_reason === 'rotated') {
+        await this.handleRefreshTokenReuse(knownToken, context.ipAddress);
+      }
       return null;
     }
+    const userId = tokenRecord.user_id;
 
-    // Step 2: Generate new access token with fresh expiration
-    const accessToken = await createJWT({
-      userId: userId,
-      type: 'access'
-    }, 15 * 60); // 15 minutes
+    // Step 2: Check the session; tokens issued before sessions existed get one once rotated
+    let sessionId = tokenRecord.session_id;
+    if (sessionId) {
+      if (!(await this.userService.findActiveSession(sessionId))) {
+        console.log(`[AuthService] Session ${sessionId} is no longer active`);
+        return null;
+      }
+      await this.userService.touchSession(sessionId, REFRESH_TOKEN_EXPIRY);
+    }
 
     // Step 3: Implement token rotation for security
-    // Revoke the old refresh token and generate a new one
-    await this.verificationService.revokeRefreshToken(tokenRecord.id);
-    const { token: newRefreshToken } = await this.verificationService.createRefreshToken(userId);
+    // Revoke the old refresh token first; if another request already rotated it,
+    // the same token was used twice
+    const revoked = await this.verificationService.revokeRefreshToken(tokenRecord.id, 'rotated');
+    if (!revoked) {
+      await this.handleRefreshTokenReuse(tokenRecord, context.ipAddress);
+      return null;
+    }
+    // Only the request that won the rotation creates the session, so a replayed
+    // legacy token doesn't leave an orphan session behind
+    if (!sessionId) {
+      sessionId = (await this.userService.createSession(userId, REFRESH_TOKEN_EXPIRY, 'active')).id;
+    }
+    const { token: newRefreshToken } = await this.verificationService.createRefreshToken(userId, {
+      familyId: tokenRecord.family_id,
+      sessionId
+    });
 
-    return { accessToken, refreshToken: newRefreshToken };
+    // Step 4: Generate new access token with fresh expiration
+    const accessToken = await this.createAccessToken(userId, { sid: sessionId });
+
+    return { accessToken, refreshToken: newRefreshToken, userId };
   }
 
   /**
-   * Logs out a user by revoking refresh tokens
+   * Responds to a rotated refresh token being used again
    * 
    * Flow:
-   * 1. If specific refresh token provided, revoke only that token
-   * 2. If no token provided, revoke all user's refresh tokens (logout from all devices)
-   * 3. Return success status
+   * 1. Revoke every token in the family and its session, logging out both the legitimate client and the attacker
+   * 2. Record a security event
+   * 3. Warn the user on WhatsApp
    */
-  async logout(userId: string, refreshToken?: string): Promise<boolean> {
-    try {
-      if (refreshToken) {
-        // Step 1: Revoke the specific refresh token (logout from current device)
-        const tokenRecord = await this.verificationService.validateRefreshToken(refreshToken, userId);
-        if (tokenRecord) {
-          await this.verificationService.revokeRefreshToken(tokenRecord.id);
-        }
-      } else {
-        // Step 2: Revoke all refresh tokens for the user (logout from all devices)
-        await this.verificationService.revokeAllUserRefreshTokens(userId);
+  private async handleRefreshTokenReuse(tokenRecord: RefreshToken, ipAddress?: string): Promise<void> {
+    console.warn(`[AuthService] Refresh token reuse detected for user ${tokenRecord.user_id}, family ${tokenRecord.family_id}`);
+
+    // Step 1: Revoke the whole family, and the session so its access tokens stop working too
+    const revokedCount = await this.verificationService.revokeRefreshTokenFamily(tokenRecord.family_id, 'reuse_detected');
+    if (tokenRecord.session_id) {
+      await this.userService.revokeSession(tokenRecord.session_id);
+    }
+
+    // Step 2: Record the security event
+    const user = await this.userService.findUserById(tokenRecord.user_id);
+    await this.auditService.recordEvent({
+      type: 'refresh_token_reuse',
+      userId: tokenRecord.user_id,
+      phoneNumber: user?.phone_number,
+      ipAddress,
+      details: {
+        familyId: tokenRecord.family_id,
+        tokenId: tokenRecord.id,
+        revokedCount
       }
-      return true;
-    } catch (error) {
-      console.error('Logout failed:', error);
+    });
+
+    // Step 3: Notify the user (failure to notify must not hide the revocation)
+    if (user) {
+      try {
+        await this.whatsappService.sendTextMessage(
+          user.phone_number,
+          'Security alert: a sign-in token for your account was used more than once, which can mean it was stolen. We have signed out the affected session as a precaution. Please log in again to continue.'
+        );
+      } catch (error) {
+        console.error('[AuthService] Failed to send token reuse notification:', error);
+      }
+    }
+  }
+
+  /**
+   * Revokes a session, its refresh tokens and (on their next validation) its access tokens
+   */
+  async revokeSession(sessionId: string): Promise<void> {
+    await this.userService.revokeSession(sessionId);
+    await this.verificationService.revokeSessionRefreshTokens(sessionId);
+  }
+
+  /**
+   * Signs out every other device of a user
+   * 
+   * @param keepSessionId - The caller's own session, which stays signed in
+   * @returns Number of sessions revoked
+   */
+  async revokeOtherSessions(userId: string, keepSessionId: string): Promise<number> {
+    const revokedCount = await this.userService.revokeAllUserSessions(userId, keepSessionId);
+    await this.verificationService.revokeAllUserRefreshTokens(userId, keepSessionId);
+    return revokedCount;
+  }
+
+  /**
+   * Logs out the device holding a refresh token
+   * 
+   * Flow:
+   * 1. Find the active refresh token (the token itself proves who is logging out)
+   * 2. Revoke it and its session
+   * 
+   * @returns false if the refresh token is unknown, expired or already revoked
+   */
+  async logoutWithRefreshToken(refreshToken: string): Promise<boolean> {
+    // Step 1: Find the refresh token
+    const tokenRecord = await this.verificationService.findActiveRefreshToken(refreshToken);
+    if (!tokenRecord) {
       return false;
     }
+
+    // Step 2: Revoke the token and the session it belongs to
+    await this.verificationService.revokeRefreshToken(tokenRecord.id);
+    if (tokenRecord.session_id) {
+      await this.revokeSession(tokenRecord.session_id);
+    }
+    return true;
+  }
+
+  /**
+   * Logs out a user from all devices by revoking every session and refresh token
+   * Only call this for a user id taken from a validated access token
+   */
+  async logoutAllDevices(userId: string): Promise<void> {
+    await this.userService.revokeAllUserSessions(userId);
+    await this.verificationService.revokeAllUserRefreshTokens(userId);
   }
 
   /**
@@ -262,6 +1002,125 @@ export class AuthService {
     return null;
   }
 
+  /**
+   * Verifies a login token and resolves the user without issuing tokens
+   * Used when the login completes an OpenID Connect authorization request,
+   * where tokens are issued later by the /token endpoint
+   */
+  async authenticateLogin(token: string): Promise<User | null> {
+    const phoneNumber = await this.verificationService.getPhoneNumberFromToken(token);
+    if (!phoneNumber) {
+      console.log(`[AuthService] Failed to extract phone number from token`);
+      return null;
+    }
+
+    const authentication = await this.authenticateWebhookToken(phoneNumber, token);
+    return authentication ? authentication.user : null;
+  }
+
+  /**
+   * Verifies a login token for cookie delivery and returns a one-time exchange code
+   * The browser redeems the code at /api/auth/session, which sets the session cookies
+   */
+  async createLoginExchange(token: string): Promise<{ exchangeCode: string; userId: string } | null> {
+    const phoneNumber = await this.verificationService.getPhoneNumberFromToken(token);
+    if (!phoneNumber) {
+      console.log(`[AuthService] Failed to extract phone number from token`);
+      return null;
+    }
+
+    const authentication = await this.authenticateWebhookToken(phoneNumber, token);
+    if (!authentication) {
+      return null;
+    }
+
+    const exchangeCode = await this.verificationService.createLoginExchangeCode(authentication.user.id, authentication.device);
+    return { exchangeCode, userId: authentication.user.id };
+  }
+
+  /**
+   * Redeems a login exchange code and starts the session
+   * 
+   * @returns The new tokens, or null if the code is invalid, expired or already used
+   */
+  async redeemLoginExchange(exchangeCode: string): Promise<{ accessToken: string; refreshToken: string; sessionId: string; userId: string } | null> {
+    const exchange = await this.verificationService.consumeLoginExchangeCode(exchangeCode);
+    if (!exchange) {
+      return null;
+    }
+
+    const tokens = await this.issueTokens(exchange.userId, exchange.device);
+    return { ...tokens, userId: exchange.userId };
+  }
+
+  /**
+   * Cancels a login that is still waiting for the WhatsApp button
+   * The verification token is invalidated, so tapping the button no longer logs in
+   * 
+   * @returns false if the button was already used
+   */
+  async cancelLogin(sessionId: string): Promise<boolean> {
+    const cancelled = await this.verificationService.cancelVerificationToken(sessionId);
+    console.log(`[AuthService] Login ${sessionId} ${cancelled ? 'cancelled' : 'could not be cancelled, token already used'}`);
+    return cancelled;
+  }
+
+  /**
+   * Handles "This wasn't me" on a login message
+   * 
+   * Flow:
+   * 1. Validate the token without consuming it
+   * 2. Invalidate it, so the confirm button no longer logs in
+   * 3. Pause new logins for the number
+   * 4. Record a security event with the device that requested the login
+   * 
+   * @param denyPayload - Id of the tapped deny button (the verification token behind DENY_BUTTON_PREFIX)
+   * @returns The sessionId of the denied login, or null if the token is invalid, expired or already used
+   */
+  async denyLogin(denyPayload: string): Promise<{ sessionId: string; phoneNumber: string; lockedUntil: number } | null> {
+    const token = denyPayload.substring(DENY_BUTTON_PREFIX.length);
+
+    // Step 1: Validate the token
+    const phoneNumber = await this.verificationService.getPhoneNumberFromToken(token);
+    if (!phoneNumber) {
+      console.log(`[AuthService] Failed to extract phone number from token`);
+      return null;
+    }
+    const tokenValidation = await this.verificationService.validateTokenOnly(token, phoneNumber);
+    if (!tokenValidation.isValid || !tokenValidation.sessionId) {
+      console.log(`[AuthService] Token validation failed, reason: ${tokenValidation.reason}`);
+      return null;
+    }
+
+    // Step 2: Invalidate it; if it was already used, the login went through and there is nothing to deny
+    if (!(await this.verificationService.cancelVerificationToken(tokenValidation.sessionId))) {
+      console.log(`[AuthService] Login ${tokenValidation.sessionId} was already confirmed, cannot deny it`);
+      return null;
+    }
+
+    // Step 3: Pause new logins for the number
+    const lockedUntil = Math.floor(Date.now() / 1000) + CONFIG.VERIFICATION.DENIED_LOGIN_LOCK_SECONDS;
+    await this.verificationService.lockLogins(phoneNumber, lockedUntil, 'login_denied');
+
+    // Step 4: Record who asked for the login, for admins to review
+    const existingUser = await this.userService.findUserByPhone(phoneNumber);
+    await this.auditService.recordEvent({
+      type: 'login_denied',
+      userId: existingUser ? existingUser.id : null,
+      phoneNumber,
+      details: {
+        sessionId: tokenValidation.sessionId,
+        userAgent: tokenValidation.device?.userAgent || null,
+        ipCountry: tokenValidation.device?.ipCountry || null,
+        clientApp: tokenValidation.device?.clientApp || null,
+        lockedUntil
+      }
+    });
+
+    console.log(`[AuthService] Login ${tokenValidation.sessionId} denied, logins locked until ${lockedUntil}`);
+    return { sessionId: tokenValidation.sessionId, phoneNumber, lockedUntil };
+  }
+
   /**
    * Verifies login token WITHOUT consuming it (for extracting information only)
    * 
@@ -273,7 +1132,7 @@ export class AuthService {
    * Note: This method is used when you need token information but want to
    * consume the token later with a different method
    */
-  async verifyLoginTokenOnly(token: string): Promise<{ phoneNumber: string; isNewUser: boolean; sessionId?: string } | null> {
+  async verifyLoginTokenOnly(token: string): Promise<{ phoneNumber: string; isNewUser: boolean; sessionId?: string; authorizationRequestId?: string; tokenDelivery?: TokenDelivery } | null> {
     console.log(`[AuthService] Verifying login token only, token length: ${token.length}`);
     
     // Step 1: Extract phone number from token without consuming it
@@ -288,7 +1147,7 @@ export class AuthService {
     // Step 2: Validate token without consuming it (read-only validation)
     const tokenValidation = await this.verificationService.validateTokenOnly(token, phoneNumber);
     if (!tokenValidation.isValid) {
-      console.log(`[AuthService] Token validation failed`);
+      console.log(`[AuthService] Token validation failed, reason: ${tokenValidation.reason}`);
       return null;
     }
 
@@ -298,7 +1157,9 @@ export class AuthService {
     return {
       phoneNumber,
       isNewUser: tokenValidation.isNewUser || false,
-      sessionId: tokenValidation.sessionId
+      sessionId: tokenValidation.sessionId,
+      authorizationRequestId: tokenValidation.authorizationRequestId,
+      tokenDelivery: tokenValidation.tokenDelivery
     };
   }
 
@@ -328,4 +1189,9 @@ export class AuthService {
       ? digits
       : `+${digits}`;
   }
-}
\ No newline at end of file
+
+  // Login messages only fall back to an email address its owner has confirmed
+  private getLoginEmail(user: User | null): string | null {
+    return user && user.email_verified_at ? user.email : null;
+  }
+}
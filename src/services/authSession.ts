@@ -0,0 +1,160 @@
+import { DeliveryChannelName, MessageDeliveryError } from '../types';
+import { generateSecureToken, hashToken } from '../utils/crypto';
+
+// AuthSessionDO routes are only reachable through a stub, so the host is arbitrary
+const DO_BASE_URL = 'http://do-stub';
+
+// Header (or `secret` query parameter, for WebSocket and EventSource clients) proving a client started the login
+export const SESSION_SECRET_HEADER = 'X-Session-Secret';
+
+/**
+ * Progress of the WhatsApp message carrying the login button, in the order it happens
+ * Pushed to waiting clients before the login result; message_fallback replaces
+ * message_failed when the login was re-sent by SMS or email
+ */
+export const LOGIN_PROGRESS_EVENTS = ['message_sent', 'message_delivered', 'message_read', 'message_failed', 'message_fallback'] as const;
+export type LoginProgressEvent = typeof LOGIN_PROGRESS_EVENTS[number];
+
+export type CancelSessionResult = 'cancelled' | 'invalid_secret' | 'not_found' | 'completed';
+
+/**
+ * AuthSessionService talks to the AuthSessionDO of a login attempt:
+ * - Starts the session state when the login is initiated
+ * - Hands the login result (tokens, exchange code or redirect) to the DO,
+ *   which stores it until a client connection receives it
+ * - Reports the progress of the WhatsApp message to waiting clients
+ * - Forwards client connections (WebSocket, Server-Sent Events or long-poll)
+ */
+export class AuthSessionService {
+  private namespace: DurableObjectNamespace;
+
+  constructor(namespace: DurableObjectNamespace) {
+    this.namespace = namespace;
+  }
+
+  /**
+   * Records a pending login; the DO clears it when the verification window ends
+   *
+   * The sessionId is not secret (it is part of the WhatsApp button payload), so the
+   * returned session secret is what entitles a client to receive the result. Only
+   * its hash is stored.
+   *
+   * @param expiresAt - Unix timestamp (seconds) at which the verification token expires
+   * @returns The session secret to hand to the client that started the login
+   */
+  async initialize(sessionId: string, expiresAt: number): Promise<string> {
+    const sessionSecret = generateSecureToken(43);
+    await this.post(sessionId, '/init', { expiresAt, secretHash: await hashToken(sessionSecret) });
+    return sessionSecret;
+  }
+
+  async sendTokens(sessionId: string, payload: { authToken: string; refreshToken: string; userId: string }): Promise<void> {
+    await this.post(sessionId, '/send-tokens', payload);
+  }
+
+  async sendExchangeCode(sessionId: string, payload: { exchangeCode: string; userId: string }): Promise<void> {
+    await this.post(sessionId, '/send-exchange-code', payload);
+  }
+
+  async sendAuthorization(sessionId: string, payload: { redirectUrl: string }): Promise<void> {
+    await this.post(sessionId, '/send-authorization', payload);
+  }
+
+  /**
+   * @param error - Why the message failed, sent with message_failed and message_fallback
+   * @param channel - Where the login was re-sent, sent with message_fallback
+   */
+  async sendProgress(sessionId: string, event: LoginProgressEvent, error?: MessageDeliveryError, channel?: DeliveryChannelName): Promise<void> {
+    await this.post(sessionId, '/send-progress', { event, error, channel });
+  }
+
+  /**
+   * Ends a pending login the user denied on WhatsApp; waiting clients receive session_denied
+   */
+  async deny(sessionId: string): Promise<void> {
+    await this.post(sessionId, '/deny', {});
+  }
+
+  /**
+   * Ends a pending login and tells waiting clients it was cancelled
+   * Only the client holding the session secret can cancel
+   */
+  async cancel(sessionId: string, sessionSecret: string): Promise<CancelSessionResult> {
+    const response = await this.getStub(sessionId).fetch(new URL('/cancel', DO_BASE_URL).toString(), {
+      method: 'POST',
+      headers: { [SESSION_SECRET_HEADER]: sessionSecret }
+    });
+
+    switch (response.status) {
+      case 200:
+        return 'cancelled';
+      case 401:
+        return 'invalid_secret';
+      case 404:
+        return 'not_found';
+      default:
+        return 'completed';
+    }
+  }
+
+  /**
+   * Forwards a WebSocket upgrade request to the session's DO
+   * The DO checks the session secret in the request (header or `secret` query parameter)
+   */
+  connect(sessionId: string, request: Request): Promise<Response> {
+    const url = new URL(request.url);
+    url.pathname = '/websocket';
+    return this.getStub(sessionId).fetch(url.toString(), request);
+  }
+
+  /**
+   * Opens a Server-Sent Events stream carrying the same messages as the WebSocket
+   *
+   * @returns The stream, or a 401 response if the session secret is wrong
+   */
+  openEventStream(sessionId: string, sessionSecret: string): Promise<Response> {
+    return this.getStub(sessionId).fetch(new URL('/events', DO_BASE_URL).toString(), {
+      headers: { [SESSION_SECRET_HEADER]: sessionSecret }
+    });
+  }
+
+  /**
+   * Long-polls for the login result
+   *
+   * @param timeoutSeconds - How long to wait before answering with session_pending
+   * @param signal - The client request's signal, so the poll stops waiting when the client disconnects
+   * @returns The message the WebSocket would receive (auth_success, session_expired, ...),
+   *   or null if the session secret is wrong
+   */
+  async waitForStatus(sessionId: string, sessionSecret: string, timeoutSeconds: number, signal?: AbortSignal): Promise<Record<string, unknown> | null> {
+    const url = new URL('/status', DO_BASE_URL);
+    url.searchParams.set('timeout', String(timeoutSeconds));
+    const response = await this.getStub(sessionId).fetch(url.toString(), {
+      headers: { [SESSION_SECRET_HEADER]: sessionSecret },
+      signal
+    });
+    if (response.status === 401) {
+      return null;
+    }
+    return response.json<Record<string, unknown>>();
+  }
+
+  // The sessionId is used as the DO name, so every request for a login reaches the same instance
+  private getStub(sessionId: string): DurableObjectStub {
+    return this.namespace.get(this.namespace.idFromName(sessionId));
+  }
+
+  private async post(sessionId: string, path: string, body: unknown): Promise<void> {
+    const response = await this.getStub(sessionId).fetch(
+      new Request(new URL(path, DO_BASE_URL).toString(), {
+        method: 'POST',
+        body: JSON.stringify(body),
+        headers: { 'Content-Type': 'application/json' }
+      })
+    );
+
+    if (!response.ok) {
+      console.error(`[AuthSessionService] ${path} for session ${sessionId} failed with status ${response.status}`);
+    }
+  }
+}
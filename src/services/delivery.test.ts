@@ -0,0 +1,209 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { FakeDeliveryChannel, LoginDelivery, LoginMessage, createLoginDelivery } from './delivery';
+import { AuthService } from './auth';
+import { UserService } from './user';
+import { WhatsAppService } from './whatsapp';
+import { VerificationService } from './verification';
+import { AuditService } from './audit';
+import { CONFIG } from '../config';
+import { DeliveryChannelName, ERROR_CODES, User } from '../types';
+
+const PHONE = '+15551234567';
+
+function buildMessage(overrides: Partial<LoginMessage> = {}): LoginMessage {
+  return { phoneNumber: PHONE, isNewUser: false, token: 'token', method: 'button', ...overrides };
+}
+
+function buildUser(overrides: Partial<User> = {}): User {
+  return { id: 'user1', phone_number: PHONE, name: null, email: null, email_verified_at: null, created_at: 0, last_login: 0, ...overrides };
+}
+
+// Stands in for the D1-backed VerificationService, recording where each login went
+class FakeVerificationService {
+  deliveryChannels: Record<string, DeliveryChannelName> = {};
+  messageIds: Record<string, string> = {};
+  fallbackClaim: { token: string; otp?: string; phoneNumber: string; isNewUser: boolean } | null = null;
+  claimedChannels: DeliveryChannelName[] = [];
+
+  async findActiveLoginLock() {
+    return null;
+  }
+
+  async consumeRateLimit() {
+    return { allowed: true, retryAt: 0 };
+  }
+
+  async createVerificationToken() {
+    return { token: 'token', tokenId: 'login1', expiresAt: 0 };
+  }
+
+  async setVerificationDeliveryChannel(tokenId: string, channel: DeliveryChannelName) {
+    this.deliveryChannels[tokenId] = channel;
+  }
+
+  async setVerificationMessageId(tokenId: string, messageId: string) {
+    this.messageIds[tokenId] = messageId;
+  }
+
+  async claimFallbackDelivery(_tokenId: string, channel: DeliveryChannelName) {
+    this.claimedChannels.push(channel);
+    return this.fallbackClaim;
+  }
+}
+
+// Stands in for the D1-backed UserService with a single optional user
+class FakeUserService {
+  user: User | null = null;
+
+  async findUserByPhone() {
+    return this.user;
+  }
+}
+
+function buildAuthService(delivery: LoginDelivery, verificationService: FakeVerificationService, userService: FakeUserService): AuthService {
+  return new AuthService(
+    userService as unknown as UserService,
+    new WhatsAppService('', ''),
+    verificationService as unknown as VerificationService,
+    {} as AuditService,
+    delivery,
+    null
+  );
+}
+
+describe('LoginDelivery', () => {
+  it('sends on the primary channel when it works', async () => {
+    const whatsapp = new FakeDeliveryChannel('whatsapp');
+    const sms = new FakeDeliveryChannel('sms');
+
+    const result = await new LoginDelivery(whatsapp, sms).send(buildMessage());
+
+    expect(result).toEqual({ channel: 'whatsapp', messageId: 'fake.whatsapp.1', fellBack: false });
+    expect(whatsapp.sent).toHaveLength(1);
+    expect(sms.sent).toHaveLength(0);
+  });
+
+  it('falls back when the primary channel fails', async () => {
+    const whatsapp = new FakeDeliveryChannel('whatsapp', { failWith: 'WhatsApp API error: 131026' });
+    const sms = new FakeDeliveryChannel('sms');
+    const message = buildMessage();
+
+    const result = await new LoginDelivery(whatsapp, sms).send(message);
+
+    expect(result).toEqual({ channel: 'sms', messageId: 'fake.sms.1', fellBack: true });
+    expect(sms.sent).toEqual([message]);
+  });
+
+  it('does not fall back when allowFallback is false', async () => {
+    const whatsapp = new FakeDeliveryChannel('whatsapp', { failWith: 'WhatsApp API error: 131026' });
+    const sms = new FakeDeliveryChannel('sms');
+
+    await expect(new LoginDelivery(whatsapp, sms).send(buildMessage(), { allowFallback: false }))
+      .rejects.toThrow('WhatsApp API error: 131026');
+    expect(sms.sent).toHaveLength(0);
+  });
+
+  it('throws when there is no fallback channel', async () => {
+    const whatsapp = new FakeDeliveryChannel('whatsapp', { failWith: 'WhatsApp API error: 131026' });
+
+    await expect(new LoginDelivery(whatsapp).send(buildMessage())).rejects.toThrow('WhatsApp API error: 131026');
+  });
+});
+
+describe('createLoginDelivery', () => {
+  afterEach(() => {
+    CONFIG.DELIVERY.FALLBACK_CHANNEL = '';
+    CONFIG.MOCK.WHATSAPP_API = false;
+  });
+
+  it('only uses the fake channel with the mock WhatsApp API', () => {
+    CONFIG.DELIVERY.FALLBACK_CHANNEL = 'fake';
+
+    expect(createLoginDelivery(new WhatsAppService('', '')).fallback).toBeNull();
+
+    CONFIG.MOCK.WHATSAPP_API = true;
+    expect(createLoginDelivery(new WhatsAppService('', '')).fallback).toBeInstanceOf(FakeDeliveryChannel);
+  });
+});
+
+describe('AuthService login fallback', () => {
+  let whatsapp: FakeDeliveryChannel;
+  let sms: FakeDeliveryChannel;
+  let verificationService: FakeVerificationService;
+  let userService: FakeUserService;
+  let authService: AuthService;
+
+  beforeEach(() => {
+    whatsapp = new FakeDeliveryChannel('whatsapp', { failWith: 'WhatsApp API error: 131026' });
+    sms = new FakeDeliveryChannel('sms');
+    verificationService = new FakeVerificationService();
+    userService = new FakeUserService();
+    authService = buildAuthService(new LoginDelivery(whatsapp, sms), verificationService, userService);
+  });
+
+  it('sends the login by SMS when WhatsApp rejects it', async () => {
+    const result = await authService.initiateLogin(PHONE);
+
+    expect(result).toMatchObject({ success: true, sessionId: 'login1', deliveryChannel: 'sms' });
+    expect(sms.sent).toHaveLength(1);
+    expect(sms.sent[0]).toMatchObject({ phoneNumber: PHONE, token: 'token', method: 'button' });
+    expect(verificationService.deliveryChannels).toEqual({ login1: 'sms' });
+  });
+
+  it('remembers the WhatsApp message id when WhatsApp takes the login', async () => {
+    whatsapp.failWith = null;
+
+    const result = await authService.initiateLogin(PHONE);
+
+    expect(result).toMatchObject({ success: true, deliveryChannel: 'whatsapp' });
+    expect(sms.sent).toHaveLength(0);
+    expect(verificationService.messageIds).toEqual({ login1: 'fake.whatsapp.1' });
+  });
+
+  it('never falls back for authorization requests', async () => {
+    const result = await authService.initiateLogin(PHONE, { authorizationRequestId: 'request1' });
+
+    expect(result).toMatchObject({ success: false, errorCode: ERROR_CODES.MESSAGE_SEND_FAILED });
+    expect(sms.sent).toHaveLength(0);
+    expect(verificationService.deliveryChannels).toEqual({});
+  });
+
+  it('re-sends the login on the fallback channel after a failed status webhook', async () => {
+    verificationService.fallbackClaim = { token: 'new-token', otp: '123456', phoneNumber: PHONE, isNewUser: true };
+
+    const channel = await authService.fallBackLoginMessage('login1');
+
+    expect(channel).toBe('sms');
+    expect(verificationService.claimedChannels).toEqual(['sms']);
+    expect(sms.sent).toEqual([{ phoneNumber: PHONE, email: null, isNewUser: true, token: 'new-token', otp: '123456', method: 'code' }]);
+  });
+
+  it('does not re-send a login that cannot fall back', async () => {
+    const channel = await authService.fallBackLoginMessage('login1');
+
+    expect(channel).toBeNull();
+    expect(sms.sent).toHaveLength(0);
+  });
+
+  it('does not re-send without a fallback channel', async () => {
+    verificationService.fallbackClaim = { token: 'new-token', phoneNumber: PHONE, isNewUser: false };
+    authService = buildAuthService(new LoginDelivery(whatsapp), verificationService, userService);
+
+    expect(await authService.fallBackLoginMessage('login1')).toBeNull();
+    expect(verificationService.claimedChannels).toEqual([]);
+  });
+
+  it('only sends login messages to a confirmed email address', async () => {
+    const email = new FakeDeliveryChannel('email');
+    authService = buildAuthService(new LoginDelivery(whatsapp, email), verificationService, userService);
+    verificationService.fallbackClaim = { token: 'new-token', phoneNumber: PHONE, isNewUser: false };
+
+    userService.user = buildUser({ email: 'leo@example.com' });
+    await authService.fallBackLoginMessage('login1');
+    userService.user = buildUser({ email: 'leo@example.com', email_verified_at: 1 });
+    await authService.fallBackLoginMessage('login1');
+
+    expect(email.sent.map(message => message.email)).toEqual([null, 'leo@example.com']);
+    expect(email.sent[1].method).toBe('link');
+  });
+});
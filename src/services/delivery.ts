@@ -0,0 +1,283 @@
+import { CONFIG } from '../config';
+import type { DeliveryChannelName, LoginMethod } from '../types';
+import { WhatsAppService, getSentMessageId } from './whatsapp';
+import { buildLoginLinkUrl } from '../utils/loginCode';
+
+// The "This wasn't me" button carries the verification token behind this prefix
+export const DENY_BUTTON_PREFIX = 'deny:';
+const DENY_BUTTON_TITLE = 'This wasn\'t me';
+
+/**
+ * A login message, described independently of the channel that sends it
+ *
+ * WhatsApp sends a button, the authentication template or the login_link template;
+ * SMS and email send the 6-digit code, or else a link to the confirmation page.
+ */
+export interface LoginMessage {
+  phoneNumber: string; // E.164
+  email?: string | null; // Only set for users who saved one in their profile and confirmed it
+  isNewUser: boolean;
+  token: string; // The encoded verification token
+  otp?: string; // Set for the code method
+  method: Extract<LoginMethod, 'button' | 'code' | 'link'>;
+}
+
+/**
+ * A way of sending login messages
+ * sendLoginMessage throws when the message could not be sent, so the caller can fall back
+ */
+export interface DeliveryChannel {
+  readonly name: DeliveryChannelName;
+
+  /**
+   * @returns The provider's id for the message, or null if it has none
+   */
+  sendLoginMessage(message: LoginMessage): Promise<string | null>;
+}
+
+/**
+ * Text of a login message for channels without buttons or templates
+ */
+export function buildLoginMessageText(message: LoginMessage): string {
+  if (message.otp) {
+    return `Your login code is ${message.otp}. It expires in 10 minutes. Never share it with anyone.`;
+  }
+
+  const loginUrl = buildLoginLinkUrl(CONFIG.APP.LOGIN_LINK_BASE_URL || CONFIG.APP.FRONTEND_URL, message.token);
+  const action = message.isNewUser ? 'create your account' : 'log in';
+  return `Open this link to ${action}: ${loginUrl}\n\nIt expires in 10 minutes. If you didn't try to ${action}, ignore this message.`;
+}
+
+/**
+ * Sends login messages on WhatsApp; the default channel
+ */
+export class WhatsAppChannel implements DeliveryChannel {
+  readonly name = 'whatsapp';
+  private whatsappService: WhatsAppService;
+
+  constructor(whatsappService: WhatsAppService) {
+    this.whatsappService = whatsappService;
+  }
+
+  async sendLoginMessage(message: LoginMessage): Promise<string | null> {
+    // The code method sends the authentication template, for users who can't tap buttons
+    if (message.otp) {
+      return getSentMessageId(await this.whatsappService.sendAuthenticationCode(message.phoneNumber, message.otp));
+    }
+
+    if (message.method === 'link') {
+      return getSentMessageId(await this.whatsappService.sendLoginLink(message.phoneNumber, message.token));
+    }
+
+    // Customize message content based on whether this is signup or login
+    const buttonText = message.isNewUser ? 'Sign Up' : 'Confirm Login';
+    const bodyText = message.isNewUser
+      ? 'Hello!\n\nWe\'ve received a request to create a new account with this phone number.\n\nPlease press Sign Up in the next 10 minutes to confirm. If you haven\'t made this request, tap "This wasn\'t me".'
+      : 'Welcome back!\n\nTap Confirm Login to log in to your account. This link will expire in 10 minutes.\n\nIf you didn\'t try to log in, tap "This wasn\'t me".';
+
+    console.log(`[WhatsAppChannel] Message content - buttonText: ${buttonText}, bodyText length: ${bodyText.length}`);
+
+    // The encoded token is embedded as the button payload
+    const response = await this.whatsappService.sendInteractiveButtonMessage(message.phoneNumber, bodyText, [
+      { id: message.token, title: buttonText },
+      { id: `${DENY_BUTTON_PREFIX}${message.token}`, title: DENY_BUTTON_TITLE }
+    ]);
+    return getSentMessageId(response);
+  }
+}
+
+/**
+ * Sends login messages by SMS through the Twilio Messages API
+ */
+export class TwilioSmsChannel implements DeliveryChannel {
+  readonly name = 'sms';
+  private accountSid: string;
+  private authToken: string;
+  private fromNumber: string;
+
+  constructor(accountSid: string, authToken: string, fromNumber: string) {
+    this.accountSid = accountSid;
+    this.authToken = authToken;
+    this.fromNumber = fromNumber;
+  }
+
+  async sendLoginMessage(message: LoginMessage): Promise<string | null> {
+    const url = `https://api.twilio.com/2010-04-01/Accounts/${this.accountSid}/Messages.json`;
+
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/x-www-form-urlencoded',
+        'Authorization': `Basic ${btoa(`${this.accountSid}:${this.authToken}`)}`
+      },
+      body: new URLSearchParams({
+        To: message.phoneNumber,
+        From: this.fromNumber,
+        Body: buildLoginMessageText(message)
+      }).toString()
+    });
+
+    if (!response.ok) {
+      throw new Error(`Twilio API error: ${await response.text()}`);
+    }
+
+    const result = await response.json<{ sid?: string }>();
+    return result.sid || null;
+  }
+}
+
+/**
+ * Sends an email; used for messages that aren't login messages, such as email confirmations
+ */
+export interface EmailSender {
+  /**
+   * @returns The provider's id for the email, or null if it has none
+   */
+  sendEmail(to: string, subject: string, text: string): Promise<string | null>;
+}
+
+/**
+ * Sends login messages by email through the Resend API
+ * Only reaches users who saved an email address in their profile and confirmed it
+ */
+export class ResendEmailChannel implements DeliveryChannel, EmailSender {
+  readonly name = 'email';
+  private apiKey: string;
+  private from: string;
+
+  constructor(apiKey: string, from: string) {
+    this.apiKey = apiKey;
+    this.from = from;
+  }
+
+  async sendLoginMessage(message: LoginMessage): Promise<string | null> {
+    if (!message.email) {
+      throw new Error(`No verified email address on file for ${message.phoneNumber}`);
+    }
+
+    return this.sendEmail(message.email, message.otp ? 'Your login code' : 'Your login link', buildLoginMessageText(message));
+  }
+
+  async sendEmail(to: string, subject: string, text: string): Promise<string | null> {
+    const response = await fetch('https://api.resend.com/emails', {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${this.apiKey}`
+      },
+      body: JSON.stringify({
+        from: this.from,
+        to: [to],
+        subject,
+        text
+      })
+    });
+
+    if (!response.ok) {
+      throw new Error(`Resend API error: ${await response.text()}`);
+    }
+
+    const result = await response.json<{ id?: string }>();
+    return result.id || null;
+  }
+}
+
+/**
+ * Keeps login messages in memory instead of sending them, to run the fallback logic offline
+ * Can stand in for any channel, including WhatsApp; set failWith to make its sends fail
+ */
+export class FakeDeliveryChannel implements DeliveryChannel {
+  readonly name: DeliveryChannelName;
+  readonly sent: LoginMessage[] = [];
+  failWith: string | null;
+
+  constructor(name: DeliveryChannelName, options: { failWith?: string } = {}) {
+    this.name = name;
+    this.failWith = options.failWith || null;
+  }
+
+  async sendLoginMessage(message: LoginMessage): Promise<string | null> {
+    if (this.failWith) {
+      throw new Error(this.failWith);
+    }
+
+    this.sent.push(message);
+    console.log(`[FakeDeliveryChannel] ${this.name} message to ${message.phoneNumber}: ${buildLoginMessageText(message)}`);
+    return `fake.${this.name}.${this.sent.length}`;
+  }
+}
+
+/**
+ * Sends login messages on the primary channel, falling back to a second one when the send fails
+ * Failures reported later by status webhooks are handled by AuthService.fallBackLoginMessage
+ */
+export class LoginDelivery {
+  readonly primary: DeliveryChannel;
+  readonly fallback: DeliveryChannel | null;
+
+  constructor(primary: DeliveryChannel, fallback: DeliveryChannel | null = null) {
+    this.primary = primary;
+    this.fallback = fallback;
+  }
+
+  /**
+   * @param options.allowFallback - false to only try the primary channel
+   * @returns The channel that sent the message and the provider's message id
+   * @throws If no channel could send the message
+   */
+  async send(message: LoginMessage, options: { allowFallback?: boolean } = {}): Promise<{ channel: DeliveryChannelName; messageId: string | null; fellBack: boolean }> {
+    try {
+      const messageId = await this.primary.sendLoginMessage(message);
+      return { channel: this.primary.name, messageId, fellBack: false };
+    } catch (error) {
+      if (!this.fallback || options.allowFallback === false) {
+        throw error;
+      }
+
+      console.warn(`[LoginDelivery] Sending on ${this.primary.name} failed, falling back to ${this.fallback.name}:`, error);
+      const messageId = await this.fallback.sendLoginMessage(message);
+      return { channel: this.fallback.name, messageId, fellBack: true };
+    }
+  }
+}
+
+/**
+ * Builds the delivery of login messages from the configuration: WhatsApp, with the
+ * fallback set by DELIVERY_FALLBACK_CHANNEL if any
+ */
+export function createLoginDelivery(whatsappService: WhatsAppService): LoginDelivery {
+  return new LoginDelivery(new WhatsAppChannel(whatsappService), createFallbackChannel());
+}
+
+function createFallbackChannel(): DeliveryChannel | null {
+  const delivery = CONFIG.DELIVERY;
+  switch (delivery.FALLBACK_CHANNEL) {
+    case 'sms':
+      return new TwilioSmsChannel(delivery.TWILIO_ACCOUNT_SID, delivery.TWILIO_AUTH_TOKEN, delivery.TWILIO_FROM_NUMBER);
+    case 'email':
+      return new ResendEmailChannel(delivery.RESEND_API_KEY, delivery.EMAIL_FROM);
+    case 'fake':
+      // Logs the messages it would send by SMS, links and codes included, so it is
+      // only allowed alongside the mock WhatsApp API of local development
+      if (!CONFIG.MOCK.WHATSAPP_API) {
+        console.warn('[LoginDelivery] DELIVERY_FALLBACK_CHANNEL=fake needs MOCK_WHATSAPP_API=true; fallback is off');
+        return null;
+      }
+      return new FakeDeliveryChannel('sms');
+    default:
+      return null;
+  }
+}
+
+/**
+ * Builds the sender of email confirmations from the configuration
+ * Returns null when Resend isn't configured, in which case email addresses can't be confirmed
+ * (and so are never used for login messages)
+ */
+export function createEmailSender(): EmailSender | null {
+  const delivery = CONFIG.DELIVERY;
+  if (!delivery.RESEND_API_KEY || !delivery.EMAIL_FROM) {
+    return null;
+  }
+  return new ResendEmailChannel(delivery.RESEND_API_KEY, delivery.EMAIL_FROM);
+}
@@ -0,0 +1,257 @@
+import { AuthorizationRequest, OAuthClient, User } from '../types';
+import { generateRandomId, generateSecureToken, hashToken, sha256Base64Url } from '../utils/crypto';
+import { createJWT } from '../utils/jwt';
+
+// Lifetime of a pending /authorize request (matches the WhatsApp verification window)
+const AUTHORIZATION_REQUEST_EXPIRY = 10 * 60;
+
+// Lifetime of an issued authorization code
+const AUTHORIZATION_CODE_EXPIRY = 2 * 60;
+
+// Lifetime of ID tokens
+export const ID_TOKEN_EXPIRY = 60 * 60;
+
+export const SUPPORTED_SCOPES = ['openid', 'phone', 'profile'];
+
+export interface AuthorizationRequestParams {
+  clientId: string;
+  redirectUri: string;
+  scope: string;
+  state?: string;
+  nonce?: string;
+  codeChallenge: string;
+  codeChallengeMethod: 'S256';
+}
+
+/**
+ * OidcService implements the OpenID Connect provider (authorization code + PKCE):
+ * - Client registration and authentication
+ * - Authorization requests and codes
+ * - ID token and userinfo claims
+ */
+export class OidcService {
+  private db: D1Database;
+
+  constructor(db: D1Database) {
+    this.db = db;
+  }
+
+  /**
+   * Registers a relying party
+   * Public clients (SPAs, mobile apps) get no secret and must use PKCE alone
+   */
+  async createClient(name: string, redirectUris: string[], isPublic: boolean): Promise<{ clientId: string; clientSecret: string | null }> {
+    const now = Math.floor(Date.now() / 1000);
+    const clientId = generateRandomId(24);
+    const clientSecret = isPublic ? null : generateSecureToken(48);
+
+    await this.db
+      .prepare('INSERT INTO oauth_clients (id, name, secret_hash, redirect_uris, created_at) VALUES (?, ?, ?, ?, ?)')
+      .bind(clientId, name, clientSecret ? await hashToken(clientSecret) : null, JSON.stringify(redirectUris), now)
+      .run();
+
+    console.log(`[OidcService] Registered ${isPublic ? 'public' : 'confidential'} client ${clientId} (${name})`);
+    return { clientId, clientSecret };
+  }
+
+  async findClient(clientId: string): Promise<OAuthClient | null> {
+    const client = await this.db
+      .prepare('SELECT * FROM oauth_clients WHERE id = ?')
+      .bind(clientId)
+      .first<OAuthClient>();
+
+    return client || null;
+  }
+
+  /**
+   * Authenticates a client at the token endpoint
+   * Confidential clients must present their secret; public clients must not have one
+   */
+  async authenticateClient(clientId: string, clientSecret?: string): Promise<OAuthClient | null> {
+    const client = await this.findClient(clientId);
+    if (!client) {
+      return null;
+    }
+
+    if (client.secret_hash === null) {
+      return clientSecret ? null : client;
+    }
+
+    if (!clientSecret || await hashToken(clientSecret) !== client.secret_hash) {
+      return null;
+    }
+    return client;
+  }
+
+  isRedirectUriAllowed(client: OAuthClient, redirectUri: string): boolean {
+    const allowed: string[] = JSON.parse(client.redirect_uris);
+    return allowed.includes(redirectUri);
+  }
+
+  /**
+   * Stores a validated /authorize request until the user confirms on WhatsApp
+   */
+  async createAuthorizationRequest(params: AuthorizationRequestParams): Promise<AuthorizationRequest> {
+    const now = Math.floor(Date.now() / 1000);
+    const request: AuthorizationRequest = {
+      id: generateRandomId(32),
+      client_id: params.clientId,
+      redirect_uri: params.redirectUri,
+      scope: params.scope,
+      state: params.state || null,
+      nonce: params.nonce || null,
+      code_challenge: params.codeChallenge,
+      code_challenge_method: params.codeChallengeMethod,
+      user_id: null,
+      code_hash: null,
+      auth_time: null,
+      code_expires_at: null,
+      code_used_at: null,
+      expires_at: now + AUTHORIZATION_REQUEST_EXPIRY,
+      created_at: now
+    };
+
+    await this.db
+      .prepare('INSERT INTO oauth_authorization_requests (id, client_id, redirect_uri, scope, state, nonce, code_challenge, code_challenge_method, expires_at, created_at) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)')
+      .bind(request.id, request.client_id, request.redirect_uri, request.scope, request.state, request.nonce,
+        request.code_challenge, request.code_challenge_method, request.expires_at, request.created_at)
+      .run();
+
+    return request;
+  }
+
+  /**
+   * Finds an authorization request that is still waiting for the user
+   */
+  async findPendingAuthorizationRequest(requestId: string): Promise<AuthorizationRequest | null> {
+    const now = Math.floor(Date.now() / 1000);
+    const request = await this.db
+      .prepare('SELECT * FROM oauth_authorization_requests WHERE id = ? AND expires_at > ? AND code_hash IS NULL')
+      .bind(requestId, now)
+      .first<AuthorizationRequest>();
+
+    return request || null;
+  }
+
+  /**
+   * Completes an authorization request for a user who confirmed on WhatsApp
+   *
+   * Flow:
+   * 1. Load the pending request
+   * 2. Generate an authorization code and attach it (hashed) to the request
+   * 3. Return the client redirect URL carrying the code and state
+   */
+  async issueAuthorizationCode(requestId: string, userId: string): Promise<string | null> {
+    // Step 1: Load the pending request
+    const request = await this.findPendingAuthorizationRequest(requestId);
+    if (!request) {
+      console.log(`[OidcService] Authorization request ${requestId} not found or expired`);
+      return null;
+    }
+
+    // Step 2: Attach a single-use code to the request
+    const now = Math.floor(Date.now() / 1000);
+    const code = generateSecureToken(43);
+    const result = await this.db
+      .prepare('UPDATE oauth_authorization_requests SET user_id = ?, code_hash = ?, auth_time = ?, code_expires_at = ? WHERE id = ? AND code_hash IS NULL')
+      .bind(userId, await hashToken(code), now, now + AUTHORIZATION_CODE_EXPIRY, requestId)
+      .run();
+
+    if (!result.meta.changes) {
+      console.log(`[OidcService] Authorization request ${requestId} was already completed`);
+      return null;
+    }
+
+    // Step 3: Build the redirect back to the client
+    const redirectUrl = new URL(request.redirect_uri);
+    redirectUrl.searchParams.set('code', code);
+    if (request.state) {
+      redirectUrl.searchParams.set('state', request.state);
+    }
+
+    console.log(`[OidcService] Issued authorization code for request ${requestId}, user ${userId}`);
+    return redirectUrl.toString();
+  }
+
+  /**
+   * Redeems an authorization code at the token endpoint
+   *
+   * Flow:
+   * 1. Find the unexpired, unused code
+   * 2. Check it was issued to this client for this redirect URI
+   * 3. Verify the PKCE code verifier against the stored challenge
+   * 4. Mark the code as used
+   */
+  async exchangeAuthorizationCode(params: {
+    code: string;
+    clientId: string;
+    redirectUri: string;
+    codeVerifier: string;
+  }): Promise<{ request?: AuthorizationRequest & { user_id: string }; error?: string }> {
+    const now = Math.floor(Date.now() / 1000);
+
+    // Step 1: Find the code
+    const request = await this.db
+      .prepare('SELECT * FROM oauth_authorization_requests WHERE code_hash = ? AND code_expires_at > ? AND code_used_at IS NULL')
+      .bind(await hashToken(params.code), now)
+      .first<AuthorizationRequest>();
+
+    if (!request || !request.user_id) {
+      return { error: 'Authorization code is invalid, expired or already used' };
+    }
+
+    // Step 2: The code is bound to the client and redirect URI of the original request
+    if (request.client_id !== params.clientId || request.redirect_uri !== params.redirectUri) {
+      return { error: 'Authorization code was not issued to this client or redirect URI' };
+    }
+
+    // Step 3: PKCE - the verifier must hash to the challenge sent to /authorize
+    if (await sha256Base64Url(params.codeVerifier) !== request.code_challenge) {
+      return { error: 'PKCE code_verifier does not match code_challenge' };
+    }
+
+    // Step 4: Codes are single-use
+    const result = await this.db
+      .prepare('UPDATE oauth_authorization_requests SET code_used_at = ? WHERE id = ? AND code_used_at IS NULL')
+      .bind(now, request.id)
+      .run();
+
+    if (!result.meta.changes) {
+      return { error: 'Authorization code is invalid, expired or already used' };
+    }
+
+    return { request: request as AuthorizationRequest & { user_id: string } };
+  }
+
+  /**
+   * Creates a signed ID token for the user who completed the request
+   */
+  async createIdToken(issuer: string, request: AuthorizationRequest, user: User): Promise<string> {
+    return createJWT({
+      iss: issuer,
+      sub: user.id,
+      aud: request.client_id,
+      auth_time: request.auth_time,
+      ...(request.nonce ? { nonce: request.nonce } : {}),
+      ...this.getUserClaims(user, request.scope)
+    }, ID_TOKEN_EXPIRY);
+  }
+
+  /**
+   * Returns the standard claims released for the granted scopes
+   */
+  getUserClaims(user: User, scope: string): Record<string, unknown> {
+    const scopes = scope.split(' ');
+    const claims: Record<string, unknown> = {};
+
+    if (scopes.includes('phone')) {
+      // The number is verified by definition: the user confirmed from that WhatsApp account
+      claims.phone_number = user.phone_number;
+      claims.phone_number_verified = true;
+    }
+    if (scopes.includes('profile') && user.name) {
+      claims.name = user.name;
+    }
+    return claims;
+  }
+}
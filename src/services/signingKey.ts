@@ -0,0 +1,242 @@
+import { JWK } from 'jose';
+import { CONFIG } from '../config';
+import { SigningKeyRecord } from '../types';
+import { decryptString, encryptString } from '../utils/crypto';
+import {
+  SigningKey,
+  SigningKeyStore,
+  SigningAlgorithm,
+  generateSigningJwks,
+  importSigningJwksFromPem,
+  loadSigningKey
+} from '../utils/jwt';
+
+// How long the imported keyring is reused before D1 is checked again
+const KEYRING_CACHE_TTL_MS = 60 * 1000;
+
+// Minimum time between reloads triggered by an unknown kid
+const KEYRING_MISS_RELOAD_MS = 5 * 1000;
+
+// Keys are cached per isolate; rotation in another isolate shows up after the TTL,
+// or immediately when a token signed with the new key is verified here
+let keyringCache: { loadedAt: number; current: SigningKey | null; keys: SigningKey[] } | null = null;
+
+/**
+ * SigningKeyService manages the JWT signing keys stored in D1:
+ * - Exactly one 'current' key signs new tokens
+ * - 'previous' keys are still accepted for verification until their tokens expire
+ * - 'retired' keys are no longer accepted
+ *
+ * Private keys are stored encrypted with JWT_KEY_ENCRYPTION_SECRET.
+ */
+export class SigningKeyService implements SigningKeyStore {
+  private db: D1Database;
+
+  constructor(db: D1Database) {
+    this.db = db;
+  }
+
+  async getCurrentKey(): Promise<SigningKey> {
+    const keyring = await this.getKeyring();
+    if (keyring.current) {
+      return keyring.current;
+    }
+
+    // First use: create the initial key, then reload
+    await this.ensureCurrentKey();
+    const reloaded = await this.getKeyring(true);
+    if (!reloaded.current) {
+      throw new Error('No current signing key available');
+    }
+    return reloaded.current;
+  }
+
+  async findKey(kid: string): Promise<SigningKey | null> {
+    let keyring = await this.getKeyring();
+    let key = keyring.keys.find(k => k.kid === kid);
+
+    // The key may have just been created by a rotation in another isolate
+    if (!key && Date.now() - keyring.loadedAt > KEYRING_MISS_RELOAD_MS) {
+      keyring = await this.getKeyring(true);
+      key = keyring.keys.find(k => k.kid === kid);
+    }
+    return key || null;
+  }
+
+  async getVerificationKeys(): Promise<SigningKey[]> {
+    const keyring = await this.getKeyring();
+    return keyring.keys;
+  }
+
+  /**
+   * Rotates the signing key
+   *
+   * Flow:
+   * 1. Generate a new key pair
+   * 2. Demote the current key to 'previous' (or retire it immediately after a leak)
+   * 3. Store the new key as 'current'
+   * 4. Drop the cached keyring so this isolate signs with the new key right away
+   *
+   * @param retirePrevious - Stop accepting the old key at once instead of waiting for its tokens to expire
+   */
+  async rotate(retirePrevious: boolean = false): Promise<{ kid: string; previousKid: string | null }> {
+    const now = Math.floor(Date.now() / 1000);
+    console.log(`[SigningKeyService] Rotating signing key, retirePrevious: ${retirePrevious}`);
+
+    // Step 1: Generate the replacement key
+    const { kid, privateJwk, publicJwk } = await generateSigningJwks(CONFIG.JWT.ALGORITHM);
+
+    // Step 2: Demote the current key - its tokens stay valid until they expire,
+    // but its private half is no longer needed and is wiped
+    const previous = await this.db
+      .prepare("SELECT * FROM signing_keys WHERE status = 'current'")
+      .first<SigningKeyRecord>();
+
+    const demote = retirePrevious
+      ? this.db
+          .prepare("UPDATE signing_keys SET status = 'retired', private_key = '', rotated_at = ?, retire_after = ? WHERE status = 'current'")
+          .bind(now, now)
+      : this.db
+          .prepare("UPDATE signing_keys SET status = 'previous', private_key = '', rotated_at = ?, retire_after = ? WHERE status = 'current'")
+          .bind(now, now + CONFIG.JWT.EXPIRY);
+
+    // Step 3: Store the new key (both statements run in one transaction)
+    await this.db.batch([
+      demote,
+      await this.prepareInsert(kid, CONFIG.JWT.ALGORITHM, privateJwk, publicJwk, now)
+    ]);
+
+    // Step 4: Pick up the new key immediately in this isolate
+    keyringCache = null;
+
+    console.log(`[SigningKeyService] Rotated signing key ${previous?.kid || '(none)'} -> ${kid}`);
+    return { kid, previousKid: previous?.kid || null };
+  }
+
+  /**
+   * Rotates the key if the current one is older than the rotation interval (scheduled job)
+   * and retires previous keys whose tokens have all expired
+   */
+  async rotateIfDue(): Promise<{ rotated: boolean; retired: number }> {
+    const now = Math.floor(Date.now() / 1000);
+    const retired = await this.retireExpiredKeys();
+
+    const current = await this.db
+      .prepare("SELECT * FROM signing_keys WHERE status = 'current'")
+      .first<SigningKeyRecord>();
+
+    if (current && now - current.created_at < CONFIG.JWT.ROTATION_INTERVAL) {
+      return { rotated: false, retired };
+    }
+
+    await this.rotate();
+    return { rotated: true, retired };
+  }
+
+  /**
+   * Retires previous keys once every token they signed has expired
+   */
+  async retireExpiredKeys(): Promise<number> {
+    const now = Math.floor(Date.now() / 1000);
+    const result = await this.db
+      .prepare("UPDATE signing_keys SET status = 'retired' WHERE status = 'previous' AND retire_after <= ?")
+      .bind(now)
+      .run();
+
+    const retired = result.meta.changes || 0;
+    if (retired > 0) {
+      keyringCache = null;
+      console.log(`[SigningKeyService] Retired ${retired} expired signing keys`);
+    }
+    return retired;
+  }
+
+  /**
+   * Lists key metadata (never private material)
+   */
+  async listKeys(): Promise<Array<Omit<SigningKeyRecord, 'private_key' | 'public_jwk'>>> {
+    const { results } = await this.db
+      .prepare('SELECT kid, alg, status, created_at, rotated_at, retire_after FROM signing_keys ORDER BY created_at DESC')
+      .all<Omit<SigningKeyRecord, 'private_key' | 'public_jwk'>>();
+    return results || [];
+  }
+
+  /**
+   * Creates the first signing key if none is current
+   * Seeds it from JWT_PRIVATE_KEY when configured, otherwise generates one
+   */
+  private async ensureCurrentKey(): Promise<void> {
+    const now = Math.floor(Date.now() / 1000);
+    const { kid, privateJwk, publicJwk } = CONFIG.JWT.PRIVATE_KEY
+      ? await importSigningJwksFromPem(CONFIG.JWT.PRIVATE_KEY, CONFIG.JWT.ALGORITHM, CONFIG.JWT.KEY_ID || undefined)
+      : await generateSigningJwks(CONFIG.JWT.ALGORITHM);
+
+    console.log(`[SigningKeyService] No current signing key, creating ${kid}`);
+
+    // Another isolate may be doing the same; the conditional insert keeps a single current key
+    const statement = await this.prepareInsert(kid, CONFIG.JWT.ALGORITHM, privateJwk, publicJwk, now, true);
+    await statement.run();
+  }
+
+  private async prepareInsert(
+    kid: string,
+    alg: SigningAlgorithm,
+    privateJwk: JWK,
+    publicJwk: JWK,
+    now: number,
+    onlyIfNoCurrent: boolean = false
+  ): Promise<D1PreparedStatement> {
+    const encryptedPrivateKey = await encryptString(getKeyEncryptionSecret(), JSON.stringify(privateJwk));
+    const sql = onlyIfNoCurrent
+      ? "INSERT INTO signing_keys (kid, alg, private_key, public_jwk, status, created_at) SELECT ?, ?, ?, ?, 'current', ? WHERE NOT EXISTS (SELECT 1 FROM signing_keys WHERE status = 'current')"
+      : "INSERT INTO signing_keys (kid, alg, private_key, public_jwk, status, created_at) VALUES (?, ?, ?, ?, 'current', ?)";
+
+    return this.db
+      .prepare(sql)
+      .bind(kid, alg, encryptedPrivateKey, JSON.stringify(publicJwk), now);
+  }
+
+  /**
+   * Loads and imports all non-retired keys, using the isolate cache when fresh
+   */
+  private async getKeyring(forceReload: boolean = false): Promise<{ loadedAt: number; current: SigningKey | null; keys: SigningKey[] }> {
+    if (!forceReload && keyringCache && Date.now() - keyringCache.loadedAt < KEYRING_CACHE_TTL_MS) {
+      return keyringCache;
+    }
+
+    const now = Math.floor(Date.now() / 1000);
+    const { results } = await this.db
+      .prepare("SELECT * FROM signing_keys WHERE status = 'current' OR (status = 'previous' AND retire_after > ?)")
+      .bind(now)
+      .all<SigningKeyRecord>();
+
+    let current: SigningKey | null = null;
+    const keys: SigningKey[] = [];
+    for (const record of results || []) {
+      const publicJwk: JWK = JSON.parse(record.public_jwk);
+
+      if (record.status === 'current') {
+        const decrypted = await decryptString(getKeyEncryptionSecret(), record.private_key);
+        if (!decrypted) {
+          console.error(`[SigningKeyService] Could not decrypt private key ${record.kid}`);
+          continue;
+        }
+        current = await loadSigningKey(record.kid, record.alg, publicJwk, JSON.parse(decrypted));
+        keys.push(current);
+      } else {
+        keys.push(await loadSigningKey(record.kid, record.alg, publicJwk));
+      }
+    }
+
+    keyringCache = { loadedAt: Date.now(), current, keys };
+    return keyringCache;
+  }
+}
+
+function getKeyEncryptionSecret(): string {
+  const secret = CONFIG.JWT.KEY_ENCRYPTION_SECRET || CONFIG.JWT.SECRET;
+  if (!secret) {
+    throw new Error('JWT_KEY_ENCRYPTION_SECRET is not configured');
+  }
+  return secret;
+}
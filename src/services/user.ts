@@ -1,5 +1,5 @@
 import { D1Database } from '@cloudflare/workers-types';
-import { User, Session } from '../types';
+import { User, Session, SessionDevice } from '../types';
 import { generateRandomId } from '../utils/crypto';
 
 export class UserService {
@@ -40,11 +40,25 @@ export class UserService {
       id: userId,
       phone_number: phoneNumber,
       name,
+      email: null,
+      email_verified_at: null,
       created_at: now,
       last_login: now
     };
   }
 
+  /**
+   * Replaces a user's email address, which starts out unverified
+   * @returns false if the user doesn't exist
+   */
+  async updateEmail(userId: string, email: string | null): Promise<boolean> {
+    const result = await this.db
+      .prepare('UPDATE users SET email = ?, email_verified_at = NULL WHERE id = ?')
+      .bind(email, userId)
+      .run();
+    return result.meta.changes > 0;
+  }
+
   async updateLastLogin(userId: string): Promise<void> {
     const now = Math.floor(Date.now() / 1000);
     
@@ -54,14 +68,19 @@ export class UserService {
       .run();
   }
 
-  async createSession(userId: string, expiresIn: number): Promise<Session> {
+  async createSession(
+    userId: string,
+    expiresIn: number,
+    status: Session['status'] = 'pending',
+    device?: SessionDevice
+  ): Promise<Session> {
     const now = Math.floor(Date.now() / 1000);
     const sessionId = generateRandomId(32);
     const expiresAt = now + expiresIn;
     
     await this.db
-      .prepare('INSERT INTO sessions (id, user_id, created_at, expires_at, status) VALUES (?, ?, ?, ?, ?)')
-      .bind(sessionId, userId, now, expiresAt, 'pending')
+      .prepare('INSERT INTO sessions (id, user_id, created_at, expires_at, status, user_agent, ip_country, client_app) VALUES (?, ?, ?, ?, ?, ?, ?, ?)')
+      .bind(sessionId, userId, now, expiresAt, status, device?.userAgent || null, device?.ipCountry || null, device?.clientApp || null)
       .run();
     
     return {
@@ -69,10 +88,61 @@ export class UserService {
       user_id: userId,
       created_at: now,
       expires_at: expiresAt,
-      status: 'pending'
+      status,
+      user_agent: device?.userAgent || null,
+      ip_country: device?.ipCountry || null,
+      client_app: device?.clientApp || null
     };
   }
 
+  // Lists the user's signed-in devices, most recently used first
+  async listActiveSessions(userId: string): Promise<Session[]> {
+    const { results } = await this.db
+      .prepare("SELECT * FROM sessions WHERE user_id = ? AND status = 'active' AND revoked_at IS NULL AND expires_at > ? ORDER BY COALESCE(last_refreshed_at, created_at) DESC")
+      .bind(userId, Math.floor(Date.now() / 1000))
+      .all<Session>();
+
+    return results || [];
+  }
+
+  // Finds a logged-in session that has not been revoked or expired
+  async findActiveSession(sessionId: string): Promise<Session | null> {
+    const result = await this.db
+      .prepare("SELECT * FROM sessions WHERE id = ? AND status = 'active' AND revoked_at IS NULL AND expires_at > ?")
+      .bind(sessionId, Math.floor(Date.now() / 1000))
+      .first<Session>();
+
+    return result || null;
+  }
+
+  // Records a token refresh and extends the session as long as its refresh tokens
+  async touchSession(sessionId: string, expiresIn: number): Promise<void> {
+    const now = Math.floor(Date.now() / 1000);
+
+    await this.db
+      .prepare('UPDATE sessions SET last_refreshed_at = ?, expires_at = ? WHERE id = ?')
+      .bind(now, now + expiresIn, sessionId)
+      .run();
+  }
+
+  async revokeSession(sessionId: string): Promise<boolean> {
+    const result = await this.db
+      .prepare('UPDATE sessions SET revoked_at = ? WHERE id = ? AND revoked_at IS NULL')
+      .bind(Math.floor(Date.now() / 1000), sessionId)
+      .run();
+
+    return (result.meta.changes || 0) > 0;
+  }
+
+  async revokeAllUserSessions(userId: string, exceptSessionId?: string): Promise<number> {
+    const result = await this.db
+      .prepare("UPDATE sessions SET revoked_at = ? WHERE user_id = ? AND status = 'active' AND revoked_at IS NULL AND id != ?")
+      .bind(Math.floor(Date.now() / 1000), userId, exceptSessionId || '')
+      .run();
+
+    return result.meta.changes || 0;
+  }
+
   async updateSessionTokens(sessionId: string, authToken: string, refreshToken: string): Promise<void> {
     await this.db
       .prepare('UPDATE sessions SET auth_token = ?, refresh_token = ?, status = ? WHERE id = ?')
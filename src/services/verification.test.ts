@@ -0,0 +1,118 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { VerificationService } from './verification';
+import { CONFIG } from '../config';
+import { createTestDatabase } from '../testing/d1';
+
+const PHONE = '+15551234567';
+
+CONFIG.VERIFICATION.TOKEN_SECRET = 'test-verification-secret';
+
+// Any 6-digit code other than the one that was sent
+function wrongCode(otp: string): string {
+  return otp === '000000' ? '111111' : '000000';
+}
+
+describe('VerificationService', () => {
+  let db: D1Database;
+  let verificationService: VerificationService;
+
+  beforeEach(async () => {
+    db = await createTestDatabase();
+    verificationService = new VerificationService(db);
+  });
+
+  describe('verifyOtp', () => {
+    it('counts down the attempts left after each wrong code', async () => {
+      const { tokenId, otp } = await verificationService.createVerificationToken(PHONE, false, { withOtp: true });
+      const maxAttempts = CONFIG.VERIFICATION.OTP_MAX_ATTEMPTS;
+
+      for (let attemptsLeft = maxAttempts - 1; attemptsLeft > 0; attemptsLeft--) {
+        expect(await verificationService.verifyOtp(tokenId, wrongCode(otp!))).toEqual({ status: 'invalid', attemptsLeft });
+      }
+    });
+
+    it('invalidates the login on the last wrong code', async () => {
+      const { tokenId, otp } = await verificationService.createVerificationToken(PHONE, false, { withOtp: true });
+      for (let attempt = 1; attempt < CONFIG.VERIFICATION.OTP_MAX_ATTEMPTS; attempt++) {
+        await verificationService.verifyOtp(tokenId, wrongCode(otp!));
+      }
+
+      expect(await verificationService.verifyOtp(tokenId, wrongCode(otp!))).toEqual({ status: 'exhausted', phoneNumber: PHONE });
+
+      const token = await db.prepare('SELECT used_at FROM verification_tokens WHERE id = ?').bind(tokenId).first<{ used_at: number | null }>();
+      expect(token?.used_at).not.toBeNull();
+    });
+
+    it('rejects the right code once the attempts are used up', async () => {
+      const { tokenId, otp } = await verificationService.createVerificationToken(PHONE, false, { withOtp: true });
+      for (let attempt = 0; attempt < CONFIG.VERIFICATION.OTP_MAX_ATTEMPTS; attempt++) {
+        await verificationService.verifyOtp(tokenId, wrongCode(otp!));
+      }
+
+      expect(await verificationService.verifyOtp(tokenId, otp!)).toEqual({ status: 'not_found' });
+    });
+
+    it('only invalidates the login the codes were tried against', async () => {
+      const exhausted = await verificationService.createVerificationToken(PHONE, false, { withOtp: true });
+      const other = await verificationService.createVerificationToken(PHONE, false, { withOtp: true });
+      for (let attempt = 0; attempt < CONFIG.VERIFICATION.OTP_MAX_ATTEMPTS; attempt++) {
+        await verificationService.verifyOtp(exhausted.tokenId, wrongCode(exhausted.otp!));
+      }
+
+      expect(await verificationService.verifyOtp(other.tokenId, other.otp!)).toMatchObject({ status: 'valid', phoneNumber: PHONE });
+    });
+
+    it('accepts the right code after wrong ones, only once', async () => {
+      const { tokenId, otp } = await verificationService.createVerificationToken(PHONE, true, { withOtp: true });
+      await verificationService.verifyOtp(tokenId, wrongCode(otp!));
+
+      expect(await verificationService.verifyOtp(tokenId, otp!)).toMatchObject({ status: 'valid', phoneNumber: PHONE, isNewUser: true });
+      expect(await verificationService.verifyOtp(tokenId, otp!)).toEqual({ status: 'not_found' });
+    });
+  });
+
+  describe('consumeRateLimit', () => {
+    const WINDOW_SECONDS = 60;
+
+    afterEach(() => {
+      vi.useRealTimers();
+    });
+
+    it('allows attempts up to the limit within a window', async () => {
+      vi.useFakeTimers();
+      vi.setSystemTime(1_800_000_000 * 1000);
+
+      const results = [];
+      for (let attempt = 0; attempt < 4; attempt++) {
+        results.push(await verificationService.consumeRateLimit('login:phone:test', 3, WINDOW_SECONDS));
+      }
+
+      expect(results.map(result => result.allowed)).toEqual([true, true, true, false]);
+      expect(results[3].retryAt).toBe(1_800_000_000 + WINDOW_SECONDS);
+    });
+
+    it('starts counting again once the window has ended', async () => {
+      vi.useFakeTimers();
+      vi.setSystemTime(1_800_000_000 * 1000);
+      for (let attempt = 0; attempt < 4; attempt++) {
+        await verificationService.consumeRateLimit('login:phone:test', 3, WINDOW_SECONDS);
+      }
+
+      vi.setSystemTime((1_800_000_000 + WINDOW_SECONDS) * 1000);
+
+      expect(await verificationService.consumeRateLimit('login:phone:test', 3, WINDOW_SECONDS)).toEqual({
+        allowed: true,
+        retryAt: 1_800_000_000 + 2 * WINDOW_SECONDS
+      });
+    });
+
+    it('counts each key separately', async () => {
+      for (let attempt = 0; attempt < 3; attempt++) {
+        await verificationService.consumeRateLimit('login:phone:first', 3, WINDOW_SECONDS);
+      }
+
+      expect((await verificationService.consumeRateLimit('login:phone:first', 3, WINDOW_SECONDS)).allowed).toBe(false);
+      expect((await verificationService.consumeRateLimit('login:phone:second', 3, WINDOW_SECONDS)).allowed).toBe(true);
+    });
+  });
+});
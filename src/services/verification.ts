@@ -1,6 +1,42 @@
-import { VerificationToken, RefreshToken } from '../types';
-import { generateRandomId, generateSecureToken, hashToken } from '../utils/crypto';
-import { TokenPayload } from '../types';
+import { DeliveryChannelName, EmailVerification, VerificationToken, RefreshToken, RefreshTokenRevocationReason, SessionDevice, TokenDelivery, LoginExchangeCode, LoginLock, WhatsAppStatusUpdate } from '../types';
+import { generateNumericCode, generateRandomId, generateSecureToken, hashToken } from '../utils/crypto';
+import { TokenPayload, ERROR_CODES } from '../types';
+import { sealToken, openToken, TokenRejectionReason } from '../utils/signedToken';
+import { generateLoginCode, normalizeLoginCode } from '../utils/loginCode';
+import { normalizePhoneNumber } from '../utils/phone';
+import { CONFIG } from '../config';
+
+export type TokenValidationFailureReason =
+  | TokenRejectionReason
+  | typeof ERROR_CODES.INVALID_TOKEN_PAYLOAD
+  | typeof ERROR_CODES.TOKEN_EXPIRED
+  | typeof ERROR_CODES.PHONE_NUMBER_MISMATCH
+  | typeof ERROR_CODES.TOKEN_NOT_FOUND;
+
+// WhatsApp rejects reply buttons whose id is longer than 256 characters
+export const MAX_VERIFICATION_TOKEN_LENGTH = 256;
+
+// How long the user has to tap the WhatsApp button, in seconds
+export const VERIFICATION_TOKEN_EXPIRY = 10 * 60;
+
+// Lifetime of refresh tokens in seconds; sessions stay alive as long as they keep refreshing
+export const REFRESH_TOKEN_EXPIRY = 30 * 24 * 60 * 60;
+
+// Lifetime of the one-time code a browser exchanges for session cookies
+const LOGIN_EXCHANGE_CODE_EXPIRY = 2 * 60;
+
+// How long the link confirming an email address works, in seconds
+const EMAIL_VERIFICATION_EXPIRY = 24 * 60 * 60;
+
+// Digits in the code sent by the WhatsApp authentication template
+export const LOGIN_OTP_LENGTH = 6;
+
+// Separates the token ID from the secret in a reference token body
+const REFERENCE_SEPARATOR = ':';
+
+// Order of WhatsApp message statuses; status webhooks can arrive out of order, so a stored status only moves forward
+const MESSAGE_STATUS_RANK_SQL = "CASE message_status WHEN 'sent' THEN 1 WHEN 'delivered' THEN 2 WHEN 'read' THEN 3 WHEN 'failed' THEN 4 ELSE 0 END";
+const MESSAGE_STATUS_RANKS: Record<string, number> = { sent: 1, delivered: 2, read: 3, failed: 4 };
 
 /**
  * VerificationService handles all token-related operations including:
@@ -21,54 +57,78 @@ export class VerificationService {
    * 
    * Flow:
    * 1. Generate unique token ID and secure random token
-   * 2. Create structured payload with user status and metadata
-   * 3. Encode payload as base64 for WhatsApp button
+   * 2. Build a short reference (token ID + secret); everything else stays server-side
+   * 3. Seal the reference into a signed (optionally encrypted) token for the WhatsApp button
    * 4. Hash the token for secure database storage
    * 5. Store token record in database
    * 6. Return encoded token for WhatsApp and token ID for tracking
+   * 
+   * Note: The sealed reference has a fixed size well under MAX_VERIFICATION_TOKEN_LENGTH
+   * 
+   * @param phoneNumber - Number the login is for; null for QR code logins, which take the number of whoever sends the code
+   * @param options.authorizationRequestId - OpenID Connect authorization request completed by this login
+   * @param options.device - Device the login was started from, copied to the session on success
+   * @param options.tokenDelivery - How tokens reach the client once the login is confirmed
+   * @param options.withLoginCode - Also create a short code the user can message us instead of tapping a button
+   * @param options.withOtp - Also create a numeric code for the user to type into the app
    */
-  async createVerificationToken(phoneNumber: string, isNewUser: boolean): Promise<{ token: string; tokenId: string }> {
+  async createVerificationToken(
+    phoneNumber: string | null,
+    isNewUser: boolean,
+    options: { authorizationRequestId?: string; device?: SessionDevice; tokenDelivery?: TokenDelivery; withLoginCode?: boolean; withOtp?: boolean } = {}
+  ): Promise<{ token: string; tokenId: string; expiresAt: number; loginCode?: string; otp?: string }> {
     console.log(`[VerificationService] Creating verification token for phone: ${phoneNumber}, isNewUser: ${isNewUser}`);
     
     // Step 1: Generate unique identifiers and set expiration
     const now = Math.floor(Date.now() / 1000); // Unix timestamp in seconds
     const tokenId = generateRandomId(); // Unique identifier for database record
     const plainToken = generateSecureToken(32); // Cryptographically secure random token
-    const expiresAt = now + (10 * 60); // 10 minutes from now
+    const expiresAt = now + VERIFICATION_TOKEN_EXPIRY; // 10 minutes from now
 
     console.log(`[VerificationService] Generated tokenId: ${tokenId}, plainToken length: ${plainToken.length}, expiresAt: ${expiresAt}`);
 
-    // Step 2: Create structured token payload with all necessary information
-    // This payload will be embedded in the WhatsApp button and decoded later
-    const tokenPayload = {
-      token: plainToken, // The actual verification token
-      isNewUser, // Whether this is a signup or login attempt
-      phoneNumber, // Phone number for validation
-      timestamp: now, // When the token was created
-      expiresAt, // When the token expires
-      sessionId: tokenId // Include tokenId as sessionId for WebSocket connection
-    };
-
-    console.log(`[VerificationService] Token payload created:`, tokenPayload);
+    // Step 2: Build an opaque reference - phone number, user status and expiry
+    // are looked up from the database record when the button is pressed
+    const reference = `${tokenId}${REFERENCE_SEPARATOR}${plainToken}`;
 
-    // Step 3: Encode the payload as base64 for safe transmission in WhatsApp button
-    const encodedPayload = btoa(JSON.stringify(tokenPayload));
+    // Step 3: Sign (and optionally encrypt) the reference so it cannot be forged in transit
+    const encodedPayload = await sealToken(reference);
     
     // Step 4: Hash the plain token for secure storage (never store plain tokens)
     const tokenHash = await hashToken(plainToken);
 
     console.log(`[VerificationService] Encoded payload length: ${encodedPayload.length}, tokenHash: ${tokenHash}`);
 
+    // The login code is only stored hashed, like the token
+    const loginCode = options.withLoginCode ? generateLoginCode() : undefined;
+    const shortCodeHash = loginCode ? await hashToken(normalizeLoginCode(loginCode)) : null;
+    const otp = options.withOtp ? generateNumericCode(LOGIN_OTP_LENGTH) : undefined;
+    const otpHash = otp ? await hashToken(otp) : null;
+
     // Step 5: Store the token record in database with hashed token
     await this.db
-      .prepare('INSERT INTO verification_tokens (id, token_hash, phone_number, expires_at, created_at) VALUES (?, ?, ?, ?, ?)')
-      .bind(tokenId, tokenHash, phoneNumber, expiresAt, now)
+      .prepare('INSERT INTO verification_tokens (id, token_hash, phone_number, is_new_user, authorization_request_id, user_agent, ip_country, client_app, token_delivery, short_code_hash, otp_hash, expires_at, created_at) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)')
+      .bind(
+        tokenId,
+        tokenHash,
+        phoneNumber,
+        isNewUser ? 1 : 0,
+        options.authorizationRequestId || null,
+        options.device?.userAgent || null,
+        options.device?.ipCountry || null,
+        options.device?.clientApp || null,
+        options.tokenDelivery || 'json',
+        shortCodeHash,
+        otpHash,
+        expiresAt,
+        now
+      )
       .run();
 
     console.log(`[VerificationService] Token saved to database successfully`);
 
     // Step 6: Return encoded payload for WhatsApp and token ID for tracking
-    return { token: encodedPayload, tokenId };
+    return { token: encodedPayload, tokenId, expiresAt, loginCode, otp };
   }
 
   /**
@@ -82,15 +142,16 @@ export class VerificationService {
    * 5. Mark token as used to prevent replay attacks
    * 6. Return validation result with user status
    */
-  async validateAndConsumeToken(encodedToken: string, phoneNumber: string): Promise<{ isValid: boolean; isNewUser?: boolean }> {
+  async validateAndConsumeToken(encodedToken: string, phoneNumber: string): Promise<{ isValid: boolean; isNewUser?: boolean; device?: SessionDevice; reason?: TokenValidationFailureReason }> {
     console.log(`[VerificationService] Validating token for phone: ${phoneNumber}, token length: ${encodedToken.length}`);
     
-    // Step 1: Decode and validate the token payload structure
-    const payload = await this.decodeTokenPayload(encodedToken);
-    if (!payload) {
-      console.log(`[VerificationService] Failed to decode token payload`);
-      return { isValid: false };
+    // Step 1: Verify the token signature and validate the payload structure
+    const verification = await this.verifyTokenPayload(encodedToken);
+    if (!verification.payload) {
+      console.log(`[VerificationService] Failed to decode token payload, reason: ${verification.reason}`);
+      return { isValid: false, reason: verification.reason };
     }
+    const payload = verification.payload;
 
     console.log(`[VerificationService] Decoded payload:`, payload);
 
@@ -98,7 +159,7 @@ export class VerificationService {
     // This prevents token reuse across different phone numbers
     if (payload.phoneNumber !== phoneNumber) {
       console.log(`[VerificationService] Phone number mismatch. Expected: ${phoneNumber}, Got: ${payload.phoneNumber}`);
-      return { isValid: false };
+      return { isValid: false, reason: ERROR_CODES.PHONE_NUMBER_MISMATCH };
     }
 
     const now = Math.floor(Date.now() / 1000);
@@ -120,64 +181,152 @@ export class VerificationService {
 
     if (!tokenRecord) {
       console.log(`[VerificationService] Token record not found or expired/used`);
-      return { isValid: false };
+      return { isValid: false, reason: ERROR_CODES.TOKEN_NOT_FOUND };
     }
 
     console.log(`[VerificationService] Found valid token record:`, tokenRecord);
 
     // Step 5: Mark token as used to prevent replay attacks
-    // Once a token is used, it cannot be used again
-    await this.db
-      .prepare('UPDATE verification_tokens SET used_at = ? WHERE id = ?')
+    // Once a token is used, it cannot be used again; of two requests that both
+    // found it unused (a double tap on a login link), only one can consume it
+    const consumed = await this.db
+      .prepare('UPDATE verification_tokens SET used_at = ? WHERE id = ? AND used_at IS NULL')
       .bind(now, tokenRecord.id)
       .run();
 
+    if (!consumed.meta.changes) {
+      console.log(`[VerificationService] Token was consumed by another request`);
+      return { isValid: false, reason: ERROR_CODES.TOKEN_NOT_FOUND };
+    }
+
     console.log(`[VerificationService] Token marked as used`);
 
     // Step 6: Return success with user status from the original payload
-    return { isValid: true, isNewUser: payload.isNewUser };
+    return {
+      isValid: true,
+      isNewUser: payload.isNewUser,
+      device: {
+        userAgent: tokenRecord.user_agent,
+        ipCountry: tokenRecord.ip_country,
+        clientApp: tokenRecord.client_app
+      }
+    };
   }
 
   /**
    * Decodes and validates a token payload without consuming it
    * 
+   * Note: Returns null for any rejected token; use verifyTokenPayload
+   * when the rejection reason is needed
+   */
+  async decodeTokenPayload(encodedToken: string): Promise<TokenPayload | null> {
+    const verification = await this.verifyTokenPayload(encodedToken);
+    return verification.payload || null;
+  }
+
+  /**
+   * Verifies the token envelope and validates its payload without consuming it
+   * 
    * Flow:
-   * 1. Decode base64 encoded payload
-   * 2. Parse JSON and validate structure
+   * 1. Verify the signature and open the envelope (no database access)
+   * 2. Resolve reference tokens from the database, or parse inline JSON payloads
+   *    (tokens issued before reference tokens were introduced)
    * 3. Check token expiration
-   * 4. Return validated payload or null if invalid
+   * 4. Return validated payload, or the reason the token was rejected
    */
-  async decodeTokenPayload(encodedToken: string): Promise<TokenPayload | null> {
+  async verifyTokenPayload(encodedToken: string): Promise<{ payload?: TokenPayload; reason?: TokenValidationFailureReason }> {
     console.log(`[VerificationService] Decoding token payload, encoded length: ${encodedToken.length}`);
     
+    // Step 1: Verify the signature before trusting anything inside the token
+    const opened = await openToken(encodedToken);
+    if (!opened.valid) {
+      console.log(`[VerificationService] Token envelope rejected: ${opened.reason}`);
+      return { reason: opened.reason };
+    }
+    if (opened.legacy) {
+      console.warn(`[VerificationService] Accepting legacy unsigned token during migration window`);
+    }
+
+    // Step 2a: Reference tokens only carry the token ID and secret
+    if (!opened.body.startsWith('{')) {
+      return this.resolveReferencePayload(opened.body);
+    }
+
     try {
-      // Step 1: Decode base64 and parse JSON
-      const decodedPayload = JSON.parse(atob(encodedToken));
-      
-      console.log(`[VerificationService] Raw decoded payload:`, decodedPayload);
+      // Step 2b: Parse JSON and validate payload structure - ensure all required fields are present
+      const decodedPayload = JSON.parse(opened.body);
       
-      // Step 2: Validate payload structure - ensure all required fields are present
       if (!decodedPayload.token || typeof decodedPayload.isNewUser !== 'boolean' || 
           !decodedPayload.phoneNumber || !decodedPayload.timestamp || !decodedPayload.expiresAt) {
         console.log(`[VerificationService] Invalid payload structure`);
-        return null;
+        return { reason: ERROR_CODES.INVALID_TOKEN_PAYLOAD };
       }
 
       // Step 3: Check if token has expired (client-side validation)
       const now = Math.floor(Date.now() / 1000);
       if (decodedPayload.expiresAt <= now) {
         console.log(`[VerificationService] Token expired. ExpiresAt: ${decodedPayload.expiresAt}, Now: ${now}`);
-        return null;
+        return { reason: ERROR_CODES.TOKEN_EXPIRED };
       }
 
       console.log(`[VerificationService] Token payload validation successful`);
-      return decodedPayload;
+      return { payload: decodedPayload };
     } catch (error) {
-      console.error('[VerificationService] Failed to decode token payload:', error);
-      return null;
+      console.error('[VerificationService] Failed to parse token payload:', error);
+      return { reason: ERROR_CODES.INVALID_TOKEN_PAYLOAD };
     }
   }
 
+  /**
+   * Resolves a reference token body into a full token payload
+   * 
+   * Flow:
+   * 1. Split the reference into token ID and secret
+   * 2. Load the token record and check the secret's hash matches
+   * 3. Check token expiration
+   * 4. Build the payload from the stored record
+   */
+  private async resolveReferencePayload(reference: string): Promise<{ payload?: TokenPayload; reason?: TokenValidationFailureReason }> {
+    // Step 1: Split the reference into its parts
+    const [tokenId, plainToken] = reference.split(REFERENCE_SEPARATOR);
+    if (!tokenId || !plainToken) {
+      console.log(`[VerificationService] Invalid reference token structure`);
+      return { reason: ERROR_CODES.INVALID_TOKEN_PAYLOAD };
+    }
+
+    // Step 2: Load the record and make sure the secret belongs to it
+    const tokenRecord = await this.db
+      .prepare('SELECT * FROM verification_tokens WHERE id = ?')
+      .bind(tokenId)
+      .first<VerificationToken>();
+
+    // QR code logins are never sent as a button, so there is no valid reference to one
+    if (!tokenRecord || !tokenRecord.phone_number || tokenRecord.token_hash !== await hashToken(plainToken)) {
+      console.log(`[VerificationService] Reference token ${tokenId} not found`);
+      return { reason: ERROR_CODES.TOKEN_NOT_FOUND };
+    }
+
+    // Step 3: Check if token has expired
+    const now = Math.floor(Date.now() / 1000);
+    if (tokenRecord.expires_at <= now) {
+      console.log(`[VerificationService] Token expired. ExpiresAt: ${tokenRecord.expires_at}, Now: ${now}`);
+      return { reason: ERROR_CODES.TOKEN_EXPIRED };
+    }
+
+    // Step 4: Build the payload from the stored record
+    return {
+      payload: {
+        token: plainToken,
+        isNewUser: !!tokenRecord.is_new_user,
+        phoneNumber: tokenRecord.phone_number,
+        timestamp: tokenRecord.created_at,
+        expiresAt: tokenRecord.expires_at,
+        sessionId: tokenRecord.id,
+        authorizationRequestId: tokenRecord.authorization_request_id || undefined
+      }
+    };
+  }
+
   /**
    * Extracts phone number from token without validation or consumption
    * 
@@ -211,16 +360,17 @@ export class VerificationService {
    * Note: This method is used when you need to check token validity
    * but want to consume it later with a different method
    */
-  async validateTokenOnly(encodedToken: string, phoneNumber: string): Promise<{ isValid: boolean; isNewUser?: boolean, sessionId?: string }> {
-    // Step 1: Decode the token payload
-    const payload = await this.decodeTokenPayload(encodedToken);
-    if (!payload) {
-      return { isValid: false };
+  async validateTokenOnly(encodedToken: string, phoneNumber: string): Promise<{ isValid: boolean; isNewUser?: boolean, sessionId?: string; authorizationRequestId?: string; tokenDelivery?: TokenDelivery; device?: SessionDevice; reason?: TokenValidationFailureReason }> {
+    // Step 1: Verify and decode the token payload
+    const verification = await this.verifyTokenPayload(encodedToken);
+    if (!verification.payload) {
+      return { isValid: false, reason: verification.reason };
     }
+    const payload = verification.payload;
 
     // Step 2: Verify phone number matches
     if (payload.phoneNumber !== phoneNumber) {
-      return { isValid: false };
+      return { isValid: false, reason: ERROR_CODES.PHONE_NUMBER_MISMATCH };
     }
 
     const now = Math.floor(Date.now() / 1000);
@@ -235,7 +385,359 @@ export class VerificationService {
     console.log(`[VerificationService] Found token record:`, tokenRecord);
 
     // Step 4: Return validation result with user status
-    return { isValid: !!tokenRecord, isNewUser: payload.isNewUser, sessionId: tokenRecord?.id };
+    if (!tokenRecord) {
+      return { isValid: false, isNewUser: payload.isNewUser, reason: ERROR_CODES.TOKEN_NOT_FOUND };
+    }
+    return {
+      isValid: true,
+      isNewUser: payload.isNewUser,
+      sessionId: tokenRecord.id,
+      authorizationRequestId: tokenRecord.authorization_request_id || undefined,
+      tokenDelivery: tokenRecord.token_delivery,
+      device: {
+        userAgent: tokenRecord.user_agent,
+        ipCountry: tokenRecord.ip_country,
+        clientApp: tokenRecord.client_app
+      }
+    };
+  }
+
+  /**
+   * Validates and consumes the login code a user messaged us
+   * 
+   * Flow:
+   * 1. Find an unused, unexpired login with this code
+   * 2. Check the message came from the number the login was started for
+   *    (QR code logins have no number yet and are confirmed with confirmQrLogin instead)
+   * 3. Mark the login as used (only one message can complete it)
+   * 
+   * @param phoneNumber - The number the message came from
+   * @returns The login, or null if the code is unknown, expired, used or meant for another number
+   */
+  async consumeLoginCode(code: string, phoneNumber: string): Promise<{
+    sessionId: string;
+    phoneNumber: string;
+    isNewUser: boolean;
+    device: SessionDevice;
+    authorizationRequestId?: string;
+    tokenDelivery: TokenDelivery;
+  } | null> {
+    const now = Math.floor(Date.now() / 1000);
+
+    // Step 1: Look the code up by its hash
+    const shortCodeHash = await hashToken(normalizeLoginCode(code));
+    const tokenRecord = await this.db
+      .prepare('SELECT * FROM verification_tokens WHERE short_code_hash = ? AND expires_at > ? AND used_at IS NULL')
+      .bind(shortCodeHash, now)
+      .first<VerificationToken>();
+    if (!tokenRecord) {
+      return null;
+    }
+
+    // Step 2: A code sent from another number must not log that number in
+    if (!tokenRecord.phone_number || normalizePhoneNumber(tokenRecord.phone_number) !== normalizePhoneNumber(phoneNumber)) {
+      console.log(`[VerificationService] Login code for ${tokenRecord.phone_number || 'a QR code login'} was sent from ${phoneNumber}, ignoring`);
+      return null;
+    }
+
+    // Step 3: Consume it; the condition makes a concurrent second message fail
+    const result = await this.db
+      .prepare('UPDATE verification_tokens SET used_at = ? WHERE id = ? AND used_at IS NULL')
+      .bind(now, tokenRecord.id)
+      .run();
+    if (!result.meta.changes) {
+      return null;
+    }
+
+    return {
+      sessionId: tokenRecord.id,
+      phoneNumber: tokenRecord.phone_number,
+      isNewUser: tokenRecord.is_new_user === 1,
+      device: {
+        userAgent: tokenRecord.user_agent,
+        ipCountry: tokenRecord.ip_country,
+        clientApp: tokenRecord.client_app
+      },
+      authorizationRequestId: tokenRecord.authorization_request_id || undefined,
+      tokenDelivery: tokenRecord.token_delivery
+    };
+  }
+
+  /**
+   * Records the number that messaged us the code of a QR code login, without binding it yet
+   * 
+   * Whoever shows a QR code can get someone else to scan it, so the login only completes once
+   * that number confirms the device it was started from (see confirmQrLogin). The first number
+   * to send the code holds the login; sending it again from that number is allowed.
+   * 
+   * @param phoneNumber - The number the message came from
+   * @returns The login and the device it was started from, or null if the code is unknown,
+   *   expired, used, not a QR code login or held by another number
+   */
+  async requestQrLoginConfirmation(code: string, phoneNumber: string): Promise<{ sessionId: string; device: SessionDevice } | null> {
+    const now = Math.floor(Date.now() / 1000);
+    const shortCodeHash = await hashToken(normalizeLoginCode(code));
+
+    const tokenRecord = await this.db
+      .prepare(
+        `UPDATE verification_tokens SET pending_phone_number = ?
+         WHERE short_code_hash = ? AND phone_number IS NULL AND used_at IS NULL AND expires_at > ?
+           AND (pending_phone_number IS NULL OR pending_phone_number = ?)
+         RETURNING *`
+      )
+      .bind(phoneNumber, shortCodeHash, now, phoneNumber)
+      .first<VerificationToken>();
+    if (!tokenRecord) {
+      return null;
+    }
+
+    return {
+      sessionId: tokenRecord.id,
+      device: {
+        userAgent: tokenRecord.user_agent,
+        ipCountry: tokenRecord.ip_country,
+        clientApp: tokenRecord.client_app
+      }
+    };
+  }
+
+  /**
+   * Consumes a QR code login its pending number confirmed, binding that number to it
+   * 
+   * @param phoneNumber - The number the confirmation came from; must be the one that sent the code
+   * @returns The login, or null if it is unknown, expired, used or pending for another number
+   */
+  async confirmQrLogin(sessionId: string, phoneNumber: string): Promise<{
+    sessionId: string;
+    phoneNumber: string;
+    device: SessionDevice;
+    authorizationRequestId?: string;
+    tokenDelivery: TokenDelivery;
+  } | null> {
+    const now = Math.floor(Date.now() / 1000);
+
+    // The conditions make a second tap, or a tap from another number, fail
+    const tokenRecord = await this.db
+      .prepare(
+        `UPDATE verification_tokens SET used_at = ?, phone_number = pending_phone_number
+         WHERE id = ? AND phone_number IS NULL AND pending_phone_number = ? AND used_at IS NULL AND expires_at > ?
+         RETURNING *`
+      )
+      .bind(now, sessionId, phoneNumber, now)
+      .first<VerificationToken>();
+    if (!tokenRecord || !tokenRecord.phone_number) {
+      return null;
+    }
+
+    return {
+      sessionId: tokenRecord.id,
+      phoneNumber: tokenRecord.phone_number,
+      device: {
+        userAgent: tokenRecord.user_agent,
+        ipCountry: tokenRecord.ip_country,
+        clientApp: tokenRecord.client_app
+      },
+      authorizationRequestId: tokenRecord.authorization_request_id || undefined,
+      tokenDelivery: tokenRecord.token_delivery
+    };
+  }
+
+  /**
+   * Invalidates a QR code login its pending number said it didn't start
+   * 
+   * @returns The device the login was started from, or null if it is unknown, used or pending for another number
+   */
+  async cancelQrLogin(sessionId: string, phoneNumber: string): Promise<{ sessionId: string; device: SessionDevice } | null> {
+    const tokenRecord = await this.db
+      .prepare('UPDATE verification_tokens SET used_at = ? WHERE id = ? AND phone_number IS NULL AND pending_phone_number = ? AND used_at IS NULL RETURNING *')
+      .bind(Math.floor(Date.now() / 1000), sessionId, phoneNumber)
+      .first<VerificationToken>();
+    if (!tokenRecord) {
+      return null;
+    }
+
+    return {
+      sessionId: tokenRecord.id,
+      device: {
+        userAgent: tokenRecord.user_agent,
+        ipCountry: tokenRecord.ip_country,
+        clientApp: tokenRecord.client_app
+      }
+    };
+  }
+
+  /**
+   * Checks the code a user typed for a login started with the code method
+   * 
+   * Flow:
+   * 1. Count the attempt; a login with no attempts left (or expired, used or without a code) is rejected
+   * 2. Compare the code
+   * 3. Consume the login if it matches, or invalidate it after the last allowed wrong code
+   * 
+   * Note: The attempt is counted before comparing, in a single conditional update,
+   * so concurrent guesses can't get past the limit
+   * 
+   * @returns 'valid' with the login, 'invalid' with the attempts left, 'exhausted' with the number
+   *   when this was the last wrong code, or 'not_found'
+   */
+  async verifyOtp(sessionId: string, code: string): Promise<
+    | { status: 'valid'; phoneNumber: string; isNewUser: boolean; device: SessionDevice; tokenDelivery: TokenDelivery }
+    | { status: 'invalid'; attemptsLeft: number }
+    | { status: 'exhausted'; phoneNumber: string }
+    | { status: 'not_found' }
+  > {
+    const now = Math.floor(Date.now() / 1000);
+    const maxAttempts = CONFIG.VERIFICATION.OTP_MAX_ATTEMPTS;
+
+    // Step 1: Count the attempt, reading the new count in the same statement
+    const tokenRecord = await this.db
+      .prepare('UPDATE verification_tokens SET otp_attempts = otp_attempts + 1 WHERE id = ? AND otp_hash IS NOT NULL AND used_at IS NULL AND expires_at > ? AND otp_attempts < ? RETURNING *')
+      .bind(sessionId, now, maxAttempts)
+      .first<VerificationToken>();
+    if (!tokenRecord || !tokenRecord.phone_number) {
+      return { status: 'not_found' };
+    }
+
+    // Step 2: Compare the code
+    if (await hashToken(code) !== tokenRecord.otp_hash) {
+      const attemptsLeft = maxAttempts - tokenRecord.otp_attempts;
+      console.log(`[VerificationService] Wrong code for login ${sessionId}, ${attemptsLeft} attempts left`);
+      if (attemptsLeft > 0) {
+        return { status: 'invalid', attemptsLeft };
+      }
+
+      // Step 3a: No attempts left; the login can't be completed any more
+      await this.cancelVerificationToken(sessionId);
+      return { status: 'exhausted', phoneNumber: tokenRecord.phone_number };
+    }
+
+    // Step 3b: Consume the login (only one request can)
+    const consumed = await this.db
+      .prepare('UPDATE verification_tokens SET used_at = ? WHERE id = ? AND used_at IS NULL')
+      .bind(now, sessionId)
+      .run();
+    if (!consumed.meta.changes) {
+      return { status: 'not_found' };
+    }
+
+    return {
+      status: 'valid',
+      phoneNumber: tokenRecord.phone_number,
+      isNewUser: tokenRecord.is_new_user === 1,
+      device: {
+        userAgent: tokenRecord.user_agent,
+        ipCountry: tokenRecord.ip_country,
+        clientApp: tokenRecord.client_app
+      },
+      tokenDelivery: tokenRecord.token_delivery
+    };
+  }
+
+  /**
+   * Records the WhatsApp message that carries a verification token
+   * Status webhooks only reference the message, so this links them back to the login
+   */
+  async setVerificationMessageId(tokenId: string, messageId: string): Promise<void> {
+    await this.db
+      .prepare('UPDATE verification_tokens SET message_id = ? WHERE id = ?')
+      .bind(messageId, tokenId)
+      .run();
+  }
+
+  /**
+   * Records that a login message fell back from WhatsApp to another channel
+   */
+  async setVerificationDeliveryChannel(tokenId: string, channel: DeliveryChannelName): Promise<void> {
+    await this.db
+      .prepare('UPDATE verification_tokens SET delivery_channel = ? WHERE id = ?')
+      .bind(channel, tokenId)
+      .run();
+  }
+
+  /**
+   * Moves a pending login whose WhatsApp message failed to a fallback channel
+   * 
+   * The token (and the code, for the code method) are replaced, so the failed message
+   * can't be used if it turns up after all. Claiming is atomic, so a login only
+   * falls back once.
+   * 
+   * @returns The new token and code to send, or null if the login already fell back,
+   *   ended, or completes an authorization request (those are only completed on WhatsApp)
+   */
+  async claimFallbackDelivery(tokenId: string, channel: DeliveryChannelName): Promise<{ token: string; otp?: string; phoneNumber: string; isNewUser: boolean } | null> {
+    const now = Math.floor(Date.now() / 1000);
+    const plainToken = generateSecureToken(32);
+    const otp = generateNumericCode(LOGIN_OTP_LENGTH);
+
+    const tokenRecord = await this.db
+      .prepare(`UPDATE verification_tokens SET token_hash = ?, otp_hash = CASE WHEN otp_hash IS NULL THEN NULL ELSE ? END, otp_attempts = 0, delivery_channel = ?
+        WHERE id = ? AND delivery_channel = 'whatsapp' AND used_at IS NULL AND expires_at > ? AND phone_number IS NOT NULL AND authorization_request_id IS NULL
+        RETURNING *`)
+      .bind(await hashToken(plainToken), await hashToken(otp), channel, tokenId, now)
+      .first<VerificationToken>();
+    if (!tokenRecord || !tokenRecord.phone_number) {
+      return null;
+    }
+
+    return {
+      token: await sealToken(`${tokenId}${REFERENCE_SEPARATOR}${plainToken}`),
+      otp: tokenRecord.otp_hash ? otp : undefined,
+      phoneNumber: tokenRecord.phone_number,
+      isNewUser: tokenRecord.is_new_user === 1
+    };
+  }
+
+  /**
+   * Stores a status webhook against the login message it refers to
+   * 
+   * @returns false if the message isn't a login message, or a later status is already stored
+   */
+  async recordMessageStatus(update: WhatsAppStatusUpdate): Promise<boolean> {
+    const rank = MESSAGE_STATUS_RANKS[update.status];
+    if (!rank) {
+      return false;
+    }
+
+    const error = update.errors && update.errors[0];
+    const result = await this.db
+      .prepare(`UPDATE verification_tokens SET message_status = ?, message_status_at = ?, message_error_code = ?, message_error_title = ? WHERE message_id = ? AND ${MESSAGE_STATUS_RANK_SQL} < ?`)
+      .bind(
+        update.status,
+        parseInt(update.timestamp, 10) || Math.floor(Date.now() / 1000),
+        error ? error.code : null,
+        error ? error.title : null,
+        update.id,
+        rank
+      )
+      .run();
+    return (result.meta.changes || 0) > 0;
+  }
+
+  /**
+   * Finds the login (verification token id, which is also the sessionId) a WhatsApp message belongs to
+   * Only logins that are still waiting for the button are returned
+   */
+  async findPendingSessionIdByMessageId(messageId: string): Promise<string | null> {
+    const now = Math.floor(Date.now() / 1000);
+    const tokenRecord = await this.db
+      .prepare('SELECT id FROM verification_tokens WHERE message_id = ? AND expires_at > ? AND used_at IS NULL')
+      .bind(messageId, now)
+      .first<{ id: string }>();
+    return tokenRecord ? tokenRecord.id : null;
+  }
+
+  /**
+   * Invalidates a verification token that hasn't been used yet, so its button no longer logs in
+   * 
+   * @returns false if the token was already used
+   */
+  async cancelVerificationToken(tokenId: string): Promise<boolean> {
+    const now = Math.floor(Date.now() / 1000);
+    const result = await this.db
+      .prepare('UPDATE verification_tokens SET used_at = ? WHERE id = ? AND used_at IS NULL')
+      .bind(now, tokenId)
+      .run();
+    return (result.meta.changes || 0) > 0;
   }
 
   /**
@@ -247,8 +749,14 @@ export class VerificationService {
    * 3. Set long expiration (30 days)
    * 4. Store token record in database
    * 5. Return plain token and ID
+   * 
+   * @param options.familyId - Family of the token being rotated; omitted on login, which starts a new family
+   * @param options.sessionId - Session the token belongs to; revoking the session revokes the token
    */
-  async createRefreshToken(userId: string): Promise<{ token: string; tokenId: string }> {
+  async createRefreshToken(
+    userId: string,
+    options: { familyId?: string; sessionId?: string } = {}
+  ): Promise<{ token: string; tokenId: string; familyId: string }> {
     // Step 1: Generate identifiers and timestamps
     const now = Math.floor(Date.now() / 1000);
     const tokenId = generateRandomId();
@@ -258,61 +766,68 @@ export class VerificationService {
     const tokenHash = await hashToken(plainToken);
     
     // Step 3: Set long expiration for refresh tokens (30 days)
-    const expiresAt = now + (30 * 24 * 60 * 60); // 30 days
+    const expiresAt = now + REFRESH_TOKEN_EXPIRY;
 
     // Step 4: Store refresh token record in database
+    const tokenFamilyId = options.familyId || tokenId;
     await this.db
-      .prepare('INSERT INTO refresh_tokens (id, user_id, token_hash, expires_at, created_at) VALUES (?, ?, ?, ?, ?)')
-      .bind(tokenId, userId, tokenHash, expiresAt, now)
+      .prepare('INSERT INTO refresh_tokens (id, user_id, token_hash, expires_at, created_at, family_id, session_id) VALUES (?, ?, ?, ?, ?, ?, ?)')
+      .bind(tokenId, userId, tokenHash, expiresAt, now, tokenFamilyId, options.sessionId || null)
       .run();
 
     // Step 5: Return plain token (for client) and token ID (for tracking)
-    return { token: plainToken, tokenId };
+    return { token: plainToken, tokenId, familyId: tokenFamilyId };
   }
 
   /**
-   * Validates a refresh token for token refresh operations
-   * 
-   * Flow:
-   * 1. Hash the provided token
-   * 2. Search database for matching, valid token record
-   * 3. Check token exists, belongs to user, not expired, not revoked
-   * 4. Return token record if valid, null otherwise
+   * Finds a refresh token whatever its state (expired or revoked included)
+   * Used to recognise a rotated token being presented again
    */
-  async validateRefreshToken(plainToken: string, userId: string): Promise<RefreshToken | null> {
-    const now = Math.floor(Date.now() / 1000);
-    
-    // Step 1: Hash the token to match against database
+  async findRefreshToken(plainToken: string): Promise<RefreshToken | null> {
     const tokenHash = await hashToken(plainToken);
-
-    // Step 2: Find valid refresh token with all security checks
-    // - token_hash matches (correct token)
-    // - user_id matches (correct user)
-    // - expires_at > now (not expired)
-    // - revoked_at IS NULL (not revoked)
     const tokenRecord = await this.db
-      .prepare('SELECT * FROM refresh_tokens WHERE token_hash = ? AND user_id = ? AND expires_at > ? AND revoked_at IS NULL')
-      .bind(tokenHash, userId, now)
+      .prepare('SELECT * FROM refresh_tokens WHERE token_hash = ?')
+      .bind(tokenHash)
       .first<RefreshToken>();
 
     return tokenRecord || null;
   }
 
   /**
-   * Revokes a specific refresh token (logout from single device)
+   * Revokes a specific refresh token (logout from single device, or rotation)
    * 
    * Flow:
-   * 1. Mark the token as revoked with current timestamp
+   * 1. Mark the token as revoked with current timestamp, unless it already is
    * 2. Token becomes invalid for future use
+   * 
+   * @returns false if the token was already revoked (e.g. by a concurrent rotation)
    */
-  async revokeRefreshToken(tokenId: string): Promise<void> {
+  async revokeRefreshToken(tokenId: string, reason: RefreshTokenRevocationReason = 'logout'): Promise<boolean> {
     const now = Math.floor(Date.now() / 1000);
     
     // Step 1: Mark token as revoked (soft delete)
-    await this.db
-      .prepare('UPDATE refresh_tokens SET revoked_at = ? WHERE id = ?')
-      .bind(now, tokenId)
+    const result = await this.db
+      .prepare('UPDATE refresh_tokens SET revoked_at = ?, revoked_reason = ? WHERE id = ? AND revoked_at IS NULL')
+      .bind(now, reason, tokenId)
       .run();
+
+    return (result.meta.changes || 0) > 0;
+  }
+
+  /**
+   * Revokes every active token in a refresh token family
+   * 
+   * @returns Number of tokens revoked
+   */
+  async revokeRefreshTokenFamily(familyId: string, reason: RefreshTokenRevocationReason): Promise<number> {
+    const now = Math.floor(Date.now() / 1000);
+
+    const result = await this.db
+      .prepare('UPDATE refresh_tokens SET revoked_at = ?, revoked_reason = ? WHERE family_id = ? AND revoked_at IS NULL')
+      .bind(now, reason, familyId)
+      .run();
+
+    return result.meta.changes || 0;
   }
 
   /**
@@ -321,23 +836,249 @@ export class VerificationService {
    * Flow:
    * 1. Find all active refresh tokens for the user
    * 2. Mark them all as revoked with current timestamp
+   * 
+   * @param exceptSessionId - Keep the tokens of this session (sign out all other devices)
    */
-  async revokeAllUserRefreshTokens(userId: string): Promise<void> {
+  async revokeAllUserRefreshTokens(userId: string, exceptSessionId?: string): Promise<void> {
     const now = Math.floor(Date.now() / 1000);
     
     // Step 1: Revoke all active refresh tokens for the user
+    if (exceptSessionId) {
+      await this.db
+        .prepare("UPDATE refresh_tokens SET revoked_at = ?, revoked_reason = 'logout' WHERE user_id = ? AND revoked_at IS NULL AND (session_id IS NULL OR session_id != ?)")
+        .bind(now, userId, exceptSessionId)
+        .run();
+      return;
+    }
+
     await this.db
-      .prepare('UPDATE refresh_tokens SET revoked_at = ? WHERE user_id = ? AND revoked_at IS NULL')
+      .prepare("UPDATE refresh_tokens SET revoked_at = ?, revoked_reason = 'logout' WHERE user_id = ? AND revoked_at IS NULL")
       .bind(now, userId)
       .run();
   }
 
+  /**
+   * Revokes every active refresh token of a session
+   */
+  async revokeSessionRefreshTokens(sessionId: string, reason: RefreshTokenRevocationReason = 'session_revoked'): Promise<void> {
+    const now = Math.floor(Date.now() / 1000);
+
+    await this.db
+      .prepare('UPDATE refresh_tokens SET revoked_at = ?, revoked_reason = ? WHERE session_id = ? AND revoked_at IS NULL')
+      .bind(now, reason, sessionId)
+      .run();
+  }
+
+  /**
+   * Validates a refresh token: it must exist, not be expired and not be revoked
+   * The token alone identifies its user, so callers never have to supply a user id
+   */
+  async findActiveRefreshToken(plainToken: string): Promise<RefreshToken | null> {
+    const now = Math.floor(Date.now() / 1000);
+    const tokenHash = await hashToken(plainToken);
+
+    const tokenRecord = await this.db
+      .prepare('SELECT * FROM refresh_tokens WHERE token_hash = ? AND expires_at > ? AND revoked_at IS NULL')
+      .bind(tokenHash, now)
+      .first<RefreshToken>();
+
+    return tokenRecord || null;
+  }
+
+  /**
+   * Creates a one-time code the browser exchanges for session cookies
+   * Used for cookie delivery, so tokens never travel over the WebSocket
+   */
+  async createLoginExchangeCode(userId: string, device?: SessionDevice): Promise<string> {
+    const now = Math.floor(Date.now() / 1000);
+    const code = generateSecureToken(43);
+
+    await this.db
+      .prepare('INSERT INTO login_exchange_codes (id, code_hash, user_id, user_agent, ip_country, client_app, expires_at, created_at) VALUES (?, ?, ?, ?, ?, ?, ?, ?)')
+      .bind(
+        generateRandomId(),
+        await hashToken(code),
+        userId,
+        device?.userAgent || null,
+        device?.ipCountry || null,
+        device?.clientApp || null,
+        now + LOGIN_EXCHANGE_CODE_EXPIRY,
+        now
+      )
+      .run();
+
+    return code;
+  }
+
+  /**
+   * Redeems a login exchange code, which can only be used once
+   * 
+   * @returns The user and login device, or null if the code is unknown, expired or used
+   */
+  async consumeLoginExchangeCode(code: string): Promise<{ userId: string; device: SessionDevice } | null> {
+    const now = Math.floor(Date.now() / 1000);
+    const record = await this.db
+      .prepare('SELECT * FROM login_exchange_codes WHERE code_hash = ? AND expires_at > ? AND used_at IS NULL')
+      .bind(await hashToken(code), now)
+      .first<LoginExchangeCode>();
+
+    if (!record) {
+      return null;
+    }
+
+    const result = await this.db
+      .prepare('UPDATE login_exchange_codes SET used_at = ? WHERE id = ? AND used_at IS NULL')
+      .bind(now, record.id)
+      .run();
+
+    if (!result.meta.changes) {
+      return null;
+    }
+
+    return {
+      userId: record.user_id,
+      device: {
+        userAgent: record.user_agent,
+        ipCountry: record.ip_country,
+        clientApp: record.client_app
+      }
+    };
+  }
+
+  /**
+   * Creates the token of a link confirming a user's email address
+   * Links sent for the user's earlier addresses stop working
+   * 
+   * @returns The token, which is only stored hashed
+   */
+  async createEmailVerification(userId: string, email: string): Promise<string> {
+    const now = Math.floor(Date.now() / 1000);
+    const token = generateSecureToken(43);
+
+    await this.db.batch([
+      this.db
+        .prepare('UPDATE email_verifications SET used_at = ? WHERE user_id = ? AND used_at IS NULL')
+        .bind(now, userId),
+      this.db
+        .prepare('INSERT INTO email_verifications (id, token_hash, user_id, email, expires_at, created_at) VALUES (?, ?, ?, ?, ?, ?)')
+        .bind(generateRandomId(), await hashToken(token), userId, email, now + EMAIL_VERIFICATION_EXPIRY, now)
+    ]);
+
+    return token;
+  }
+
+  /**
+   * Redeems an email confirmation link, marking the address verified
+   * The address must still be the user's: a link for an address they have since
+   * replaced confirms nothing
+   * 
+   * @returns The user and the confirmed address, or null if the link is unknown, expired, used or outdated
+   */
+  async consumeEmailVerification(token: string): Promise<{ userId: string; email: string } | null> {
+    const now = Math.floor(Date.now() / 1000);
+    const record = await this.db
+      .prepare('UPDATE email_verifications SET used_at = ? WHERE token_hash = ? AND expires_at > ? AND used_at IS NULL RETURNING *')
+      .bind(now, await hashToken(token), now)
+      .first<EmailVerification>();
+
+    if (!record) {
+      return null;
+    }
+
+    const result = await this.db
+      .prepare('UPDATE users SET email_verified_at = ? WHERE id = ? AND email = ?')
+      .bind(now, record.user_id, record.email)
+      .run();
+
+    if (!result.meta.changes) {
+      return null;
+    }
+
+    return { userId: record.user_id, email: record.email };
+  }
+
+  /**
+   * Revokes a single access token by its jti
+   * The entry is kept until the token would have expired anyway
+   */
+  async revokeAccessToken(jti: string, expiresAt: number): Promise<void> {
+    const now = Math.floor(Date.now() / 1000);
+
+    await this.db
+      .prepare('INSERT OR IGNORE INTO revoked_access_tokens (jti, expires_at, revoked_at) VALUES (?, ?, ?)')
+      .bind(jti, expiresAt, now)
+      .run();
+  }
+
+  async isAccessTokenRevoked(jti: string): Promise<boolean> {
+    const record = await this.db
+      .prepare('SELECT jti FROM revoked_access_tokens WHERE jti = ?')
+      .bind(jti)
+      .first();
+
+    return !!record;
+  }
+
+  /**
+   * Blocks new logins for a phone number until the given time
+   * Locking a number that is already locked replaces the lock
+   */
+  async lockLogins(phoneNumber: string, lockedUntil: number, reason: LoginLock['reason']): Promise<void> {
+    const now = Math.floor(Date.now() / 1000);
+    await this.db
+      .prepare('INSERT INTO login_locks (phone_number, reason, locked_until, created_at) VALUES (?, ?, ?, ?) ON CONFLICT(phone_number) DO UPDATE SET reason = excluded.reason, locked_until = excluded.locked_until, created_at = excluded.created_at')
+      .bind(phoneNumber, reason, lockedUntil, now)
+      .run();
+  }
+
+  /**
+   * Returns the lock preventing new logins for a phone number, if there is one
+   */
+  async findActiveLoginLock(phoneNumber: string): Promise<LoginLock | null> {
+    const now = Math.floor(Date.now() / 1000);
+    return await this.db
+      .prepare('SELECT * FROM login_locks WHERE phone_number = ? AND locked_until > ?')
+      .bind(phoneNumber, now)
+      .first<LoginLock>();
+  }
+
+  /**
+   * Counts an attempt against a fixed-window rate limit
+   * 
+   * @param key - What is being limited, e.g. "login:phone:+15551234567"
+   * @returns Whether the attempt is within the limit, and when the window ends
+   */
+  async consumeRateLimit(key: string, limit: number, windowSeconds: number): Promise<{ allowed: boolean; retryAt: number }> {
+    const now = Math.floor(Date.now() / 1000);
+
+    // A single upsert, so concurrent attempts can't both read the same count
+    const row = await this.db
+      .prepare(
+        `INSERT INTO rate_limits (key, count, window_ends_at) VALUES (?, 1, ?)
+         ON CONFLICT(key) DO UPDATE SET
+           count = CASE WHEN rate_limits.window_ends_at <= ? THEN 1 ELSE rate_limits.count + 1 END,
+           window_ends_at = CASE WHEN rate_limits.window_ends_at <= ? THEN excluded.window_ends_at ELSE rate_limits.window_ends_at END
+         RETURNING count, window_ends_at`
+      )
+      .bind(key, now + windowSeconds, now, now)
+      .first<{ count: number; window_ends_at: number }>();
+
+    if (!row) {
+      return { allowed: true, retryAt: now };
+    }
+    return { allowed: row.count <= limit, retryAt: row.window_ends_at };
+  }
+
   /**
    * Cleanup expired tokens from database (maintenance operation)
    * 
    * Flow:
    * 1. Delete expired verification tokens
    * 2. Delete expired refresh tokens
+   * 3. Delete revoked access token entries once the tokens have expired
+   * 4. Delete expired login exchange codes
+   * 5. Delete login locks that have ended
+   * 6. Delete rate limit windows that have ended
    * 
    * Note: This should be run periodically to keep database clean
    */
@@ -355,5 +1096,35 @@ export class VerificationService {
       .prepare('DELETE FROM refresh_tokens WHERE expires_at < ?')
       .bind(now)
       .run();
+
+    // Step 3: Revoked access tokens only need tracking until they expire
+    await this.db
+      .prepare('DELETE FROM revoked_access_tokens WHERE expires_at < ?')
+      .bind(now)
+      .run();
+
+    // Step 4: Clean up expired login exchange codes
+    await this.db
+      .prepare('DELETE FROM login_exchange_codes WHERE expires_at < ?')
+      .bind(now)
+      .run();
+
+    // Step 5: Clean up login locks that have ended
+    await this.db
+      .prepare('DELETE FROM login_locks WHERE locked_until < ?')
+      .bind(now)
+      .run();
+
+    // Step 6: Clean up rate limit windows that have ended
+    await this.db
+      .prepare('DELETE FROM rate_limits WHERE window_ends_at < ?')
+      .bind(now)
+      .run();
+
+    // Step 7: Clean up expired email confirmation links
+    await this.db
+      .prepare('DELETE FROM email_verifications WHERE expires_at < ?')
+      .bind(now)
+      .run();
   }
 }
\ No newline at end of file
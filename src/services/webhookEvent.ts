@@ -0,0 +1,72 @@
+import { CONFIG } from '../config';
+
+// A claim still 'processing' after this long belongs to a delivery that died
+// without finishing or releasing it, so a retry may take it over
+const STALE_CLAIM_SECONDS = 5 * 60;
+
+/**
+ * WebhookEventService records which webhook events have been handled, so Meta's
+ * retries and duplicate deliveries don't handle the same event twice
+ *
+ * An event is claimed before it is handled, then either marked processed
+ * (duplicates are skipped until the dedup window passes) or released when the
+ * handler fails, so the retry Meta sends for the failed delivery handles it again.
+ */
+export class WebhookEventService {
+  private db: D1Database;
+
+  constructor(db: D1Database) {
+    this.db = db;
+  }
+
+  /**
+   * Claims an event for handling
+   * Returns false if it was already processed within the dedup window,
+   * or another delivery is handling it right now
+   */
+  async claimEvent(eventId: string): Promise<boolean> {
+    const now = Math.floor(Date.now() / 1000);
+
+    // A single upsert so two deliveries racing for the same id can't both win
+    const result = await this.db
+      .prepare(
+        `INSERT INTO webhook_events (id, status, claimed_at, expires_at) VALUES (?, 'processing', ?, ?)
+         ON CONFLICT(id) DO UPDATE SET status = 'processing', claimed_at = excluded.claimed_at, expires_at = excluded.expires_at
+         WHERE webhook_events.expires_at <= excluded.claimed_at
+            OR (webhook_events.status = 'processing' AND webhook_events.claimed_at <= ?)`
+      )
+      .bind(eventId, now, now + CONFIG.WEBHOOK.DEDUP_TTL_SECONDS, now - STALE_CLAIM_SECONDS)
+      .run();
+
+    return result.meta.changes > 0;
+  }
+
+  // Marks a claimed event as handled; duplicates are skipped from now on
+  async markProcessed(eventId: string): Promise<void> {
+    await this.db
+      .prepare("UPDATE webhook_events SET status = 'processed' WHERE id = ? AND status = 'processing'")
+      .bind(eventId)
+      .run();
+  }
+
+  // Gives up a claim after its handler failed, so a retry handles the event again
+  async releaseEvent(eventId: string): Promise<void> {
+    await this.db
+      .prepare("DELETE FROM webhook_events WHERE id = ? AND status = 'processing'")
+      .bind(eventId)
+      .run();
+  }
+
+  /**
+   * Removes events whose dedup window has passed
+   * Returns the number of rows removed
+   */
+  async deleteExpiredEvents(): Promise<number> {
+    const now = Math.floor(Date.now() / 1000);
+    const result = await this.db
+      .prepare('DELETE FROM webhook_events WHERE expires_at <= ?')
+      .bind(now)
+      .run();
+    return result.meta.changes;
+  }
+}
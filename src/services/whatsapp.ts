@@ -1,5 +1,14 @@
 import { CONFIG } from '../config';
 import type { WhatsAppMessage } from '../types';
+import { buildLoginLinkUrl } from '../utils/loginCode';
+
+/**
+ * Returns the id (wamid) of the message a Cloud API send call created
+ * Status webhooks for the message carry the same id; mocked sends have none
+ */
+export function getSentMessageId(response: any): string | null {
+  return response && Array.isArray(response.messages) && response.messages[0] ? response.messages[0].id || null : null;
+}
 
 export class WhatsAppService {
   private apiToken: string;
@@ -32,15 +41,18 @@ export class WhatsAppService {
     return await response.json();
   }
 
+  /**
+   * Sends a message with reply buttons (WhatsApp allows up to 3)
+   * The id of the tapped button comes back in the button_reply webhook
+   */
   async sendInteractiveButtonMessage(
     to: string,
-    buttonText: string,
-    buttonPayload: string,
-    bodyText: string
+    bodyText: string,
+    buttons: Array<{ id: string; title: string }>
   ): Promise<any> {
     // If mocking is enabled, just log and return success
     if (CONFIG.MOCK.WHATSAPP_API) {
-      console.log(`[MOCK] Sending interactive button message to ${to} with payload: ${buttonPayload}`);
+      console.log(`[MOCK] Sending interactive button message to ${to} with payloads: ${buttons.map(button => button.id).join(', ')}`);
       return { success: true, mock: true };
     }
 
@@ -55,15 +67,13 @@ export class WhatsAppService {
           text: bodyText,
         },
         action: {
-          buttons: [
-            {
-              type: 'reply',
-              reply: {
-                id: buttonPayload,
-                title: buttonText,
-              },
+          buttons: buttons.map(button => ({
+            type: 'reply' as const,
+            reply: {
+              id: button.id,
+              title: button.title,
             },
-          ],
+          })),
         },
       },
     };
@@ -71,6 +81,50 @@ export class WhatsAppService {
     return this.sendMessage(to, message);
   }
 
+  /**
+   * Sends the authentication template with a one-time code and its copy code button
+   * The template (category Authentication, copy code button) must be approved in WhatsApp Manager
+   */
+  async sendAuthenticationCode(to: string, code: string): Promise<any> {
+    // If mocking is enabled, just log and return success
+    if (CONFIG.MOCK.WHATSAPP_API) {
+      console.log(`[MOCK] Sending authentication code to ${to}: ${code}`);
+      return { success: true, mock: true };
+    }
+
+    const message: WhatsAppMessage = {
+      messaging_product: 'whatsapp',
+      recipient_type: 'individual',
+      to,
+      type: 'template',
+      template: {
+        name: CONFIG.WHATSAPP.AUTH_TEMPLATE_NAME,
+        language: {
+          code: CONFIG.WHATSAPP.AUTH_TEMPLATE_LANGUAGE
+        },
+        components: [
+          {
+            type: 'body',
+            parameters: [{ type: 'text', text: code }]
+          },
+          {
+            // The copy code button is a URL button as far as the API is concerned
+            type: 'button',
+            sub_type: 'url',
+            index: '0',
+            parameters: [{ type: 'text', text: code }]
+          }
+        ]
+      }
+    };
+
+    return this.sendMessage(to, message);
+  }
+
+  /**
+   * Sends the login_link template with a link to the login confirmation page
+   * Opening the link doesn't log in by itself, so link previews can't use it up
+   */
   async sendLoginLink(to: string, loginToken: string): Promise<any> {
     // If mocking is enabled, just log and return success
     if (CONFIG.MOCK.WHATSAPP_API) {
@@ -78,7 +132,7 @@ export class WhatsAppService {
       return { success: true, mock: true };
     }
 
-    const loginUrl = `${CONFIG.APP.FRONTEND_URL}/auth/verify?token=${loginToken}`;
+    const loginUrl = buildLoginLinkUrl(CONFIG.APP.LOGIN_LINK_BASE_URL || CONFIG.APP.FRONTEND_URL, loginToken);
     
     const message: WhatsAppMessage = {
       messaging_product: 'whatsapp',
@@ -0,0 +1,88 @@
+import initSqlJs, { Database } from 'sql.js';
+import packageJson from '../../package.json?raw';
+
+// Migration files by path, and the order db:migrate applies them in
+const MIGRATIONS = import.meta.glob<string>('../../migrations/*.sql', { query: '?raw', import: 'default', eager: true });
+const MIGRATION_ORDER = [...JSON.parse(packageJson).scripts['db:migrate'].matchAll(/--file=migrations\/([\w.-]+\.sql)/g)].map(match => match[1]);
+
+type BindValue = string | number | boolean | null;
+
+/**
+ * A prepared statement of the in-memory database, with the D1 methods the services use
+ */
+class TestD1Statement {
+  private db: Database;
+  private sql: string;
+  private values: BindValue[];
+
+  constructor(db: Database, sql: string, values: BindValue[] = []) {
+    this.db = db;
+    this.sql = sql;
+    this.values = values;
+  }
+
+  bind(...values: BindValue[]): TestD1Statement {
+    return new TestD1Statement(this.db, this.sql, values);
+  }
+
+  async first<T>(): Promise<T | null> {
+    const rows = this.execute<T>();
+    return rows.length ? rows[0] : null;
+  }
+
+  async all<T>(): Promise<{ results: T[]; success: true; meta: { changes: number } }> {
+    const results = this.execute<T>();
+    return { results, success: true, meta: { changes: this.db.getRowsModified() } };
+  }
+
+  async run(): Promise<{ results: unknown[]; success: true; meta: { changes: number } }> {
+    return this.all();
+  }
+
+  // Runs the statement to completion, like D1 does, and returns its rows
+  execute<T>(): T[] {
+    const statement = this.db.prepare(this.sql);
+    try {
+      // D1 stores booleans as integers
+      statement.bind(this.values.map(value => typeof value === 'boolean' ? Number(value) : value));
+      const rows: T[] = [];
+      while (statement.step()) {
+        rows.push(statement.getAsObject() as T);
+      }
+      return rows;
+    } finally {
+      statement.free();
+    }
+  }
+}
+
+/**
+ * Creates an in-memory SQLite database with every migration applied, standing in
+ * for the D1 binding in tests
+ */
+export async function createTestDatabase(): Promise<D1Database> {
+  const SQL = await initSqlJs();
+  const db = new SQL.Database();
+  for (const file of MIGRATION_ORDER) {
+    db.exec(MIGRATIONS[`../../migrations/${file}`]);
+  }
+
+  return {
+    prepare: (sql: string) => new TestD1Statement(db, sql),
+    // Like D1, a batch runs in one transaction
+    batch: async (statements: TestD1Statement[]) => {
+      db.exec('BEGIN');
+      try {
+        const results = [];
+        for (const statement of statements) {
+          results.push(await statement.run());
+        }
+        db.exec('COMMIT');
+        return results;
+      } catch (error) {
+        db.exec('ROLLBACK');
+        throw error;
+      }
+    }
+  } as unknown as D1Database;
+}
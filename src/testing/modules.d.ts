@@ -0,0 +1,34 @@
+// Module shapes used by the test helpers, which run under Vitest (Vite) rather than in the Worker
+
+declare module '*?raw' {
+  const content: string;
+  export default content;
+}
+
+interface ImportMeta {
+  glob<T = unknown>(pattern: string, options: { query: '?raw'; import: 'default'; eager: true }): Record<string, T>;
+}
+
+// The subset of sql.js (SQLite compiled to WebAssembly) the D1 stand-in uses
+declare module 'sql.js' {
+  type SqlValue = number | string | Uint8Array | null;
+
+  interface Statement {
+    bind(values: SqlValue[]): boolean;
+    step(): boolean;
+    getAsObject(): Record<string, SqlValue>;
+    free(): boolean;
+  }
+
+  interface Database {
+    exec(sql: string): unknown;
+    prepare(sql: string): Statement;
+    getRowsModified(): number;
+  }
+
+  interface SqlJsStatic {
+    Database: new () => Database;
+  }
+
+  export default function initSqlJs(): Promise<SqlJsStatic>;
+}
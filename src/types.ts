@@ -2,6 +2,8 @@ export interface User {
   id: string;
   phone_number: string;
   name: string | null;
+  email: string | null; // Where login messages go when they fall back to email, once verified
+  email_verified_at: number | null; // When the owner opened the confirmation link sent to email
   created_at: number;
   last_login: number;
 }
@@ -13,18 +15,79 @@ export interface Session {
   expires_at: number;
   auth_token?: string;
   refresh_token?: string;
-  status: 'pending' | 'ready' | 'completed';
+  status: 'pending' | 'ready' | 'completed' | 'active';
+  revoked_at?: number | null;
+  last_refreshed_at?: number | null;
+  user_agent?: string | null;
+  ip_country?: string | null;
+  client_app?: string | null;
+}
+
+// Where a login came from, shown in the user's list of signed-in devices
+export interface SessionDevice {
+  userAgent: string | null;
+  ipCountry: string | null;
+  clientApp: string | null;
 }
 
 export interface VerificationToken {
   id: string;
   token_hash: string;
-  phone_number: string;
+  phone_number: string | null; // Null for QR code logins until the user confirms the login
+  pending_phone_number: string | null; // QR code logins: the number that sent the code, until it confirms
+  is_new_user: number;
+  authorization_request_id: string | null;
+  user_agent: string | null;
+  ip_country: string | null;
+  client_app: string | null;
+  token_delivery: TokenDelivery;
+  message_id: string | null; // WhatsApp message carrying the login button
+  message_status: WhatsAppMessageStatus | null; // Latest status reported by the statuses webhook
+  message_status_at: number | null;
+  message_error_code: number | null; // WhatsApp error code, set when the message failed
+  message_error_title: string | null;
+  short_code_hash: string | null; // Set for logins completed by messaging us a code
+  otp_hash: string | null; // Set for logins completed by typing the code from the authentication template
+  otp_attempts: number;
+  delivery_channel: DeliveryChannelName; // Channel the login message went out on; changes when it falls back
   expires_at: number;
   used_at?: number;
   created_at: number;
 }
 
+// 'json' sends tokens over the auth WebSocket; 'cookie' sets HttpOnly cookies instead
+export type TokenDelivery = 'json' | 'cookie';
+
+// 'button' sends the user a message to confirm; 'reverse' has the user message us a login code instead;
+// 'qr' does the same without a phone number, the code being scanned from the screen of another device;
+// 'code' sends a 6-digit code the user types into the app; 'link' sends a link to a confirmation page
+export type LoginMethod = 'button' | 'reverse' | 'qr' | 'code' | 'link';
+
+// Channels a login message can be sent on; WhatsApp unless it falls back to SMS or email
+export type DeliveryChannelName = 'whatsapp' | 'sms' | 'email';
+
+export interface LoginExchangeCode {
+  id: string;
+  code_hash: string;
+  user_id: string;
+  user_agent: string | null;
+  ip_country: string | null;
+  client_app: string | null;
+  expires_at: number;
+  used_at: number | null;
+  created_at: number;
+}
+
+export interface EmailVerification {
+  id: string;
+  token_hash: string;
+  user_id: string;
+  email: string;
+  expires_at: number;
+  used_at: number | null;
+  created_at: number;
+}
+
 export interface RefreshToken {
   id: string;
   user_id: string;
@@ -32,6 +95,73 @@ export interface RefreshToken {
   expires_at: number;
   created_at: number;
   revoked_at?: number;
+  family_id: string;
+  revoked_reason?: RefreshTokenRevocationReason;
+  session_id?: string | null;
+}
+
+// 'rotated' tokens were exchanged for a new one; presenting one again means it was copied
+export type RefreshTokenRevocationReason = 'rotated' | 'logout' | 'reuse_detected' | 'session_revoked';
+
+export type AuditEventType =
+  | 'webhook_signature_rejected'
+  | 'signing_key_rotated'
+  | 'refresh_token_reuse'
+  | 'login_denied'
+  | 'login_code_attempts_exceeded';
+
+export interface AuditEvent {
+  id: string;
+  event_type: AuditEventType;
+  user_id: string | null;
+  phone_number: string | null;
+  ip_address: string | null;
+  details: string | null;
+  created_at: number;
+}
+
+export interface LoginLock {
+  phone_number: string;
+  reason: 'login_denied';
+  locked_until: number;
+  created_at: number;
+}
+
+export interface OAuthClient {
+  id: string;
+  name: string;
+  secret_hash: string | null; // null for public clients, which rely on PKCE alone
+  redirect_uris: string; // JSON array of exact-match redirect URIs
+  created_at: number;
+}
+
+export interface AuthorizationRequest {
+  id: string;
+  client_id: string;
+  redirect_uri: string;
+  scope: string;
+  state: string | null;
+  nonce: string | null;
+  code_challenge: string;
+  code_challenge_method: 'S256';
+  user_id: string | null;
+  code_hash: string | null;
+  auth_time: number | null;
+  code_expires_at: number | null;
+  code_used_at: number | null;
+  expires_at: number;
+  created_at: number;
+}
+
+export interface SigningKeyRecord {
+  kid: string;
+  alg: 'ES256' | 'RS256';
+  private_key: string; // Encrypted private JWK; emptied once the key is rotated out
+  public_jwk: string;
+  status: 'current' | 'previous' | 'retired';
+  created_at: number;
+  rotated_at: number | null;
+  retire_after: number | null;
 }
 
 export interface TokenPayload {
@@ -41,6 +171,7 @@ export interface TokenPayload {
   timestamp: number;
   expiresAt: number;
   sessionId?: string;
+  authorizationRequestId?: string;
 }
 
 export interface WhatsAppMessage {
@@ -92,34 +223,106 @@ export interface WhatsAppWebhookPayload {
           };
           wa_id: string;
         }>;
-        messages?: Array<{
-          from: string;
-          id: string;
-          timestamp: string;
-          text?: {
-            body: string;
-          };
-          button?: {
-            payload: string;
-            text: string;
-          };
-          type: string;
-        }>;
+        messages?: WhatsAppIncomingMessage[];
+        statuses?: WhatsAppStatusUpdate[];
       };
       field: string;
     }>;
   }>;
 }
 
+// Message a user sent us, received in the messages array of the messages webhook
+export interface WhatsAppIncomingMessage {
+  from: string;
+  id: string;
+  timestamp: string;
+  text?: {
+    body: string;
+  };
+  button?: {
+    payload: string;
+    text: string;
+  };
+  interactive?: {
+    type: string;
+    button_reply: {
+      id: string;
+      title: string;
+    };
+  };
+  type: string;
+}
+
+export type WhatsAppMessageStatus = 'sent' | 'delivered' | 'read' | 'failed' | 'deleted';
+
+// Error attached to a failed status update (see Meta's Cloud API error codes)
+export interface WhatsAppStatusError {
+  code: number;
+  title: string;
+  message?: string;
+  error_data?: {
+    details: string;
+  };
+  href?: string;
+}
+
+// Delivery update for a message we sent, received in the statuses array of the messages webhook
+export interface WhatsAppStatusUpdate {
+  id: string; // wamid of the outbound message
+  status: WhatsAppMessageStatus;
+  timestamp: string;
+  recipient_id: string;
+  conversation?: {
+    id: string;
+    expiration_timestamp?: string;
+    origin: {
+      type: string;
+    };
+  };
+  pricing?: {
+    billable: boolean;
+    pricing_model: string;
+    category: string;
+  };
+  errors?: WhatsAppStatusError[];
+}
+
+// Why a login message could not be delivered, translated from the WhatsApp error
+export interface MessageDeliveryError {
+  code: ErrorCode;
+  message: string;
+}
+
 export interface Env {
   DB: D1Database;
   WEBHOOK_PROCESSOR_DO: DurableObjectNamespace;
   AUTH_SESSION_DO: DurableObjectNamespace;
   JWT_SECRET: string;
-  WHATSAPP_ACCESS_TOKEN: string;
+  JWT_PRIVATE_KEY?: string;
+  JWT_ALGORITHM?: string;
+  JWT_KEY_ID?: string;
+  JWT_KEY_ENCRYPTION_SECRET?: string;
+  ADMIN_API_KEY?: string;
+  WHATSAPP_API_TOKEN: string;
   WHATSAPP_PHONE_NUMBER_ID: string;
   WHATSAPP_WEBHOOK_VERIFY_TOKEN: string;
   WHATSAPP_BUSINESS_ACCOUNT_ID: string;
+  WHATSAPP_BUSINESS_PHONE_NUMBER?: string;
+  WHATSAPP_AUTH_TEMPLATE_NAME?: string;
+  WHATSAPP_AUTH_TEMPLATE_LANGUAGE?: string;
+  LOGIN_LINK_BASE_URL?: string;
+  DELIVERY_FALLBACK_CHANNEL?: string;
+  TWILIO_ACCOUNT_SID?: string;
+  TWILIO_AUTH_TOKEN?: string;
+  TWILIO_FROM_NUMBER?: string;
+  RESEND_API_KEY?: string;
+  EMAIL_FROM?: string;
+  VERIFICATION_TOKEN_SECRET: string;
+  VERIFICATION_TOKEN_ENCRYPTION_KEY?: string;
+  LEGACY_VERIFICATION_TOKENS_UNTIL?: string;
+  WHATSAPP_APP_SECRET: string;
+  OIDC_ISSUER?: string;
+  COOKIE_SAME_SITE?: string;
 }
 
 // Standardized API Response Types
@@ -179,20 +382,52 @@ export const ERROR_CODES = {
   UNAUTHORIZED: 'UNAUTHORIZED',
   INVALID_TOKEN: 'INVALID_TOKEN',
   MISSING_AUTHORIZATION: 'MISSING_AUTHORIZATION',
+  INVALID_WEBHOOK_SIGNATURE: 'INVALID_WEBHOOK_SIGNATURE',
+  ADMIN_API_DISABLED: 'ADMIN_API_DISABLED',
   INVALID_REFRESH_TOKEN: 'INVALID_REFRESH_TOKEN',
+  INVALID_EXCHANGE_CODE: 'INVALID_EXCHANGE_CODE',
+  INVALID_LOGIN_CODE: 'INVALID_LOGIN_CODE',
+  CSRF_TOKEN_INVALID: 'CSRF_TOKEN_INVALID',
+  INVALID_SESSION_SECRET: 'INVALID_SESSION_SECRET',
+  
+  // Verification token errors
+  MALFORMED_TOKEN: 'MALFORMED_TOKEN',
+  UNSUPPORTED_TOKEN_VERSION: 'UNSUPPORTED_TOKEN_VERSION',
+  INVALID_TOKEN_SIGNATURE: 'INVALID_TOKEN_SIGNATURE',
+  TOKEN_DECRYPTION_FAILED: 'TOKEN_DECRYPTION_FAILED',
+  LEGACY_TOKEN_REJECTED: 'LEGACY_TOKEN_REJECTED',
+  INVALID_TOKEN_PAYLOAD: 'INVALID_TOKEN_PAYLOAD',
+  TOKEN_EXPIRED: 'TOKEN_EXPIRED',
+  PHONE_NUMBER_MISMATCH: 'PHONE_NUMBER_MISMATCH',
+  TOKEN_NOT_FOUND: 'TOKEN_NOT_FOUND',
   
   // User errors
   USER_NOT_FOUND: 'USER_NOT_FOUND',
   INVALID_NAME: 'INVALID_NAME',
+  INVALID_EMAIL: 'INVALID_EMAIL',
   
   // Request errors
   MISSING_PARAMETERS: 'MISSING_PARAMETERS',
   MISSING_USER_ID: 'MISSING_USER_ID',
   MISSING_SESSION_ID: 'MISSING_SESSION_ID',
+  SESSION_NOT_FOUND: 'SESSION_NOT_FOUND',
+  INVALID_AUTHORIZATION_REQUEST: 'INVALID_AUTHORIZATION_REQUEST',
+  INVALID_CLIENT_METADATA: 'INVALID_CLIENT_METADATA',
   
   // Operation errors
   MESSAGE_SEND_FAILED: 'MESSAGE_SEND_FAILED',
+  VERIFICATION_TOKEN_TOO_LONG: 'VERIFICATION_TOKEN_TOO_LONG',
   LOGOUT_FAILED: 'LOGOUT_FAILED',
+  LOGIN_ALREADY_COMPLETED: 'LOGIN_ALREADY_COMPLETED',
+  LOGIN_LOCKED: 'LOGIN_LOCKED',
+  LOGIN_METHOD_UNAVAILABLE: 'LOGIN_METHOD_UNAVAILABLE',
+  LOGIN_CODE_ATTEMPTS_EXCEEDED: 'LOGIN_CODE_ATTEMPTS_EXCEEDED',
+  TOO_MANY_LOGIN_ATTEMPTS: 'TOO_MANY_LOGIN_ATTEMPTS',
+
+  // Login message delivery errors
+  RECIPIENT_NOT_ON_WHATSAPP: 'RECIPIENT_NOT_ON_WHATSAPP',
+  REENGAGEMENT_REQUIRED: 'REENGAGEMENT_REQUIRED',
+  MESSAGE_DELIVERY_FAILED: 'MESSAGE_DELIVERY_FAILED',
   UPDATE_FAILED: 'UPDATE_FAILED'
 } as const;
 
@@ -209,6 +444,10 @@ export type Variables = {
     user: any;     
     auth: any;
     verification: any;
+    audit: any;
+    signingKeys: any;
+    oidc: any;
+    authSession: any;
   };
   authInfo?: AuthInfo; // Optional authInfo property
 };
\ No newline at end of file
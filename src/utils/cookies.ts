@@ -0,0 +1,66 @@
+import { Context } from 'hono';
+import { getCookie, setCookie, deleteCookie } from 'hono/cookie';
+import { CONFIG } from '../config';
+import { ACCESS_TOKEN_EXPIRY } from '../services/auth';
+import { REFRESH_TOKEN_EXPIRY } from '../services/verification';
+import { generateSecureToken } from './crypto';
+
+export const ACCESS_TOKEN_COOKIE = 'access_token';
+export const REFRESH_TOKEN_COOKIE = 'refresh_token';
+export const CSRF_TOKEN_COOKIE = 'csrf_token';
+
+// Header cookie clients echo the CSRF token in (double-submit)
+export const CSRF_TOKEN_HEADER = 'X-CSRF-Token';
+
+// The refresh token is only ever needed by /api/auth/refresh and /api/auth/logout,
+// so the browser doesn't send it anywhere else
+const REFRESH_TOKEN_COOKIE_PATH = '/api/auth';
+
+export function getAccessTokenCookie(c: Context): string | undefined {
+  return getCookie(c, ACCESS_TOKEN_COOKIE) || undefined;
+}
+
+export function getRefreshTokenCookie(c: Context): string | undefined {
+  return getCookie(c, REFRESH_TOKEN_COOKIE) || undefined;
+}
+
+export function getCsrfTokenCookie(c: Context): string | undefined {
+  return getCookie(c, CSRF_TOKEN_COOKIE) || undefined;
+}
+
+/**
+ * Returns the access token from the Authorization header, falling back to the access cookie
+ */
+export function getRequestAccessToken(c: Context): string | undefined {
+  const authHeader = c.req.header('Authorization');
+  if (authHeader && authHeader.startsWith('Bearer ')) {
+    return authHeader.substring(7);
+  }
+  return getAccessTokenCookie(c);
+}
+
+/**
+ * Sets the session cookies for a cookie-mode browser client
+ *
+ * The access and refresh tokens are HttpOnly; the CSRF token is readable by
+ * scripts on this origin and must be sent back in the X-CSRF-Token header.
+ *
+ * @returns The new CSRF token, also returned in the response body for front-ends
+ *   served from another origin that can't read this API's cookies
+ */
+export function setSessionCookies(c: Context, tokens: { accessToken: string; refreshToken: string }): string {
+  const csrfToken = generateSecureToken(32);
+  const options = { secure: true, sameSite: CONFIG.COOKIES.SAME_SITE };
+
+  setCookie(c, ACCESS_TOKEN_COOKIE, tokens.accessToken, { ...options, path: '/', httpOnly: true, maxAge: ACCESS_TOKEN_EXPIRY });
+  setCookie(c, REFRESH_TOKEN_COOKIE, tokens.refreshToken, { ...options, path: REFRESH_TOKEN_COOKIE_PATH, httpOnly: true, maxAge: REFRESH_TOKEN_EXPIRY });
+  setCookie(c, CSRF_TOKEN_COOKIE, csrfToken, { ...options, path: '/', maxAge: REFRESH_TOKEN_EXPIRY });
+
+  return csrfToken;
+}
+
+export function clearSessionCookies(c: Context): void {
+  deleteCookie(c, ACCESS_TOKEN_COOKIE, { path: '/', secure: true });
+  deleteCookie(c, REFRESH_TOKEN_COOKIE, { path: REFRESH_TOKEN_COOKIE_PATH, secure: true });
+  deleteCookie(c, CSRF_TOKEN_COOKIE, { path: '/', secure: true });
+}
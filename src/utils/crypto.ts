@@ -29,10 +29,120 @@ export function generateSecureToken(length: number = 32): string {
   return result;
 }
 
+// Random decimal code such as a 6-digit OTP; bytes of 250 and up are skipped so every digit is equally likely
+export function generateNumericCode(length: number): string {
+  let result = '';
+  while (result.length < length) {
+    const randomValues = new Uint8Array(length);
+    crypto.getRandomValues(randomValues);
+    for (const value of randomValues) {
+      if (value < 250 && result.length < length) {
+        result += String(value % 10);
+      }
+    }
+  }
+  return result;
+}
+
 export async function hashToken(token: string): Promise<string> {
   const encoder = new TextEncoder();
   const data = encoder.encode(token);
   const hashBuffer = await crypto.subtle.digest('SHA-256', data);
   const hashArray = Array.from(new Uint8Array(hashBuffer));
   return hashArray.map(b => b.toString(16).padStart(2, '0')).join('');
-}
\ No newline at end of file
+}
+
+export function hexToBytes(hex: string): Uint8Array | null {
+  if (hex.length % 2 !== 0 || !/^[0-9a-fA-F]*$/.test(hex)) {
+    return null;
+  }
+  const bytes = new Uint8Array(hex.length / 2);
+  for (let i = 0; i < bytes.length; i++) {
+    bytes[i] = parseInt(hex.substring(i * 2, i * 2 + 2), 16);
+  }
+  return bytes;
+}
+
+export function base64UrlEncode(bytes: Uint8Array): string {
+  let binary = '';
+  for (let i = 0; i < bytes.length; i++) {
+    binary += String.fromCharCode(bytes[i]);
+  }
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+export function base64UrlDecode(value: string): Uint8Array {
+  const base64 = value.replace(/-/g, '+').replace(/_/g, '/');
+  const padded = base64 + '='.repeat((4 - (base64.length % 4)) % 4);
+  const binary = atob(padded);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return bytes;
+}
+
+// Returns base64url(SHA-256(value)), as used by PKCE S256 code challenges
+export async function sha256Base64Url(value: string): Promise<string> {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(value));
+  return base64UrlEncode(new Uint8Array(digest));
+}
+
+async function importHmacKey(secret: string): Promise<CryptoKey> {
+  return crypto.subtle.importKey(
+    'raw',
+    new TextEncoder().encode(secret),
+    { name: 'HMAC', hash: 'SHA-256' },
+    false,
+    ['sign', 'verify']
+  );
+}
+
+// Web Crypto only takes views of a plain ArrayBuffer; copying also covers views of a SharedArrayBuffer
+function toArrayBufferBytes(data: string | Uint8Array): Uint8Array<ArrayBuffer> {
+  return typeof data === 'string' ? new TextEncoder().encode(data) : new Uint8Array(data);
+}
+
+// Returns the HMAC-SHA256 of data as a base64url string
+export async function signHmac(secret: string, data: string | Uint8Array): Promise<string> {
+  const key = await importHmacKey(secret);
+  const bytes = toArrayBufferBytes(data);
+  const signature = await crypto.subtle.sign('HMAC', key, bytes);
+  return base64UrlEncode(new Uint8Array(signature));
+}
+
+// Verifies an HMAC-SHA256 signature in constant time (crypto.subtle.verify)
+export async function verifyHmac(secret: string, data: string | Uint8Array, signature: Uint8Array): Promise<boolean> {
+  const key = await importHmacKey(secret);
+  return crypto.subtle.verify('HMAC', key, toArrayBufferBytes(signature), toArrayBufferBytes(data));
+}
+
+async function deriveAesKey(secret: string): Promise<CryptoKey> {
+  const keyMaterial = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(secret));
+  return crypto.subtle.importKey('raw', keyMaterial, { name: 'AES-GCM' }, false, ['encrypt', 'decrypt']);
+}
+
+// Encrypts plaintext with AES-GCM and returns base64url(iv || ciphertext)
+export async function encryptString(secret: string, plaintext: string): Promise<string> {
+  const key = await deriveAesKey(secret);
+  const iv = new Uint8Array(12);
+  crypto.getRandomValues(iv);
+  const ciphertext = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, new TextEncoder().encode(plaintext));
+
+  const output = new Uint8Array(iv.length + ciphertext.byteLength);
+  output.set(iv, 0);
+  output.set(new Uint8Array(ciphertext), iv.length);
+  return base64UrlEncode(output);
+}
+
+// Reverses encryptString, returning null if the data was tampered with or the key is wrong
+export async function decryptString(secret: string, encoded: string): Promise<string | null> {
+  try {
+    const data = base64UrlDecode(encoded);
+    const key = await deriveAesKey(secret);
+    const plaintext = await crypto.subtle.decrypt({ name: 'AES-GCM', iv: data.slice(0, 12) }, key, data.slice(12));
+    return new TextDecoder().decode(plaintext);
+  } catch (error) {
+    return null;
+  }
+}
@@ -1,26 +1,132 @@
-import { SignJWT, jwtVerify } from 'jose';
+import { SignJWT, jwtVerify, importPKCS8, importJWK, exportJWK, generateKeyPair, calculateJwkThumbprint, decodeProtectedHeader, JWK, KeyLike } from 'jose';
 import { CONFIG } from '../config';
 
-const encoder = new TextEncoder();
-const secretJWT = 'Y0ggyGvAVmzVzCPOdprgl5DQw0Ei1jrit25DeA23sBziwcvxbJIewLxle4F8gO5v'
+export type SigningAlgorithm = 'ES256' | 'RS256';
+
+export interface SigningKey {
+  kid: string;
+  alg: SigningAlgorithm;
+  privateKey?: KeyLike; // Only present for the current (signing) key
+  publicKey: KeyLike;
+  publicJwk: JWK;
+}
+
+/**
+ * Source of signing keys (see SigningKeyService)
+ * - getCurrentKey: the single key used to sign new tokens
+ * - findKey: any key still accepted for verification, looked up by kid
+ * - getVerificationKeys: every key still accepted for verification (for the JWKS)
+ */
+export interface SigningKeyStore {
+  getCurrentKey(): Promise<SigningKey>;
+  findKey(kid: string): Promise<SigningKey | null>;
+  getVerificationKeys(): Promise<SigningKey[]>;
+}
+
+// Private members stripped from a JWK to get its public half
+const PRIVATE_JWK_MEMBERS = ['d', 'p', 'q', 'dp', 'dq', 'qi'] as const;
+
+let keyStore: SigningKeyStore | null = null;
+
+// Called once per request (and by Durable Objects) alongside initializeConfig
+export function setSigningKeyStore(store: SigningKeyStore) {
+  keyStore = store;
+}
+
+function getKeyStore(): SigningKeyStore {
+  if (!keyStore) {
+    throw new Error('Signing key store has not been initialized');
+  }
+  return keyStore;
+}
 
 export async function createJWT(payload: any, expiresIn = CONFIG.JWT.EXPIRY): Promise<string> {
-  const secret = encoder.encode(secretJWT/* CONFIG.JWT.SECRET */);
-  
+  const signingKey = await getKeyStore().getCurrentKey();
+  if (!signingKey.privateKey) {
+    throw new Error(`Signing key ${signingKey.kid} has no private key`);
+  }
+
   return new SignJWT(payload)
-    .setProtectedHeader({ alg: 'HS256' })
+    .setProtectedHeader({ alg: signingKey.alg, kid: signingKey.kid, typ: 'JWT' })
     .setIssuedAt()
     .setExpirationTime(Math.floor(Date.now() / 1000) + expiresIn)
-    .sign(secret);
+    .sign(signingKey.privateKey);
 }
 
 export async function verifyJWT<T>(token: string): Promise<T | null> {
   try {
-    const secret = encoder.encode(secretJWT/* CONFIG.JWT.SECRET */);
-    const { payload } = await jwtVerify(token, secret);
+    // Select the verification key by the kid in the token header
+    const header = decodeProtectedHeader(token);
+    if (!header.kid) {
+      console.error('JWT verification failed: token has no kid');
+      return null;
+    }
+
+    const key = await getKeyStore().findKey(header.kid);
+    if (!key) {
+      console.error(`JWT verification failed: unknown or retired key ${header.kid}`);
+      return null;
+    }
+
+    const { payload } = await jwtVerify(token, key.publicKey, { algorithms: [key.alg] });
+    console.log(`[JWT] Token verified with key ${key.kid}`);
     return payload as unknown as T;
   } catch (error) {
     console.error('JWT verification failed:', error);
     return null;
   }
-}
\ No newline at end of file
+}
+
+/**
+ * Returns every public key still accepted for verification as a JSON Web Key Set
+ */
+export async function getPublicJwks(): Promise<{ keys: JWK[] }> {
+  const keys = await getKeyStore().getVerificationKeys();
+  return { keys: keys.map(key => key.publicJwk) };
+}
+
+/**
+ * Generates a new key pair, returning both halves as JWKs
+ */
+export async function generateSigningJwks(alg: SigningAlgorithm): Promise<{ kid: string; privateJwk: JWK; publicJwk: JWK }> {
+  const { privateKey } = await generateKeyPair(alg, { extractable: true });
+  return splitPrivateKey(privateKey, alg);
+}
+
+/**
+ * Converts a PKCS#8 PEM private key into JWKs
+ */
+export async function importSigningJwksFromPem(pem: string, alg: SigningAlgorithm, kid?: string): Promise<{ kid: string; privateJwk: JWK; publicJwk: JWK }> {
+  // Secrets are often stored with escaped newlines
+  const privateKey = await importPKCS8(pem.replace(/\\n/g, '\n'), alg, { extractable: true });
+  return splitPrivateKey(privateKey, alg, kid);
+}
+
+/**
+ * Imports stored JWKs into a usable signing key
+ */
+export async function loadSigningKey(kid: string, alg: SigningAlgorithm, publicJwk: JWK, privateJwk?: JWK): Promise<SigningKey> {
+  return {
+    kid,
+    alg,
+    privateKey: privateJwk ? await importJWK(privateJwk, alg) as KeyLike : undefined,
+    publicKey: await importJWK(publicJwk, alg) as KeyLike,
+    publicJwk
+  };
+}
+
+async function splitPrivateKey(privateKey: KeyLike, alg: SigningAlgorithm, kid?: string): Promise<{ kid: string; privateJwk: JWK; publicJwk: JWK }> {
+  // Derive the public key by dropping the private members of the JWK
+  const privateJwk = await exportJWK(privateKey);
+  const publicJwk: JWK = { ...privateJwk };
+  for (const member of PRIVATE_JWK_MEMBERS) {
+    delete publicJwk[member];
+  }
+
+  const keyId = kid || await calculateJwkThumbprint(publicJwk);
+  return {
+    kid: keyId,
+    privateJwk,
+    publicJwk: { ...publicJwk, kid: keyId, alg, use: 'sig' }
+  };
+}
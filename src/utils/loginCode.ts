@@ -0,0 +1,100 @@
+import type { SessionDevice } from '../types';
+
+// Codes avoid characters that are easily confused (0/O, 1/I); 32 characters, so random bytes map without bias
+const LOGIN_CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const LOGIN_CODE_GROUP_LENGTH = 4;
+
+// Two groups of four, with or without the dash, anywhere in the message
+const LOGIN_CODE_PATTERN = /\b([A-Z0-9]{4})-?([A-Z0-9]{4})\b/gi;
+
+// Messages are only searched for a few codes, so long texts can't cause many lookups
+const MAX_CODES_PER_MESSAGE = 3;
+
+// The buttons of a QR code login confirmation carry the login's sessionId behind these prefixes
+export const QR_CONFIRM_BUTTON_PREFIX = 'qr_confirm:';
+export const QR_DENY_BUTTON_PREFIX = 'qr_deny:';
+
+// Keeps the confirmation well under WhatsApp's 1024-character body limit
+const MAX_DEVICE_DESCRIPTION_LENGTH = 200;
+
+/**
+ * Generates a login code for the user-initiated flow, e.g. "K7PX-4QMB" (40 bits)
+ */
+export function generateLoginCode(): string {
+  const randomValues = new Uint8Array(LOGIN_CODE_GROUP_LENGTH * 2);
+  crypto.getRandomValues(randomValues);
+
+  const characters = Array.from(randomValues, value => LOGIN_CODE_ALPHABET.charAt(value % LOGIN_CODE_ALPHABET.length)).join('');
+  return `${characters.substring(0, LOGIN_CODE_GROUP_LENGTH)}-${characters.substring(LOGIN_CODE_GROUP_LENGTH)}`;
+}
+
+/**
+ * Normalizes a code the way it is hashed: upper case, without the dash
+ */
+export function normalizeLoginCode(code: string): string {
+  return code.toUpperCase().replace(/[^A-Z0-9]/g, '');
+}
+
+/**
+ * Finds the login codes in a message the user sent us
+ * The user may have edited the prefilled text, so the code is matched wherever it appears
+ */
+export function findLoginCodes(text: string): string[] {
+  const codes: string[] = [];
+
+  for (const match of text.matchAll(LOGIN_CODE_PATTERN)) {
+    const code = normalizeLoginCode(match[1] + match[2]);
+    if ([...code].every(character => LOGIN_CODE_ALPHABET.includes(character)) && !codes.includes(code)) {
+      codes.push(code);
+    }
+    if (codes.length === MAX_CODES_PER_MESSAGE) {
+      break;
+    }
+  }
+
+  return codes;
+}
+
+/**
+ * Builds the wa.me link that opens a chat with the business number, prefilled with the login code
+ *
+ * @param businessPhoneNumber - The business number in international format (digits only are used)
+ */
+export function buildLoginCodeLink(businessPhoneNumber: string, code: string): string {
+  const text = `Log in with code ${code}`;
+  return `https://wa.me/${businessPhoneNumber.replace(/\D/g, '')}?text=${encodeURIComponent(text)}`;
+}
+
+/**
+ * Builds the link to the login confirmation page (/auth/verify) for a verification token
+ *
+ * @param baseUrl - Origin serving the page, without a trailing slash
+ */
+export function buildLoginLinkUrl(baseUrl: string, token: string): string {
+  return `${baseUrl}/auth/verify?token=${encodeURIComponent(token)}`;
+}
+
+/**
+ * Builds the link to the email confirmation page (/auth/verify-email) for an email verification token
+ *
+ * @param baseUrl - Origin serving the page, without a trailing slash
+ */
+export function buildEmailVerificationUrl(baseUrl: string, token: string): string {
+  return `${baseUrl}/auth/verify-email?token=${encodeURIComponent(token)}`;
+}
+
+/**
+ * Text asking the sender of a QR code login's code to confirm the device the login was started from
+ * Whoever shows the QR code is logged in, so the user must recognise the device before confirming
+ */
+export function buildQrLoginConfirmationText(device: SessionDevice): string {
+  const lines = [
+    `Device: ${(device.userAgent || 'Unknown').substring(0, MAX_DEVICE_DESCRIPTION_LENGTH)}`,
+    `Country: ${device.ipCountry || 'Unknown'}`
+  ];
+  if (device.clientApp) {
+    lines.push(`App: ${device.clientApp.substring(0, MAX_DEVICE_DESCRIPTION_LENGTH)}`);
+  }
+
+  return `Log in on this device?\n\n${lines.join('\n')}\n\nOnly tap Confirm if you scanned the QR code on your own screen. If someone else showed it to you, tap "This wasn't me".`;
+}
@@ -0,0 +1,438 @@
+/**
+ * Minimal QR code encoder rendering to SVG, so clients don't need a QR library
+ *
+ * Only what login links need: byte mode, error correction level M, versions 1-10
+ * (up to 213 bytes). Follows ISO/IEC 18004; the layout steps mirror the spec's
+ * section order (function patterns, codewords, masking, format information).
+ */
+
+// Error correction level M: ECC codewords per block and number of blocks, indexed by version
+const ECC_CODEWORDS_PER_BLOCK = [0, 10, 16, 26, 18, 24, 16, 18, 22, 22, 26];
+const ERROR_CORRECTION_BLOCKS = [0, 1, 1, 1, 2, 2, 4, 4, 4, 5, 5];
+const MAX_VERSION = ECC_CODEWORDS_PER_BLOCK.length - 1;
+
+// Format information bits for level M
+const ECC_LEVEL_M_BITS = 0;
+
+// Quiet zone around the symbol, in modules, as required by the spec
+const QUIET_ZONE = 4;
+
+type Matrix = boolean[][];
+
+/**
+ * Encodes text as a QR code and returns it as a standalone SVG document
+ *
+ * @param text - Encoded as UTF-8 bytes
+ * @param size - Rendered width and height in pixels
+ * @throws Error if the text doesn't fit in a version 10 symbol
+ */
+export function renderQrCodeSvg(text: string, size = 256): string {
+  const modules = encodeQrCode(new TextEncoder().encode(text));
+  const dimension = modules.length + QUIET_ZONE * 2;
+
+  // One path of unit squares keeps the document small
+  const squares: string[] = [];
+  modules.forEach((row, y) => row.forEach((dark, x) => {
+    if (dark) {
+      squares.push(`M${x + QUIET_ZONE},${y + QUIET_ZONE}h1v1h-1z`);
+    }
+  }));
+
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${size}" height="${size}" viewBox="0 0 ${dimension} ${dimension}" shape-rendering="crispEdges">`
+    + `<rect width="100%" height="100%" fill="#ffffff"/>`
+    + `<path d="${squares.join('')}" fill="#000000"/>`
+    + `</svg>`;
+}
+
+/**
+ * Encodes bytes into the module matrix of the smallest version they fit in
+ * true is a dark module; rows are indexed by y
+ */
+export function encodeQrCode(data: Uint8Array): Matrix {
+  // Step 1: Pick the smallest version that fits the data
+  let version = 1;
+  while (data.length > getDataCapacity(version)) {
+    if (++version > MAX_VERSION) {
+      throw new Error(`QR code data is ${data.length} bytes, the maximum is ${getDataCapacity(MAX_VERSION)}`);
+    }
+  }
+
+  // Step 2: Build the data codewords and interleave them with error correction
+  const codewords = addErrorCorrection(encodeDataCodewords(data, version), version);
+
+  // Step 3: Draw the function patterns and the codewords
+  const size = version * 4 + 17;
+  const modules: Matrix = Array.from({ length: size }, () => new Array<boolean>(size).fill(false));
+  const isFunction: Matrix = Array.from({ length: size }, () => new Array<boolean>(size).fill(false));
+  drawFunctionPatterns(modules, isFunction, version);
+  drawCodewords(modules, isFunction, codewords);
+
+  // Step 4: Apply the mask with the lowest penalty, then the format information naming it
+  let best: { mask: number; penalty: number } | null = null;
+  for (let mask = 0; mask < 8; mask++) {
+    applyMask(modules, isFunction, mask);
+    drawFormatBits(modules, isFunction, mask);
+    const penalty = getPenaltyScore(modules);
+    if (!best || penalty < best.penalty) {
+      best = { mask, penalty };
+    }
+    applyMask(modules, isFunction, mask); // XOR again to undo
+  }
+  applyMask(modules, isFunction, best!.mask);
+  drawFormatBits(modules, isFunction, best!.mask);
+
+  return modules;
+}
+
+// Number of modules available for codewords (data and error correction) in a version
+function getRawDataModules(version: number): number {
+  let result = (16 * version + 128) * version + 64;
+  if (version >= 2) {
+    const alignmentCount = Math.floor(version / 7) + 2;
+    result -= (25 * alignmentCount - 10) * alignmentCount - 55;
+    if (version >= 7) {
+      result -= 36;
+    }
+  }
+  return result;
+}
+
+function getDataCodewordCount(version: number): number {
+  return Math.floor(getRawDataModules(version) / 8) - ECC_CODEWORDS_PER_BLOCK[version] * ERROR_CORRECTION_BLOCKS[version];
+}
+
+// Bytes that fit in byte mode, after the 4-bit mode indicator and the character count
+function getDataCapacity(version: number): number {
+  return Math.floor((getDataCodewordCount(version) * 8 - 4 - getCountBits(version)) / 8);
+}
+
+function getCountBits(version: number): number {
+  return version <= 9 ? 8 : 16;
+}
+
+/**
+ * Byte mode segment, terminator and padding, as data codewords
+ */
+function encodeDataCodewords(data: Uint8Array, version: number): number[] {
+  const bits: number[] = [];
+  const appendBits = (value: number, length: number) => {
+    for (let i = length - 1; i >= 0; i--) {
+      bits.push((value >>> i) & 1);
+    }
+  };
+
+  appendBits(0b0100, 4); // Byte mode
+  appendBits(data.length, getCountBits(version));
+  data.forEach(byte => appendBits(byte, 8));
+
+  // Terminator (up to four zero bits), then zero bits up to a byte boundary
+  const capacityBits = getDataCodewordCount(version) * 8;
+  appendBits(0, Math.min(4, capacityBits - bits.length));
+  appendBits(0, (8 - bits.length % 8) % 8);
+
+  const codewords: number[] = [];
+  for (let i = 0; i < bits.length; i += 8) {
+    codewords.push(bits.slice(i, i + 8).reduce((byte, bit) => (byte << 1) | bit, 0));
+  }
+
+  // Alternating pad codewords fill the remaining capacity
+  for (let pad = 0xEC; codewords.length < capacityBits / 8; pad ^= 0xEC ^ 0x11) {
+    codewords.push(pad);
+  }
+  return codewords;
+}
+
+/**
+ * Splits the data into blocks, appends Reed-Solomon error correction to each
+ * and interleaves them into the final codeword sequence
+ */
+function addErrorCorrection(data: number[], version: number): number[] {
+  const blockCount = ERROR_CORRECTION_BLOCKS[version];
+  const eccLength = ECC_CODEWORDS_PER_BLOCK[version];
+  const rawCodewords = Math.floor(getRawDataModules(version) / 8);
+  const shortBlockCount = blockCount - rawCodewords % blockCount;
+  const shortBlockLength = Math.floor(rawCodewords / blockCount);
+
+  // Long blocks carry one more data codeword; short ones get a placeholder so columns line up
+  const divisor = getReedSolomonDivisor(eccLength);
+  const blocks: number[][] = [];
+  for (let i = 0, offset = 0; i < blockCount; i++) {
+    const dataLength = shortBlockLength - eccLength + (i < shortBlockCount ? 0 : 1);
+    const blockData = data.slice(offset, offset + dataLength);
+    offset += dataLength;
+
+    const ecc = getReedSolomonRemainder(blockData, divisor);
+    if (i < shortBlockCount) {
+      blockData.push(0);
+    }
+    blocks.push(blockData.concat(ecc));
+  }
+
+  const result: number[] = [];
+  for (let i = 0; i < blocks[0].length; i++) {
+    blocks.forEach((block, j) => {
+      // Skip the placeholders of short blocks
+      if (i !== shortBlockLength - eccLength || j >= shortBlockCount) {
+        result.push(block[i]);
+      }
+    });
+  }
+  return result;
+}
+
+// Generator polynomial coefficients (highest degree first, leading 1 omitted)
+function getReedSolomonDivisor(degree: number): number[] {
+  const result = new Array<number>(degree).fill(0);
+  result[degree - 1] = 1;
+
+  let root = 1;
+  for (let i = 0; i < degree; i++) {
+    for (let j = 0; j < result.length; j++) {
+      result[j] = multiplyGf256(result[j], root);
+      if (j + 1 < result.length) {
+        result[j] ^= result[j + 1];
+      }
+    }
+    root = multiplyGf256(root, 0x02);
+  }
+  return result;
+}
+
+function getReedSolomonRemainder(data: number[], divisor: number[]): number[] {
+  const result = divisor.map(() => 0);
+  for (const byte of data) {
+    const factor = byte ^ result.shift()!;
+    result.push(0);
+    divisor.forEach((coefficient, i) => {
+      result[i] ^= multiplyGf256(coefficient, factor);
+    });
+  }
+  return result;
+}
+
+// Multiplication in GF(2^8) modulo x^8 + x^4 + x^3 + x^2 + 1
+function multiplyGf256(x: number, y: number): number {
+  let z = 0;
+  for (let i = 7; i >= 0; i--) {
+    z = (z << 1) ^ ((z >>> 7) * 0x11D);
+    z ^= ((y >>> i) & 1) * x;
+  }
+  return z;
+}
+
+/**
+ * Finder, timing and alignment patterns, plus the version information and the
+ * areas reserved for format information
+ */
+function drawFunctionPatterns(modules: Matrix, isFunction: Matrix, version: number) {
+  const size = modules.length;
+  const setFunctionModule = (x: number, y: number, dark: boolean) => {
+    modules[y][x] = dark;
+    isFunction[y][x] = true;
+  };
+
+  // Timing patterns
+  for (let i = 0; i < size; i++) {
+    setFunctionModule(6, i, i % 2 === 0);
+    setFunctionModule(i, 6, i % 2 === 0);
+  }
+
+  // Finder patterns with their separators, in three corners
+  for (const [centerX, centerY] of [[3, 3], [size - 4, 3], [3, size - 4]]) {
+    for (let dy = -4; dy <= 4; dy++) {
+      for (let dx = -4; dx <= 4; dx++) {
+        const x = centerX + dx;
+        const y = centerY + dy;
+        if (x >= 0 && x < size && y >= 0 && y < size) {
+          const distance = Math.max(Math.abs(dx), Math.abs(dy));
+          setFunctionModule(x, y, distance !== 2 && distance !== 4);
+        }
+      }
+    }
+  }
+
+  // Alignment patterns, except where they would overlap the finder patterns
+  const positions = getAlignmentPatternPositions(version, size);
+  positions.forEach((centerX, i) => positions.forEach((centerY, j) => {
+    const last = positions.length - 1;
+    if ((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0)) {
+      return;
+    }
+    for (let dy = -2; dy <= 2; dy++) {
+      for (let dx = -2; dx <= 2; dx++) {
+        setFunctionModule(centerX + dx, centerY + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+      }
+    }
+  }));
+
+  // Reserve the format information areas; the real bits are drawn after masking
+  drawFormatBits(modules, isFunction, 0);
+
+  // Version information, from version 7
+  if (version >= 7) {
+    let remainder = version;
+    for (let i = 0; i < 12; i++) {
+      remainder = (remainder << 1) ^ ((remainder >>> 11) * 0x1F25);
+    }
+    const bits = (version << 12) | remainder;
+    for (let i = 0; i < 18; i++) {
+      const dark = ((bits >>> i) & 1) !== 0;
+      const a = size - 11 + i % 3;
+      const b = Math.floor(i / 3);
+      setFunctionModule(a, b, dark);
+      setFunctionModule(b, a, dark);
+    }
+  }
+}
+
+function getAlignmentPatternPositions(version: number, size: number): number[] {
+  if (version === 1) {
+    return [];
+  }
+  const count = Math.floor(version / 7) + 2;
+  const step = Math.ceil((version * 4 + 4) / (count * 2 - 2)) * 2;
+  const result = [6];
+  for (let position = size - 7; result.length < count; position -= step) {
+    result.splice(1, 0, position);
+  }
+  return result;
+}
+
+// Both copies of the 15-bit format information (error correction level and mask), plus the dark module
+function drawFormatBits(modules: Matrix, isFunction: Matrix, mask: number) {
+  const size = modules.length;
+  const data = (ECC_LEVEL_M_BITS << 3) | mask;
+  let remainder = data;
+  for (let i = 0; i < 10; i++) {
+    remainder = (remainder << 1) ^ ((remainder >>> 9) * 0x537);
+  }
+  const bits = ((data << 10) | remainder) ^ 0x5412;
+
+  const setFunctionModule = (x: number, y: number, bit: number) => {
+    modules[y][x] = ((bits >>> bit) & 1) !== 0;
+    isFunction[y][x] = true;
+  };
+
+  // Around the top left finder pattern
+  for (let i = 0; i <= 5; i++) {
+    setFunctionModule(8, i, i);
+  }
+  setFunctionModule(8, 7, 6);
+  setFunctionModule(8, 8, 7);
+  setFunctionModule(7, 8, 8);
+  for (let i = 9; i < 15; i++) {
+    setFunctionModule(14 - i, 8, i);
+  }
+
+  // Split between the other two finder patterns
+  for (let i = 0; i < 8; i++) {
+    setFunctionModule(size - 1 - i, 8, i);
+  }
+  for (let i = 8; i < 15; i++) {
+    setFunctionModule(8, size - 15 + i, i);
+  }
+
+  modules[size - 8][8] = true;
+  isFunction[size - 8][8] = true;
+}
+
+// Places codeword bits in the zigzag order: two-module columns from the right, alternating up and down
+function drawCodewords(modules: Matrix, isFunction: Matrix, codewords: number[]) {
+  const size = modules.length;
+  let bitIndex = 0;
+
+  for (let right = size - 1; right >= 1; right -= 2) {
+    if (right === 6) {
+      right = 5; // Skip the vertical timing pattern
+    }
+    for (let vertical = 0; vertical < size; vertical++) {
+      for (let j = 0; j < 2; j++) {
+        const x = right - j;
+        const upward = ((right + 1) & 2) === 0;
+        const y = upward ? size - 1 - vertical : vertical;
+        if (!isFunction[y][x] && bitIndex < codewords.length * 8) {
+          modules[y][x] = ((codewords[bitIndex >>> 3] >>> (7 - (bitIndex & 7))) & 1) !== 0;
+          bitIndex++;
+        }
+      }
+    }
+  }
+}
+
+// XORs the data modules with a mask pattern; applying it twice undoes it
+function applyMask(modules: Matrix, isFunction: Matrix, mask: number) {
+  const size = modules.length;
+  for (let y = 0; y < size; y++) {
+    for (let x = 0; x < size; x++) {
+      let invert: boolean;
+      switch (mask) {
+        case 0: invert = (x + y) % 2 === 0; break;
+        case 1: invert = y % 2 === 0; break;
+        case 2: invert = x % 3 === 0; break;
+        case 3: invert = (x + y) % 3 === 0; break;
+        case 4: invert = (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0; break;
+        case 5: invert = (x * y) % 2 + (x * y) % 3 === 0; break;
+        case 6: invert = ((x * y) % 2 + (x * y) % 3) % 2 === 0; break;
+        default: invert = ((x + y) % 2 + (x * y) % 3) % 2 === 0; break;
+      }
+      if (invert && !isFunction[y][x]) {
+        modules[y][x] = !modules[y][x];
+      }
+    }
+  }
+}
+
+/**
+ * Penalty rules from the spec, used to pick the mask that is easiest to scan:
+ * runs of one color, 2x2 blocks, finder-like patterns and dark/light imbalance
+ */
+function getPenaltyScore(modules: Matrix): number {
+  const size = modules.length;
+  let penalty = 0;
+
+  // Rows, then columns
+  const lines: boolean[][] = [
+    ...modules,
+    ...modules.map((_, x) => modules.map(row => row[x]))
+  ];
+
+  for (const line of lines) {
+    // Runs of five or more modules of the same color
+    let runLength = 1;
+    for (let i = 1; i <= size; i++) {
+      if (i < size && line[i] === line[i - 1]) {
+        runLength++;
+      } else {
+        if (runLength >= 5) {
+          penalty += runLength - 2;
+        }
+        runLength = 1;
+      }
+    }
+
+    // 1:1:3:1:1 finder-like patterns with four light modules on one side
+    const pattern = line.map(dark => (dark ? '1' : '0')).join('');
+    for (const finderLike of ['10111010000', '00001011101']) {
+      for (let i = pattern.indexOf(finderLike); i !== -1; i = pattern.indexOf(finderLike, i + 1)) {
+        penalty += 40;
+      }
+    }
+  }
+
+  // 2x2 blocks of the same color
+  for (let y = 0; y < size - 1; y++) {
+    for (let x = 0; x < size - 1; x++) {
+      const color = modules[y][x];
+      if (color === modules[y][x + 1] && color === modules[y + 1][x] && color === modules[y + 1][x + 1]) {
+        penalty += 3;
+      }
+    }
+  }
+
+  // Proportion of dark modules far from half
+  const darkCount = modules.reduce((count, row) => count + row.filter(dark => dark).length, 0);
+  const total = size * size;
+  penalty += (Math.ceil(Math.abs(darkCount * 20 - total * 10) / total) - 1) * 10;
+
+  return penalty;
+}
@@ -0,0 +1,103 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { openToken, sealToken } from './signedToken';
+import { base64UrlDecode, base64UrlEncode } from './crypto';
+import { CONFIG } from '../config';
+import { ERROR_CODES } from '../types';
+
+const BODY = 'token-id:secret';
+
+// The parts of a sealed token: `<version>.<body>.<signature>`
+function splitToken(token: string): string[] {
+  return token.split('.');
+}
+
+describe('signed verification tokens', () => {
+  beforeEach(() => {
+    CONFIG.VERIFICATION.TOKEN_SECRET = 'test-verification-secret';
+    CONFIG.VERIFICATION.ENCRYPTION_KEY = '';
+    CONFIG.VERIFICATION.LEGACY_TOKENS_ACCEPTED_UNTIL = 0;
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it('round-trips a signed v1 token', async () => {
+    const token = await sealToken(BODY);
+
+    expect(splitToken(token)[0]).toBe('v1');
+    expect(await openToken(token)).toEqual({ valid: true, body: BODY, legacy: false });
+  });
+
+  it('round-trips an encrypted v1e token without exposing the body', async () => {
+    CONFIG.VERIFICATION.ENCRYPTION_KEY = 'test-encryption-key';
+
+    const token = await sealToken(BODY);
+
+    expect(splitToken(token)[0]).toBe('v1e');
+    expect(new TextDecoder().decode(base64UrlDecode(splitToken(token)[1]))).not.toContain(BODY);
+    expect(await openToken(token)).toEqual({ valid: true, body: BODY, legacy: false });
+  });
+
+  it('rejects a v1e token when no encryption key is configured', async () => {
+    CONFIG.VERIFICATION.ENCRYPTION_KEY = 'test-encryption-key';
+    const token = await sealToken(BODY);
+    CONFIG.VERIFICATION.ENCRYPTION_KEY = '';
+
+    expect(await openToken(token)).toEqual({ valid: false, reason: ERROR_CODES.TOKEN_DECRYPTION_FAILED });
+  });
+
+  it('rejects a token whose body was changed', async () => {
+    const [version, , signature] = splitToken(await sealToken(BODY));
+    const forgedBody = base64UrlEncode(new TextEncoder().encode('other-id:secret'));
+
+    expect(await openToken(`${version}.${forgedBody}.${signature}`)).toEqual({ valid: false, reason: ERROR_CODES.INVALID_TOKEN_SIGNATURE });
+  });
+
+  it('rejects a token signed with another secret', async () => {
+    const token = await sealToken(BODY);
+    CONFIG.VERIFICATION.TOKEN_SECRET = 'another-secret';
+
+    expect(await openToken(token)).toEqual({ valid: false, reason: ERROR_CODES.INVALID_TOKEN_SIGNATURE });
+  });
+
+  it('rejects an unknown version', async () => {
+    const [, body, signature] = splitToken(await sealToken(BODY));
+
+    expect(await openToken(`v2.${body}.${signature}`)).toEqual({ valid: false, reason: ERROR_CODES.UNSUPPORTED_TOKEN_VERSION });
+  });
+
+  it('rejects a token without all three parts', async () => {
+    const [version, body] = splitToken(await sealToken(BODY));
+
+    expect(await openToken(`${version}.${body}.`)).toEqual({ valid: false, reason: ERROR_CODES.MALFORMED_TOKEN });
+  });
+
+  describe('legacy unsigned tokens', () => {
+    const CUTOFF = 1_800_000_000;
+    const legacyToken = btoa(JSON.stringify({ token: 'secret', phoneNumber: '+15551234567' }));
+
+    beforeEach(() => {
+      CONFIG.VERIFICATION.LEGACY_TOKENS_ACCEPTED_UNTIL = CUTOFF;
+      vi.useFakeTimers();
+    });
+
+    it('accepts them before the cutoff', async () => {
+      vi.setSystemTime((CUTOFF - 1) * 1000);
+
+      expect(await openToken(legacyToken)).toEqual({ valid: true, body: atob(legacyToken), legacy: true });
+    });
+
+    it('rejects them from the cutoff on', async () => {
+      vi.setSystemTime(CUTOFF * 1000);
+
+      expect(await openToken(legacyToken)).toEqual({ valid: false, reason: ERROR_CODES.LEGACY_TOKEN_REJECTED });
+    });
+
+    it('rejects them when no migration window is configured', async () => {
+      CONFIG.VERIFICATION.LEGACY_TOKENS_ACCEPTED_UNTIL = 0;
+
+      expect(await openToken(legacyToken)).toEqual({ valid: false, reason: ERROR_CODES.LEGACY_TOKEN_REJECTED });
+    });
+  });
+});
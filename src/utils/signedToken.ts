@@ -0,0 +1,120 @@
+import { CONFIG } from '../config';
+import { ERROR_CODES } from '../types';
+import { base64UrlDecode, base64UrlEncode, decryptString, encryptString, verifyHmac, signHmac } from './crypto';
+
+/**
+ * Compact, versioned envelope for verification tokens sent through WhatsApp.
+ *
+ * Format: `<version>.<body>.<signature>`
+ * - `v1`:  body is base64url(plaintext)
+ * - `v1e`: body is base64url(AES-GCM iv || ciphertext)
+ *
+ * The signature is an HMAC-SHA256 over `<version>.<body>` so the envelope can be
+ * rejected before anything inside it is trusted (or any database query is made).
+ */
+const SIGNED_VERSION = 'v1';
+const ENCRYPTED_VERSION = 'v1e';
+
+export type TokenRejectionReason =
+  | typeof ERROR_CODES.MALFORMED_TOKEN
+  | typeof ERROR_CODES.UNSUPPORTED_TOKEN_VERSION
+  | typeof ERROR_CODES.INVALID_TOKEN_SIGNATURE
+  | typeof ERROR_CODES.TOKEN_DECRYPTION_FAILED
+  | typeof ERROR_CODES.LEGACY_TOKEN_REJECTED;
+
+export type OpenTokenResult =
+  | { valid: true; body: string; legacy: boolean }
+  | { valid: false; reason: TokenRejectionReason };
+
+function getSigningSecret(): string {
+  if (!CONFIG.VERIFICATION.TOKEN_SECRET) {
+    throw new Error('VERIFICATION_TOKEN_SECRET is not configured');
+  }
+  return CONFIG.VERIFICATION.TOKEN_SECRET;
+}
+
+/**
+ * Seals a plaintext body into a signed (and, when an encryption key is configured, encrypted) token
+ */
+export async function sealToken(plaintext: string): Promise<string> {
+  const secret = getSigningSecret();
+
+  const version = CONFIG.VERIFICATION.ENCRYPTION_KEY ? ENCRYPTED_VERSION : SIGNED_VERSION;
+  const body = version === ENCRYPTED_VERSION
+    ? await encryptString(CONFIG.VERIFICATION.ENCRYPTION_KEY, plaintext)
+    : base64UrlEncode(new TextEncoder().encode(plaintext));
+
+  const signature = await signHmac(secret, `${version}.${body}`);
+  return `${version}.${body}.${signature}`;
+}
+
+/**
+ * Verifies and opens a sealed token
+ *
+ * Flow:
+ * 1. Fall back to the legacy unsigned base64 format while the migration window is open
+ * 2. Split the envelope and check the version
+ * 3. Verify the HMAC signature
+ * 4. Decrypt or decode the body
+ */
+export async function openToken(token: string): Promise<OpenTokenResult> {
+  // Step 1: Legacy tokens are plain base64 JSON and never contain a '.'
+  if (!token.includes('.')) {
+    return openLegacyToken(token);
+  }
+
+  // Step 2: Split the envelope into its three parts
+  const parts = token.split('.');
+  if (parts.length !== 3 || !parts[1] || !parts[2]) {
+    return { valid: false, reason: ERROR_CODES.MALFORMED_TOKEN };
+  }
+
+  const [version, body, signature] = parts;
+  if (version !== SIGNED_VERSION && version !== ENCRYPTED_VERSION) {
+    return { valid: false, reason: ERROR_CODES.UNSUPPORTED_TOKEN_VERSION };
+  }
+
+  // Step 3: Verify the signature before looking at the body
+  let signatureBytes: Uint8Array;
+  try {
+    signatureBytes = base64UrlDecode(signature);
+  } catch (error) {
+    return { valid: false, reason: ERROR_CODES.MALFORMED_TOKEN };
+  }
+
+  const signatureValid = await verifyHmac(getSigningSecret(), `${version}.${body}`, signatureBytes);
+  if (!signatureValid) {
+    return { valid: false, reason: ERROR_CODES.INVALID_TOKEN_SIGNATURE };
+  }
+
+  // Step 4: Decrypt or decode the body
+  if (version === ENCRYPTED_VERSION) {
+    if (!CONFIG.VERIFICATION.ENCRYPTION_KEY) {
+      return { valid: false, reason: ERROR_CODES.TOKEN_DECRYPTION_FAILED };
+    }
+    const plaintext = await decryptString(CONFIG.VERIFICATION.ENCRYPTION_KEY, body);
+    if (plaintext === null) {
+      return { valid: false, reason: ERROR_CODES.TOKEN_DECRYPTION_FAILED };
+    }
+    return { valid: true, body: plaintext, legacy: false };
+  }
+
+  try {
+    return { valid: true, body: new TextDecoder().decode(base64UrlDecode(body)), legacy: false };
+  } catch (error) {
+    return { valid: false, reason: ERROR_CODES.MALFORMED_TOKEN };
+  }
+}
+
+function openLegacyToken(token: string): OpenTokenResult {
+  const now = Math.floor(Date.now() / 1000);
+  if (CONFIG.VERIFICATION.LEGACY_TOKENS_ACCEPTED_UNTIL <= now) {
+    return { valid: false, reason: ERROR_CODES.LEGACY_TOKEN_REJECTED };
+  }
+
+  try {
+    return { valid: true, body: atob(token), legacy: true };
+  } catch (error) {
+    return { valid: false, reason: ERROR_CODES.MALFORMED_TOKEN };
+  }
+}
@@ -0,0 +1,53 @@
+import { ERROR_CODES, MessageDeliveryError, WhatsAppStatusError, WhatsAppWebhookPayload } from '../types';
+
+// WhatsApp errors a user can do something about; anything else is reported as MESSAGE_DELIVERY_FAILED
+const DELIVERY_ERRORS: Record<number, MessageDeliveryError> = {
+  // Message undeliverable: the number isn't on WhatsApp or its app is too old
+  131026: {
+    code: ERROR_CODES.RECIPIENT_NOT_ON_WHATSAPP,
+    message: 'This phone number is not on WhatsApp, or its WhatsApp app needs to be updated'
+  },
+  // More than 24 hours since the user last messaged us, so only templates can be sent
+  131047: {
+    code: ERROR_CODES.REENGAGEMENT_REQUIRED,
+    message: 'Send any message to our WhatsApp number, then try again'
+  }
+};
+
+/**
+ * Collects the ids of every message and status update in a webhook payload
+ * These are stable across Meta's retries, so they are used for deduplication
+ */
+export function getWebhookEventIds(payload: WhatsAppWebhookPayload): string[] {
+  const ids: string[] = [];
+
+  for (const entry of payload.entry || []) {
+    for (const change of entry.changes || []) {
+      for (const message of change.value?.messages || []) {
+        ids.push(message.id);
+      }
+      for (const status of change.value?.statuses || []) {
+        // A message receives several status updates (sent, delivered, read) under the same id
+        ids.push(`${status.id}:${status.status}`);
+      }
+    }
+  }
+
+  return ids;
+}
+
+/**
+ * Translates the errors of a failed status update into an error code for the login
+ */
+export function getMessageDeliveryError(errors: WhatsAppStatusError[] | undefined): MessageDeliveryError {
+  for (const error of errors || []) {
+    if (DELIVERY_ERRORS[error.code]) {
+      return DELIVERY_ERRORS[error.code];
+    }
+  }
+
+  return {
+    code: ERROR_CODES.MESSAGE_DELIVERY_FAILED,
+    message: 'The WhatsApp message could not be delivered. Please try again later'
+  };
+}
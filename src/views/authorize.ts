@@ -0,0 +1,143 @@
+/**
+ * HTML pages served by the OpenID Connect /authorize endpoint
+ *
+ * The login page reuses the normal WhatsApp flow:
+ * 1. The user enters their phone number, which is posted to /authorize/initiate
+ * 2. The page opens the auth WebSocket for the returned sessionId and session secret
+ * 3. Once the user confirms on WhatsApp, the WebSocket delivers the client
+ *    redirect URL (carrying the authorization code) and the page follows it
+ */
+
+function escapeHtml(value: string): string {
+  return value
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+// JSON embedded in a <script> block must not be able to close the tag
+function toScriptJson(value: unknown): string {
+  return JSON.stringify(value).replace(/</g, '\\u003c');
+}
+
+// Shared with the other pages this service serves
+export const STYLES = `
+  body { font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", sans-serif; background: #f0f2f5; margin: 0; }
+  main { max-width: 360px; margin: 10vh auto; background: #fff; border-radius: 12px; padding: 32px; box-shadow: 0 2px 12px rgba(0, 0, 0, 0.08); }
+  h1 { font-size: 20px; margin: 0 0 8px; }
+  p { color: #555; line-height: 1.4; }
+  input { width: 100%; box-sizing: border-box; padding: 10px; font-size: 16px; border: 1px solid #ccc; border-radius: 8px; }
+  button { width: 100%; margin-top: 12px; padding: 12px; font-size: 16px; color: #fff; background: #25d366; border: 0; border-radius: 8px; cursor: pointer; }
+  button:disabled { opacity: 0.6; cursor: default; }
+  .error { color: #c62828; }
+`;
+
+export function renderAuthorizePage(params: { requestId: string; clientName: string }): string {
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <title>Sign in with WhatsApp</title>
+  <style>${STYLES}</style>
+</head>
+<body>
+  <main>
+    <h1>Sign in with WhatsApp</h1>
+    <p><strong>${escapeHtml(params.clientName)}</strong> wants to confirm your phone number.</p>
+    <form id="login-form">
+      <input id="phone" type="tel" placeholder="+1 555 123 4567" autocomplete="tel" required>
+      <button id="submit" type="submit">Send WhatsApp message</button>
+    </form>
+    <p id="status"></p>
+  </main>
+  <script>
+    const requestId = ${toScriptJson(params.requestId)};
+    const form = document.getElementById('login-form');
+    const statusEl = document.getElementById('status');
+    const submit = document.getElementById('submit');
+
+    function showStatus(text, isError) {
+      statusEl.textContent = text;
+      statusEl.className = isError ? 'error' : '';
+    }
+
+    form.addEventListener('submit', async (event) => {
+      event.preventDefault();
+      submit.disabled = true;
+      showStatus('Sending confirmation message...');
+
+      try {
+        const response = await fetch('/authorize/initiate', {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ request_id: requestId, phone_number: document.getElementById('phone').value })
+        });
+        const body = await response.json();
+        if (body.status !== 'success') {
+          throw new Error(body.error ? body.error.message : 'Failed to send confirmation message');
+        }
+
+        showStatus('Open WhatsApp and tap the button in the message we sent you.');
+
+        const protocol = location.protocol === 'https:' ? 'wss:' : 'ws:';
+        const socket = new WebSocket(protocol + '//' + location.host + '/api/auth/ws?sessionId=' + encodeURIComponent(body.data.sessionId)
+          + '&secret=' + encodeURIComponent(body.data.sessionSecret));
+        // Idle connections can be dropped by proxies; pings are answered without waking the server
+        const keepAlive = setInterval(() => socket.send('ping'), 30000);
+        socket.addEventListener('close', () => clearInterval(keepAlive));
+        socket.addEventListener('message', (message) => {
+          if (message.data === 'pong') {
+            return;
+          }
+          const data = JSON.parse(message.data);
+          if (data.event === 'message_delivered' || data.event === 'message_read') {
+            showStatus('Delivered to your phone. Open WhatsApp and tap the button in the message.');
+          } else if (data.event === 'message_failed') {
+            showStatus(data.error ? data.error.message : 'We could not deliver the WhatsApp message. Please check the number and try again.', true);
+            socket.close();
+            submit.disabled = false;
+          } else if (data.event === 'authorization_complete') {
+            showStatus('Confirmed, redirecting...');
+            location.href = data.redirectUrl;
+          } else if (data.event === 'session_denied') {
+            showStatus('The sign-in was declined on WhatsApp.', true);
+            submit.disabled = false;
+          } else if (data.event === 'session_expired') {
+            showStatus('The confirmation message has expired. Please try again.', true);
+            submit.disabled = false;
+          }
+        });
+      } catch (error) {
+        showStatus(error.message, true);
+        submit.disabled = false;
+      }
+    });
+  </script>
+</body>
+</html>`;
+}
+
+/**
+ * Shown when the client or redirect URI can't be trusted, so the error
+ * must not be sent back to the redirect URI
+ */
+export function renderAuthorizeErrorPage(message: string): string {
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <title>Sign in with WhatsApp</title>
+  <style>${STYLES}</style>
+</head>
+<body>
+  <main>
+    <h1>Sign-in request is invalid</h1>
+    <p class="error">${escapeHtml(message)}</p>
+  </main>
+</body>
+</html>`;
+}
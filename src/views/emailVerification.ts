@@ -0,0 +1,74 @@
+import { STYLES } from './authorize';
+
+/**
+ * HTML page email confirmation links open (/auth/verify-email?token=...)
+ *
+ * Mail scanners fetch the links in incoming emails, so opening the page must not
+ * confirm the address: the token is only redeemed when the user taps Confirm,
+ * which posts it to /api/user/email/verify.
+ */
+export function renderEmailVerificationPage(): string {
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <meta name="robots" content="noindex">
+  <title>Confirm email address</title>
+  <style>${STYLES}</style>
+</head>
+<body>
+  <main>
+    <h1>Confirm email address</h1>
+    <p>Tap Confirm to receive login messages at this address when WhatsApp can't deliver them.</p>
+    <button id="confirm" type="button">Confirm</button>
+    <p id="status"></p>
+  </main>
+  <script>
+    const token = new URLSearchParams(location.search).get('token');
+    const statusEl = document.getElementById('status');
+    const confirmButton = document.getElementById('confirm');
+
+    function showStatus(text, isError) {
+      statusEl.textContent = text;
+      statusEl.className = isError ? 'error' : '';
+    }
+
+    // Keep the token out of the history and of any link followed from here
+    history.replaceState(null, '', location.pathname);
+
+    if (!token) {
+      confirmButton.disabled = true;
+      showStatus('This confirmation link is incomplete. Please open it again from the email.', true);
+    }
+
+    confirmButton.addEventListener('click', async () => {
+      confirmButton.disabled = true;
+      showStatus('Confirming...');
+
+      // A browser already signed in with session cookies must pass the CSRF check
+      const headers = { 'Content-Type': 'application/json' };
+      const csrfCookie = document.cookie.split('; ').find(cookie => cookie.startsWith('csrf_token='));
+      if (csrfCookie) {
+        headers['X-CSRF-Token'] = decodeURIComponent(csrfCookie.slice('csrf_token='.length));
+      }
+
+      try {
+        const response = await fetch('/api/user/email/verify', {
+          method: 'POST',
+          headers,
+          body: JSON.stringify({ token })
+        });
+        const body = await response.json();
+        if (body.status !== 'success') {
+          throw new Error(body.error ? body.error.details : 'This confirmation link is invalid or has expired.');
+        }
+        showStatus('Your email address is confirmed. You can close this page.');
+      } catch (error) {
+        showStatus(error.message, true);
+      }
+    });
+  </script>
+</body>
+</html>`;
+}
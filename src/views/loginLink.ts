@@ -0,0 +1,74 @@
+import { STYLES } from './authorize';
+
+/**
+ * HTML page login links open (/auth/verify?token=...)
+ *
+ * Messaging apps fetch links to build previews, so opening the page must not log
+ * anyone in: the token is only redeemed when the user taps Confirm, which posts
+ * it to /api/auth/verify. The login then completes on the device that started it.
+ */
+export function renderLoginLinkPage(): string {
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <meta name="robots" content="noindex">
+  <title>Confirm login</title>
+  <style>${STYLES}</style>
+</head>
+<body>
+  <main>
+    <h1>Confirm login</h1>
+    <p>Tap Confirm to finish logging in on the device where you started.</p>
+    <button id="confirm" type="button">Confirm</button>
+    <p id="status"></p>
+  </main>
+  <script>
+    const token = new URLSearchParams(location.search).get('token');
+    const statusEl = document.getElementById('status');
+    const confirmButton = document.getElementById('confirm');
+
+    function showStatus(text, isError) {
+      statusEl.textContent = text;
+      statusEl.className = isError ? 'error' : '';
+    }
+
+    // Keep the token out of the history and of any link followed from here
+    history.replaceState(null, '', location.pathname);
+
+    if (!token) {
+      confirmButton.disabled = true;
+      showStatus('This login link is incomplete. Please open it again from WhatsApp.', true);
+    }
+
+    confirmButton.addEventListener('click', async () => {
+      confirmButton.disabled = true;
+      showStatus('Confirming...');
+
+      // A browser already signed in with session cookies must pass the CSRF check
+      const headers = { 'Content-Type': 'application/json' };
+      const csrfCookie = document.cookie.split('; ').find(cookie => cookie.startsWith('csrf_token='));
+      if (csrfCookie) {
+        headers['X-CSRF-Token'] = decodeURIComponent(csrfCookie.slice('csrf_token='.length));
+      }
+
+      try {
+        const response = await fetch('/api/auth/verify', {
+          method: 'POST',
+          headers,
+          body: JSON.stringify({ token })
+        });
+        const body = await response.json();
+        if (body.status !== 'success') {
+          throw new Error(body.error ? body.error.details : 'This login link is invalid or has expired.');
+        }
+        showStatus('You are logged in. You can close this page and go back to the app.');
+      } catch (error) {
+        showStatus(error.message, true);
+      }
+    });
+  </script>
+</body>
+</html>`;
+}